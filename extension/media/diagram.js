@@ -11,7 +11,13 @@ const state = {
     layers: {},
     projectData: null,
     initialLoad: true,  // Track first load
-    umlView: false  // UML view state
+    umlView: false,  // UML view state
+    flattenBarrels: false,  // Draw imports of barrel files to the modules that declare the symbols
+    viewMode: 'files',  // 'files' | 'packages' | 'package' (drill-down) | 'calls'
+    currentPackage: null,
+    callFocus: null,  // { id, fn, file } traced by the call graph view (fn null = whole file)
+    fileView: null,  // File graph kept while a package view is shown
+    expandedSymbols: new Set()  // Components showing their exported symbols
 };
 
 // DOM Elements
@@ -31,6 +37,9 @@ document.addEventListener('DOMContentLoaded', () => {
             case 'loadData':
                 loadProjectData(message.data);
                 break;
+            case 'applyDelta':
+                applyDelta(message.data);
+                break;
             case 'fileContent':
                 displayFileContent(message.data);
                 break;
@@ -58,12 +67,18 @@ function loadProjectData(data) {
     state.connections = data.connections || [];
     state.components = data.components || [];
     state.layers = data.layers || {};
+    setLayerDefinitions(data.layerDefinitions || []);
+    state.viewMode = 'files';
+    state.currentPackage = null;
+    state.fileView = null;
     
     // Process database connections
     processDatabaseConnections(data.dependencies);
+    processBoundaryConnections(state.connections);
+    processSystemHeaderConnections(state.connections);
     
-    renderLayers();
-    renderDatabaseNodes();
+    renderDiagramNodes();
+    updatePackageViewToggle();
     renderStats();
     renderFileList();
     updateTransform();
@@ -125,6 +140,137 @@ function renderDatabaseNodes() {
     });
 }
 
+// Targets outside the analyzed folder, collapsed per directory
+// Layers derived from connections, always rendered after the architectural layers
+const DERIVED_LAYERS = ['boundary', 'system', 'database'];
+
+function processBoundaryConnections(connections) {
+    const boundaries = new Set();
+    connections.forEach(conn => {
+        if (conn.to.startsWith('[Boundary]')) {
+            boundaries.add(conn.to);
+        }
+    });
+    
+    state.boundaries = Array.from(boundaries).sort();
+}
+
+function renderBoundaryNodes() {
+    if (!state.boundaries || state.boundaries.length === 0) return;
+    
+    let boundaryLayer = document.querySelector('[data-layer="boundary"]');
+    if (!boundaryLayer) {
+        boundaryLayer = document.createElement('div');
+        boundaryLayer.className = 'layer layer-boundary';
+        boundaryLayer.setAttribute('data-layer', 'boundary');
+        boundaryLayer.innerHTML = `
+            <span class="layer-title">Outside Scope</span>
+            <div class="components-grid" id="boundary-components"></div>
+        `;
+        layersContainer.insertBefore(boundaryLayer, layersContainer.querySelector('[data-layer="database"]'));
+    }
+    
+    const grid = boundaryLayer.querySelector('.components-grid');
+    state.boundaries.forEach(boundary => {
+        grid.appendChild(createBoundaryNode(boundary));
+    });
+}
+
+function createBoundaryNode(boundary) {
+    const dirPath = boundary.replace('[Boundary] ', '');
+    const referenceCount = state.connections.filter(conn => conn.to === boundary).length;
+    const node = { id: boundary, name: dirPath, file: dirPath, type: 'boundary', layer: 'boundary', referenceCount };
+    
+    const div = document.createElement('div');
+    div.className = 'component boundary-node';
+    div.setAttribute('data-id', boundary);
+    
+    div.innerHTML = `
+        <div class="component-header">
+            <div class="component-title">
+                <span>📦</span> ${dirPath}
+            </div>
+            <div class="component-badge">Outside Scope</div>
+        </div>
+        <div class="component-content">
+            <div class="component-section">
+                <div class="component-section-title">References</div>
+                <div class="component-item">${referenceCount}</div>
+            </div>
+        </div>
+    `;
+    
+    div.addEventListener('click', () => selectComponent(div, node));
+    div.addEventListener('mouseenter', (e) => showTooltip(e, node));
+    div.addEventListener('mouseleave', hideTooltip);
+    
+    return div;
+}
+
+// System headers: #include <...> that is not part of the project
+function processSystemHeaderConnections(connections) {
+    const headers = new Set();
+    connections.forEach(conn => {
+        if (conn.to.startsWith('[System]')) {
+            headers.add(conn.to);
+        }
+    });
+    
+    state.systemHeaders = Array.from(headers).sort();
+}
+
+function renderSystemHeaderNodes() {
+    if (!state.systemHeaders || state.systemHeaders.length === 0) return;
+    
+    let systemLayer = document.querySelector('[data-layer="system"]');
+    if (!systemLayer) {
+        systemLayer = document.createElement('div');
+        systemLayer.className = 'layer layer-system';
+        systemLayer.setAttribute('data-layer', 'system');
+        systemLayer.innerHTML = `
+            <span class="layer-title">System Headers</span>
+            <div class="components-grid" id="system-components"></div>
+        `;
+        layersContainer.insertBefore(systemLayer, layersContainer.querySelector('[data-layer="database"]'));
+    }
+    
+    const grid = systemLayer.querySelector('.components-grid');
+    state.systemHeaders.forEach(header => {
+        grid.appendChild(createSystemHeaderNode(header));
+    });
+}
+
+function createSystemHeaderNode(header) {
+    const headerPath = header.replace('[System] ', '');
+    const referenceCount = state.connections.filter(conn => conn.to === header).length;
+    const node = { id: header, name: `<${headerPath}>`, file: headerPath, type: 'system', layer: 'system', referenceCount };
+    
+    const div = document.createElement('div');
+    div.className = 'component system-header-node';
+    div.setAttribute('data-id', header);
+    
+    div.innerHTML = `
+        <div class="component-header">
+            <div class="component-title">
+                <span>📚</span> &lt;${headerPath}&gt;
+            </div>
+            <div class="component-badge">System Header</div>
+        </div>
+        <div class="component-content">
+            <div class="component-section">
+                <div class="component-section-title">Included By</div>
+                <div class="component-item">${referenceCount}</div>
+            </div>
+        </div>
+    `;
+    
+    div.addEventListener('click', () => selectComponent(div, node));
+    div.addEventListener('mouseenter', (e) => showTooltip(e, node));
+    div.addEventListener('mouseleave', hideTooltip);
+    
+    return div;
+}
+
 function createDatabaseNode(dbType) {
     const div = document.createElement('div');
     div.className = 'component database-node';
@@ -175,47 +321,332 @@ function createDatabaseNode(dbType) {
     return div;
 }
 
-function renderLayers() {
-    const layerInfo = {
-        vscode: { title: 'VS Code Extension API Layer', class: 'layer-vscode' },
-        core: { title: 'Core Services Layer', class: 'layer-core' },
-        analysis: { title: 'Analysis & Processing Layer', class: 'layer-analysis' },
-        rendering: { title: 'Rendering & UI Layer', class: 'layer-rendering' },
-        utility: { title: 'Utility & Support Layer', class: 'layer-utility' }
-    };
+// Architectural layers come from the layer rules (.codesync/layers.json)
+const layerInfo = {
+    packages: { title: 'Workspace Packages', class: 'layer-packages' },
+    callers: { title: 'Callers', class: 'layer-callers' },
+    callFocus: { title: 'Traced Functions', class: 'layer-call-focus' },
+    callees: { title: 'Callees', class: 'layer-callees' }
+};
+
+// How many calls away from the traced functions the call graph follows
+const CALL_GRAPH_DEPTH = 3;
+
+function setLayerDefinitions(definitions) {
+    Object.keys(layerInfo)
+        .filter(name => layerInfo[name].color)
+        .forEach(name => delete layerInfo[name]);
+    definitions.forEach(definition => {
+        layerInfo[definition.name] = { title: definition.title, class: 'layer-custom', color: definition.color };
+    });
     
+    renderLayerFilters(definitions);
+}
+
+function renderLayerFilters(definitions) {
+    const container = document.getElementById('layerFilters');
+    if (!container) return;
+    
+    // Keep unchecked layers hidden across reloads
+    const hidden = new Set(Array.from(container.querySelectorAll('[data-filter-layer]'))
+        .filter(checkbox => !checkbox.checked)
+        .map(checkbox => checkbox.getAttribute('data-filter-layer')));
+    
+    container.innerHTML = '';
+    definitions.forEach(definition => {
+        // Names, titles and colors come from .codesync/layers.json, so they are never parsed as HTML
+        const label = document.createElement('label');
+        label.className = 'filter-checkbox';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !hidden.has(definition.name);
+        checkbox.setAttribute('data-filter-layer', definition.name);
+        checkbox.addEventListener('change', filterLayers);
+        
+        const dot = document.createElement('span');
+        dot.className = 'layer-color-dot';
+        dot.style.setProperty('background', definition.color);
+        
+        const title = document.createElement('span');
+        title.textContent = definition.title;
+        
+        label.append(checkbox, dot, title);
+        container.appendChild(label);
+    });
+}
+
+function renderDiagramNodes() {
+    renderLayers();
+    renderBoundaryNodes();
+    renderSystemHeaderNodes();
+    renderDatabaseNodes();
+}
+
+function renderLayers() {
     layersContainer.innerHTML = '';
     
-    Object.entries(state.layers).forEach(([layerName, components]) => {
-        if (components.length === 0) {
-            return;
-        }
-        
-        const layerDiv = document.createElement('div');
-        layerDiv.className = `layer ${layerInfo[layerName].class}`;
-        layerDiv.setAttribute('data-layer', layerName);
+    // Multi-root workspaces render each folder as its own group of layers
+    const folders = getWorkspaceFolders();
+    (folders.length > 0 ? folders : [null]).forEach(folder => {
+        Object.entries(state.layers).forEach(([layerName, components]) => {
+            const folderComponents = folder
+                ? components.filter(comp => comp.folder === folder.name)
+                : components;
+            if (folderComponents.length === 0) {
+                return;
+            }
+            
+            const layerDiv = createLayerElement(layerName);
+            (folder ? getFolderContainer(folder.name) : layersContainer).appendChild(layerDiv);
+            
+            const grid = layerDiv.querySelector('.components-grid');
+            
+            folderComponents.forEach(comp => {
+                const componentDiv = createComponentElement(comp);
+                grid.appendChild(componentDiv);
+            });
+        });
+    });
+}
+
+function getWorkspaceFolders() {
+    // Packages and call graphs are not grouped by workspace folder
+    if (state.viewMode === 'packages' || state.viewMode === 'calls') return [];
+    return (state.projectData && state.projectData.workspaceFolders) || [];
+}
+
+function getFolderContainer(folderName) {
+    let group = layersContainer.querySelector(`.workspace-folder-group[data-folder="${folderName}"]`);
+    if (!group) {
+        group = document.createElement('div');
+        group.className = 'workspace-folder-group';
+        group.setAttribute('data-folder', folderName);
+        group.innerHTML = `<span class="workspace-folder-title">📁 ${folderName}</span>`;
         
-        layerDiv.innerHTML = `
-            <span class="layer-title">${layerInfo[layerName].title}</span>
-            <div class="components-grid" id="${layerName}-components"></div>
-        `;
+        // Keep workspace folder order, boundary and database layers last
+        const folderNames = getWorkspaceFolders().map(folder => folder.name);
+        const nextGroup = folderNames
+            .slice(folderNames.indexOf(folderName) + 1)
+            .map(name => layersContainer.querySelector(`.workspace-folder-group[data-folder="${name}"]`))
+            .concat(DERIVED_LAYERS.map(name => layersContainer.querySelector(`[data-layer="${name}"]`)))
+            .find(element => element);
+        layersContainer.insertBefore(group, nextGroup || null);
+    }
+    return group;
+}
+
+function createLayerElement(layerName) {
+    const info = layerInfo[layerName] || { title: layerName, class: 'layer-custom' };
+    const layerDiv = document.createElement('div');
+    layerDiv.className = `layer ${info.class}`;
+    layerDiv.setAttribute('data-layer', layerName);
+    if (info.color) {
+        layerDiv.style.setProperty('--layer-color', info.color);
+    }
+    
+    // Respect the layer filter for layers created by incremental updates
+    const filter = document.querySelector(`[data-filter-layer="${CSS.escape(layerName)}"]`);
+    if (filter && !filter.checked) {
+        layerDiv.style.display = 'none';
+    }
+    
+    // Custom layer names and titles come from .codesync/layers.json
+    const title = document.createElement('span');
+    title.className = 'layer-title';
+    title.textContent = info.title;
+    
+    const grid = document.createElement('div');
+    grid.className = 'components-grid';
+    grid.id = `${layerName}-components`;
+    
+    layerDiv.append(title, grid);
+    
+    return layerDiv;
+}
+
+// Apply an incremental update from the file watcher without resetting zoom/pan
+function applyDelta(delta) {
+    if (!state.projectData) return;
+    
+    if (delta.packages) {
+        state.projectData.packages = delta.packages;
+        updatePackageViewToggle();
+    }
+    if (delta.layerDefinitions) {
+        state.projectData.layerDefinitions = delta.layerDefinitions;
+        setLayerDefinitions(delta.layerDefinitions);
+    }
+    
+    // Package and call graph views are rebuilt from the updated file graph
+    if (state.viewMode !== 'files') {
+        updateGraph(state.fileView, delta);
+        state.projectData.stats = delta.stats;
+        if (delta.fileTree) {
+            state.projectData.fileTree = delta.fileTree;
+            renderFileList();
+        }
         
-        layersContainer.appendChild(layerDiv);
+        if (state.viewMode === 'calls') {
+            if (state.fileView.components.some(comp => comp.id === state.callFocus.id)) {
+                showCallGraph(state.callFocus, false);
+            } else {
+                showFileView();
+            }
+        } else if (state.viewMode === 'package' && getPackage(state.currentPackage)) {
+            drillIntoPackage(state.currentPackage, false);
+        } else if ((state.projectData.packages || []).length > 0) {
+            showPackageView(false);
+        } else {
+            // The last package was removed: nothing left to draw in the package graph
+            showFileView();
+        }
+        return;
+    }
+    
+    const { removedIds, updatedIds } = updateGraph(state, delta);
+    
+    state.projectData.components = state.components;
+    state.projectData.connections = state.connections;
+    state.projectData.stats = delta.stats;
+    if (delta.fileTree) {
+        state.projectData.fileTree = delta.fileTree;
+    }
+    
+    if (state.selectedComponent && state.selectedComponent.id) {
+        if (removedIds.has(state.selectedComponent.id)) {
+            state.selectedComponent = null;
+        } else if (updatedIds.has(state.selectedComponent.id)) {
+            state.selectedComponent = delta.updatedComponents.find(comp => comp.id === state.selectedComponent.id);
+        }
+    }
+    
+    // Changed layer rules can move every component, so render from scratch
+    if (delta.layerDefinitions) {
+        if (delta.fileTree) {
+            renderFileList();
+        }
+        rerenderDiagram(false);
+        return;
+    }
+    
+    // Patch only the affected component nodes
+    removedIds.forEach(id => {
+        const element = layersContainer.querySelector(`.component[data-id="${id}"]`);
+        if (element) element.remove();
+    });
+    
+    delta.updatedComponents.forEach(comp => {
+        const element = createComponentElement(comp);
+        const existing = layersContainer.querySelector(`.component[data-id="${comp.id}"]`);
+        const grid = getLayerGrid(comp.layer, comp.folder);
         
-        const grid = layerDiv.querySelector('.components-grid');
+        if (existing && existing.classList.contains('selected')) {
+            element.classList.add('selected');
+        }
         
-        components.forEach(comp => {
-            const componentDiv = createComponentElement(comp);
-            grid.appendChild(componentDiv);
-        });
+        if (existing && existing.parentElement === grid) {
+            existing.replaceWith(element);
+        } else {
+            if (existing) existing.remove();
+            grid.appendChild(element);
+        }
+    });
+    
+    // Drop layers that became empty
+    layersContainer.querySelectorAll('.layer').forEach(layerDiv => {
+        const layerName = layerDiv.getAttribute('data-layer');
+        if (!DERIVED_LAYERS.includes(layerName) && !layerDiv.querySelector('.component')) {
+            layerDiv.remove();
+        }
+    });
+    
+    // Boundary, system header and database nodes are derived from connections
+    DERIVED_LAYERS.forEach(layerName => {
+        const layerDiv = document.querySelector(`[data-layer="${layerName}"]`);
+        if (layerDiv) layerDiv.remove();
+    });
+    processBoundaryConnections(state.connections);
+    processSystemHeaderConnections(state.connections);
+    processDatabaseConnections(state.connections);
+    renderBoundaryNodes();
+    renderSystemHeaderNodes();
+    renderDatabaseNodes();
+    
+    renderStats();
+    if (delta.fileTree) {
+        renderFileList();
+    }
+    
+    setTimeout(() => {
+        drawConnections();
+        if (state.selectedComponent && state.selectedComponent.id) {
+            highlightConnections(state.selectedComponent.id);
+        }
+        updateMinimap();
+    }, 100);
+}
+
+// Apply delta components and connections to a { layers, components, connections } graph
+function updateGraph(graph, delta) {
+    const removedIds = new Set(delta.removedComponents);
+    const updatedIds = new Set(delta.updatedComponents.map(comp => comp.id));
+    const isReplaced = comp => removedIds.has(comp.id) || updatedIds.has(comp.id);
+    
+    // Update components and layers
+    graph.components = graph.components.filter(comp => !isReplaced(comp)).concat(delta.updatedComponents);
+    Object.keys(graph.layers).forEach(layerName => {
+        graph.layers[layerName] = graph.layers[layerName].filter(comp => !isReplaced(comp));
+    });
+    delta.updatedComponents.forEach(comp => {
+        graph.layers[comp.layer] = graph.layers[comp.layer] || [];
+        graph.layers[comp.layer].push(comp);
     });
+    
+    // Follow the order of the new layer rules
+    if (delta.layerDefinitions) {
+        const layers = {};
+        delta.layerDefinitions.forEach(definition => {
+            layers[definition.name] = graph.layers[definition.name] || [];
+        });
+        graph.layers = layers;
+    }
+    
+    // Update connections
+    const connectionKey = conn => `${conn.from}|${conn.to}|${conn.type}`;
+    const removedConnections = new Set(delta.removedConnections.map(connectionKey));
+    graph.connections = graph.connections
+        .filter(conn => !removedConnections.has(connectionKey(conn)))
+        .concat(delta.addedConnections);
+    
+    return { removedIds, updatedIds };
+}
+
+function getLayerGrid(layerName, folderName) {
+    const container = folderName && getWorkspaceFolders().length > 0
+        ? getFolderContainer(folderName)
+        : layersContainer;
+    
+    let layerDiv = container.querySelector(`:scope > .layer[data-layer="${CSS.escape(layerName)}"]`);
+    if (!layerDiv) {
+        layerDiv = createLayerElement(layerName);
+        
+        // Keep the layer order used by renderLayers, derived layers last
+        const nextLayer = Object.keys(state.layers)
+            .slice(Object.keys(state.layers).indexOf(layerName) + 1)
+            .concat(DERIVED_LAYERS)
+            .map(name => container.querySelector(`:scope > .layer[data-layer="${CSS.escape(name)}"]`))
+            .find(element => element);
+        container.insertBefore(layerDiv, nextLayer || null);
+    }
+    return layerDiv.querySelector('.components-grid');
 }
 
 function createComponentElement(comp) {
     const div = document.createElement('div');
     // 사용되지 않는 파일은 다른 스타일 적용
     const isUnused = comp.isUsed === false;
-    div.className = `component ${comp.type || ''} ${isUnused ? 'unused' : ''}`;
+    div.className = `component ${comp.type || ''} ${isUnused ? 'unused' : ''} ${comp.isBarrel ? 'barrel' : ''}`;
     div.setAttribute('data-id', comp.id);
     div.setAttribute('data-file', comp.file);
     
@@ -228,20 +659,27 @@ function createComponentElement(comp) {
         provider: '🔧',
         webview: '🖼️',
         component: '📄',
-        file: '📁'
+        file: '📁',
+        package: '📦',
+        function: '⚙️'
     };
     
     const icon = iconMap[comp.type] || '📄';
     
     if (state.umlView) {
         // UML Class Diagram format
+        const parents = state.connections
+            .filter(conn => conn.from === comp.id && conn.type === 'inheritance')
+            .flatMap(conn => conn.specifiers && conn.specifiers.length > 0 ? conn.specifiers : [getComponentFile(conn.to)]);
         div.innerHTML = `
             <div class="uml-class">
                 <div class="uml-class-name">
                     ${comp.name}
-                    ${isUnused ? '<span class="unused-badge" title="Unused file">⚠️</span>' : ''}
+                    ${comp.isEntryPoint ? '<span class="entry-badge" title="Entry point">🚪</span>' : ''}
+                    ${isUnused ? '<span class="unused-badge" title="Unreachable from any entry point">⚠️</span>' : ''}
                 </div>
                 <div class="uml-class-type">${comp.type || 'component'}</div>
+                ${parents.length > 0 ? `<div class="uml-class-parents">◁ ${parents.join(', ')}</div>` : ''}
                 <div class="uml-class-attributes">
                     ${comp.functions && comp.functions.length > 0 ? 
                         comp.functions.slice(0, 3).map(fn => `<div class="uml-attribute">+ ${fn}</div>`).join('') : 
@@ -267,15 +705,24 @@ function createComponentElement(comp) {
             <div class="component-header">
                 <div class="component-title">
                     <span>${icon}</span> ${comp.name}
-                    ${isUnused ? '<span class="unused-badge" title="Unused file">⚠️</span>' : ''}
+                    ${comp.isEntryPoint ? '<span class="entry-badge" title="Entry point">🚪</span>' : ''}
+                    ${isUnused ? '<span class="unused-badge" title="Unreachable from any entry point">⚠️</span>' : ''}
                 </div>
                 ${comp.type === 'service' ? '<div class="component-badge">Service</div>' : ''}
+                ${comp.isBarrel ? '<div class="component-badge" title="Re-exports other modules">Barrel</div>' : ''}
             </div>
             <div class="component-content">
                 <div class="component-section">
                     <div class="component-section-title">File</div>
                     <div class="component-item">${comp.file}</div>
                 </div>
+                ${comp.exports && comp.exports.length > 0 ? renderExportsSection(comp) : ''}
+                ${comp.pairedFile ? `
+                    <div class="component-section">
+                        <div class="component-section-title">Paired With</div>
+                        <div class="component-item">${comp.pairedFile.split('/').pop()}</div>
+                    </div>
+                ` : ''}
                 ${comp.description ? `
                     <div class="component-section">
                         <div class="component-section-title">Description</div>
@@ -296,6 +743,30 @@ function createComponentElement(comp) {
     div.addEventListener('mouseenter', (e) => showTooltip(e, comp));
     div.addEventListener('mouseleave', hideTooltip);
     
+    const symbolToggle = div.querySelector('.symbol-toggle');
+    if (symbolToggle) {
+        symbolToggle.addEventListener('click', (e) => {
+            toggleSymbols(comp);
+            e.stopPropagation();
+        });
+    }
+    
+    // Double-click a package to see its files
+    if (comp.type === 'package') {
+        div.addEventListener('dblclick', (e) => {
+            drillIntoPackage(comp.name);
+            e.stopPropagation();
+        });
+    }
+    
+    // Double-click a function to trace it instead
+    if (comp.type === 'function') {
+        div.addEventListener('dblclick', (e) => {
+            showCallGraph({ id: comp.fileId, fn: comp.name });
+            e.stopPropagation();
+        });
+    }
+    
     return div;
 }
 
@@ -304,11 +775,157 @@ function renderStats() {
     const statsContent = document.getElementById('statsContent');
     
     statsContent.innerHTML = `
+        ${state.projectData.scope ? `<div>Scope: <strong>${state.projectData.scope}</strong></div>` : ''}
+        ${state.currentPackage ? `<div>Package: <strong>${state.currentPackage}</strong></div>` : ''}
+        ${state.viewMode === 'calls' ? `<div>Call Graph: <strong>${state.callFocus.fn || state.callFocus.file}</strong></div>` : ''}
         <div>Total Files: <strong>${stats.totalFiles}</strong></div>
         <div>Total Size: <strong>${formatBytes(stats.totalSize)}</strong></div>
         <div>Dependencies: <strong>${stats.totalDependencies}</strong></div>
         <div>Layers: <strong>${Object.keys(state.layers).length}</strong></div>
+        ${getLayerViolations().length > 0 ? `<div>Layer Violations: <strong class="stat-violation">${getLayerViolations().length}</strong></div>` : ''}
+    `;
+    renderUnusedExports();
+}
+
+function renderExportsSection(comp) {
+    const expanded = state.expandedSymbols.has(comp.id);
+    const symbols = expanded ? getSymbolUsage().get(comp.id) : null;
+    
+    return `
+        <div class="component-section component-exports">
+            <div class="component-section-title symbol-toggle">${expanded ? '▾' : '▸'} Exports (${comp.exports.length})</div>
+            ${expanded ? comp.exports.map(name => {
+                const users = symbols && symbols.has(name) ? symbols.get(name).size : 0;
+                return `
+                    <div class="component-symbol${users === 0 ? ' unused-symbol' : ''}" data-symbol="${name}" title="Used by ${users} file${users === 1 ? '' : 's'}">
+                        ${name}<span class="symbol-usage">${users}</span>
+                    </div>
+                `;
+            }).join('') : ''}
+        </div>
+    `;
+}
+
+function toggleSymbols(comp) {
+    if (state.expandedSymbols.has(comp.id)) {
+        state.expandedSymbols.delete(comp.id);
+    } else {
+        state.expandedSymbols.add(comp.id);
+    }
+    
+    const existing = layersContainer.querySelector(`.component[data-id="${comp.id}"]`);
+    if (existing) {
+        const element = createComponentElement(comp);
+        if (existing.classList.contains('selected')) {
+            element.classList.add('selected');
+        }
+        existing.replaceWith(element);
+    }
+    
+    drawConnections();
+    updateMinimap();
+}
+
+// Component id -> exported name -> ids of the files that reference it
+function getSymbolUsage() {
+    const graph = state.viewMode === 'files' ? state : state.fileView;
+    const usage = new Map();
+    graph.components
+        .filter(comp => comp.exports)
+        .forEach(comp => usage.set(comp.id, new Map(comp.exports.map(name => [name, new Set()]))));
+    
+    // export * from './x' forwards every name the barrel does not declare itself
+    const starExports = new Map();
+    graph.connections
+        .filter(conn => conn.type === 'export' && (conn.specifiers || []).includes('*'))
+        .forEach(conn => starExports.set(conn.from, [...(starExports.get(conn.from) || []), conn.to]));
+    
+    function markUsed(targetId, name, userId, visited) {
+        if (visited.has(targetId)) return;
+        visited.add(targetId);
+        
+        const symbols = usage.get(targetId);
+        if (name === '*') {
+            if (symbols) symbols.forEach(users => users.add(userId));
+            (starExports.get(targetId) || []).forEach(next => markUsed(next, name, userId, visited));
+        } else if (symbols && symbols.has(name)) {
+            symbols.get(name).add(userId);
+        } else {
+            (starExports.get(targetId) || []).forEach(next => markUsed(next, name, userId, visited));
+        }
+    }
+    
+    graph.connections
+        .filter(conn => conn.type === 'import' || (conn.type === 'export' && !(conn.specifiers || []).includes('*')))
+        .forEach(conn => {
+            (conn.usedSpecifiers || conn.specifiers || []).forEach(name => markUsed(conn.to, name, conn.from, new Set()));
+        });
+    
+    return usage;
+}
+
+function getUnusedExports() {
+    const graph = state.viewMode === 'files' ? state : state.fileView;
+    // Files nobody imports may be entry points, so only imported files are reported
+    const imported = new Set(graph.connections
+        .filter(conn => conn.type === 'import' || conn.type === 'export')
+        .map(conn => conn.to));
+    const files = new Map(graph.components.map(comp => [comp.id, comp.file]));
+    
+    const unused = [];
+    getSymbolUsage().forEach((symbols, id) => {
+        if (!imported.has(id)) return;
+        symbols.forEach((users, name) => {
+            if (users.size === 0) {
+                unused.push({ id, name, file: files.get(id) });
+            }
+        });
+    });
+    return unused;
+}
+
+function renderUnusedExports() {
+    const container = document.getElementById('unusedExports');
+    const unused = getUnusedExports();
+    
+    if (unused.length === 0) {
+        container.innerHTML = 'No unused exports found';
+        return;
+    }
+    
+    container.innerHTML = `
+        <div>Unused Exports: <strong>${unused.length}</strong></div>
+        ${unused.map((entry, index) => `
+            <div class="unused-export" data-index="${index}" title="${entry.file}">
+                <span class="unused-export-name">${entry.name}</span>
+                <span class="unused-export-file">${entry.file.split('/').pop()}</span>
+            </div>
+        `).join('')}
     `;
+    container.querySelectorAll('.unused-export').forEach(item => {
+        item.addEventListener('click', () => revealSymbol(unused[item.getAttribute('data-index')]));
+    });
+}
+
+function revealSymbol(entry) {
+    if (state.viewMode !== 'files') {
+        showFileView();
+    }
+    const comp = state.components.find(c => c.id === entry.id);
+    if (!comp) return;
+    
+    if (!state.expandedSymbols.has(comp.id)) {
+        toggleSymbols(comp);
+    }
+    const element = document.querySelector(`.component[data-id="${comp.id}"]`);
+    if (!element) return;
+    
+    selectComponent(element, comp);
+    const symbol = element.querySelector(`.component-symbol[data-symbol="${entry.name}"]`);
+    if (symbol) {
+        symbol.classList.add('highlight-cycle');
+        setTimeout(() => symbol.classList.remove('highlight-cycle'), 1500);
+    }
 }
 
 function renderFileList() {
@@ -418,7 +1035,17 @@ function getFileIcon(extension) {
         '.xml': '📰',
         '.py': '🐍',
         '.java': '☕',
-        '.go': '🐹'
+        '.go': '🐹',
+        '.png': '🖼️',
+        '.jpg': '🖼️',
+        '.jpeg': '🖼️',
+        '.gif': '🖼️',
+        '.svg': '🖼️',
+        '.webp': '🖼️',
+        '.woff': '🔤',
+        '.woff2': '🔤',
+        '.ttf': '🔤',
+        '.otf': '🔤'
     };
     
     return iconMap[extension] || '📄';
@@ -452,7 +1079,12 @@ function drawConnections() {
         'database': { color: '#e74c3c', size: 6 },
         'include': { color: '#bc6bd6', size: 6 },
         'script': { color: '#f1fa8c', size: 6 },
-        'stylesheet': { color: '#ff79c6', size: 6 }
+        'stylesheet': { color: '#ff79c6', size: 6 },
+        'asset': { color: '#e3b341', size: 5 },
+        'navigation': { color: '#39c5cf', size: 6 },
+        'call': { color: '#a371f7', size: 6 },
+        'devDependency': { color: '#8b949e', size: 6 },
+        'violation': { color: '#f85149', size: 7 }
     };
     
     // Create markers for each type
@@ -473,6 +1105,25 @@ function drawConnections() {
         defs.appendChild(marker);
     });
     
+    // UML generalization: hollow triangle pointing at the parent
+    const generalizationMarker = document.createElementNS('http://www.w3.org/2000/svg', 'marker');
+    generalizationMarker.setAttribute('id', 'arrowhead-generalization');
+    generalizationMarker.setAttribute('markerWidth', 12);
+    generalizationMarker.setAttribute('markerHeight', 12);
+    generalizationMarker.setAttribute('refX', 11);
+    generalizationMarker.setAttribute('refY', 6);
+    generalizationMarker.setAttribute('orient', 'auto');
+    generalizationMarker.setAttribute('markerUnits', 'userSpaceOnUse');
+    
+    const triangle = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+    triangle.setAttribute('points', '1 1, 11 6, 1 11');
+    triangle.setAttribute('fill', '#0d1117');
+    triangle.setAttribute('stroke', connectionTypes['inheritance'].color);
+    triangle.setAttribute('stroke-width', '1.5');
+    
+    generalizationMarker.appendChild(triangle);
+    defs.appendChild(generalizationMarker);
+    
     svg.appendChild(defs);
     
     // Helper function to calculate optimal connection points
@@ -532,10 +1183,20 @@ function drawConnections() {
         return { fromPoint, toPoint };
     }
     
+    // In UML view the generalization arrow replaces the import drawn between the same two files
+    const generalizations = new Set(state.connections
+        .filter(conn => conn.type === 'inheritance')
+        .map(conn => `${conn.from}->${conn.to}`));
+    
     // Draw connections
-    state.connections.forEach((conn, index) => {
+    getDrawnConnections().forEach(({ conn, symbol }, index) => {
+        if (state.umlView && conn.type !== 'inheritance' && generalizations.has(`${conn.from}->${conn.to}`)) {
+            return;
+        }
+        
         const fromEl = document.querySelector(`[data-id="${conn.from}"]`);
-        const toEl = document.querySelector(`[data-id="${conn.to}"]`);
+        const toEl = (symbol && document.querySelector(`.component[data-id="${conn.to}"] .component-symbol[data-symbol="${symbol}"]`)) ||
+            document.querySelector(`[data-id="${conn.to}"]`);
         
         if (fromEl && toEl) {
             const fromRect = fromEl.getBoundingClientRect();
@@ -553,6 +1214,9 @@ function drawConnections() {
             
             const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
             g.setAttribute('data-connection', `${conn.from}-${conn.to}`);
+            if (symbol) {
+                g.setAttribute('data-symbol', symbol);
+            }
             
             const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
             
@@ -573,16 +1237,18 @@ function drawConnections() {
             }
             
             path.setAttribute('d', d);
-            path.setAttribute('class', `connection-path connection-${conn.type}`);
+            const isGeneralization = state.umlView && conn.type === 'inheritance' && !conn.violation;
+            path.setAttribute('class', `connection-path connection-${conn.type}${conn.isTypeOnly ? ' connection-type-only' : ''}${conn.via ? ' connection-flattened' : ''}${conn.violation ? ' connection-violation' : ''}${isGeneralization ? ' connection-generalization' : ''}`);
             path.setAttribute('id', `path-${index}`);
             path.setAttribute('data-type', conn.type);
             
-            // Use appropriate marker based on connection type
-            const markerType = connectionTypes[conn.type] ? conn.type : 'import';
+            // Use appropriate marker based on connection type (layer rule violations are always red)
+            const styleType = conn.violation ? 'violation' : conn.type;
+            const markerType = isGeneralization ? 'generalization' : connectionTypes[styleType] ? styleType : 'import';
             path.setAttribute('marker-end', `url(#arrowhead-${markerType})`);
             
             // Add connection type specific styling
-            const typeConfig = connectionTypes[conn.type] || connectionTypes['import'];
+            const typeConfig = connectionTypes[styleType] || connectionTypes['import'];
             path.style.stroke = typeConfig.color;
             
             g.appendChild(path);
@@ -618,6 +1284,62 @@ function drawConnections() {
     });
 }
 
+// Files with expanded exports get one edge per referenced symbol instead of one per file
+function getDrawnConnections() {
+    return getFlattenedConnections().flatMap(conn => {
+        const target = !state.umlView && state.expandedSymbols.has(conn.to) &&
+            (conn.type === 'import' || conn.type === 'export') &&
+            state.components.find(comp => comp.id === conn.to);
+        const symbols = target
+            ? (conn.usedSpecifiers || conn.specifiers || []).filter(name => (target.exports || []).includes(name))
+            : [];
+        return symbols.length > 0 ? symbols.map(symbol => ({ conn, symbol })) : [{ conn, symbol: null }];
+    });
+}
+
+// With barrel flattening on, an import of a barrel is redrawn to the modules that declare the imported symbols.
+// Symbols the barrel declares itself (or that cannot be traced) keep the edge to the barrel.
+function getFlattenedConnections() {
+    if (!state.flattenBarrels) {
+        return state.connections;
+    }
+    const ids = new Set(state.components.map(comp => comp.id));
+    return state.connections.flatMap(conn => {
+        const sources = (conn.reExportSources || []).filter(source => ids.has(source.id));
+        if (sources.length === 0) {
+            return [conn];
+        }
+        
+        const flattened = sources.map(source => ({
+            ...conn,
+            to: source.id,
+            specifiers: source.specifiers,
+            usedSpecifiers: source.usedSpecifiers,
+            via: source.via
+        }));
+        // Same names the analyzer traced: members accessed through a namespace import, otherwise the imported names
+        const isNamespace = conn.specifiers.includes('*');
+        const traced = new Set(sources.flatMap(source => source.importedNames));
+        const remaining = (isNamespace ? conn.usedSpecifiers || [] : conn.specifiers).filter(name => !traced.has(name));
+        if (remaining.length === 0) {
+            return flattened;
+        }
+        return [...flattened, {
+            ...conn,
+            specifiers: isNamespace ? conn.specifiers : remaining,
+            usedSpecifiers: conn.usedSpecifiers && conn.usedSpecifiers.filter(name => !traced.has(name))
+        }];
+    });
+}
+
+function toggleBarrelFlattening() {
+    state.flattenBarrels = !state.flattenBarrels;
+    document.getElementById('barrelToggle').classList.toggle('active', state.flattenBarrels);
+    document.body.classList.toggle('flatten-barrels', state.flattenBarrels);
+    drawConnections();
+    updateMinimap();
+}
+
 // New function to show connection details
 function showConnectionTooltip(connection, position) {
     const tooltipTitle = tooltip.querySelector('.tooltip-title');
@@ -628,7 +1350,11 @@ function showConnectionTooltip(connection, position) {
         <div>From: ${connection.from}</div>
         <div>To: ${connection.to}</div>
         ${connection.label ? `<div>Label: ${connection.label}</div>` : ''}
-        <div>Type: ${connection.type}</div>
+        <div>Type: ${connection.type}${connection.isTypeOnly ? ' (type-only)' : ''}</div>
+        ${connection.specifiers && connection.specifiers.length > 0 ? `<div>Imports: ${connection.specifiers.join(', ')}</div>` : ''}
+        ${connection.usedSpecifiers ? `<div>Used: ${connection.usedSpecifiers.join(', ') || 'none'}</div>` : ''}
+        ${connection.via ? `<div>Via: ${connection.via.map(getComponentFile).join(' → ')}</div>` : ''}
+        ${connection.violation ? `<div class="tooltip-warning">⚠️ Layer rule: ${connection.violation}</div>` : ''}
     `;
     
     const containerRect = diagramContent.getBoundingClientRect();
@@ -721,9 +1447,24 @@ function attachEventListeners() {
         umlToggleBtn.addEventListener('click', toggleUMLView);
     }
     
+    const barrelToggleBtn = document.getElementById('barrelToggle');
+    if (barrelToggleBtn) {
+        barrelToggleBtn.addEventListener('click', toggleBarrelFlattening);
+    }
+    
+    const packageViewBtn = document.getElementById('packageViewToggle');
+    if (packageViewBtn) {
+        packageViewBtn.addEventListener('click', togglePackageView);
+    }
+    
     // Analysis tools
     document.getElementById('findCircularDeps').addEventListener('click', findCircularDependencies);
+    document.getElementById('showLayerViolations').addEventListener('click', showLayerViolations);
+    document.getElementById('showIncludeFanOut').addEventListener('click', showIncludeFanOut);
     document.getElementById('showCriticalPath').addEventListener('click', showCriticalPath);
+    document.getElementById('showSiteMap').addEventListener('click', showSiteMap);
+    document.getElementById('showCallGraph').addEventListener('click', openCallGraph);
+    document.getElementById('showUnusedFiles').addEventListener('click', showUnusedFiles);
     document.getElementById('generateReport').addEventListener('click', generateReport);
     
     // New advanced actions
@@ -733,11 +1474,6 @@ function attachEventListeners() {
     document.getElementById('showDependencyTree').addEventListener('click', showDependencyTree);
     document.getElementById('resolveDependencies').addEventListener('click', resolveDependencies);
     
-    // Layer filters
-    document.querySelectorAll('[data-filter-layer]').forEach(checkbox => {
-        checkbox.addEventListener('change', filterLayers);
-    });
-    
     // File preview close button
     document.getElementById('closePreview').addEventListener('click', hideFilePreview);
     
@@ -1405,6 +2141,7 @@ function resetView() {
     state.selectedComponent = null;
     state.isSpacePressed = false;
     state.umlView = false;
+    state.flattenBarrels = false;
     
     // Clear any filters or selections
     clearSelection();
@@ -1415,6 +2152,11 @@ function resetView() {
     if (umlBtn) {
         umlBtn.classList.remove('active');
     }
+    document.body.classList.remove('flatten-barrels');
+    const barrelBtn = document.getElementById('barrelToggle');
+    if (barrelBtn) {
+        barrelBtn.classList.remove('active');
+    }
     
     // Reset search
     const searchInput = document.getElementById('searchInput');
@@ -1865,8 +2607,8 @@ function findCircularDependencies() {
         recursionStack.add(nodeId);
         path.push(nodeId);
         
-        // Find all connections from this node
-        const outgoing = state.connections.filter(conn => conn.from === nodeId);
+        // Find all connections from this node (pages linking back to each other is not a dependency cycle)
+        const outgoing = state.connections.filter(conn => conn.from === nodeId && conn.type !== 'navigation');
         for (const conn of outgoing) {
             dfs(conn.to, [...path]);
         }
@@ -1987,8 +2729,274 @@ function showCircularDependencyPanel(cycles) {
     document.body.appendChild(panel);
 }
 
-// 특정 사이클 하이라이트
-function highlightCycle(cycleIndex) {
+// 레이어 의존성 규칙 위반
+function getLayerViolations() {
+    return state.connections.filter(conn => conn.violation);
+}
+
+function getComponentFile(componentId) {
+    const comp = state.components.find(c => c.id === componentId);
+    return comp ? comp.file : componentId;
+}
+
+function showLayerViolations() {
+    const violations = getLayerViolations();
+    updateMetrics({ layerViolations: violations.length });
+    
+    if (violations.length === 0) {
+        showNotification('No layer rule violations found!');
+        return;
+    }
+    
+    showNotification(`Found ${violations.length} layer rule violations!`);
+    showLayerViolationPanel(violations);
+}
+
+// 위반 목록 패널 (원형 의존성 패널과 같은 형태)
+function showLayerViolationPanel(violations) {
+    const existingPanel = document.getElementById('layerViolationPanel');
+    if (existingPanel) {
+        existingPanel.remove();
+    }
+    
+    const panel = document.createElement('div');
+    panel.id = 'layerViolationPanel';
+    panel.className = 'circular-dep-panel layer-violation-panel';
+    
+    let panelHTML = `
+        <div class="panel-header">
+            <h3>🚫 Layer Rule Violations</h3>
+            <button class="close-btn" onclick="this.parentElement.parentElement.remove()">✕</button>
+        </div>
+        <div class="panel-content">
+    `;
+    
+    violations.forEach((conn, index) => {
+        panelHTML += `
+            <div class="cycle-item">
+                <div class="cycle-header">
+                    <span class="cycle-number">${conn.violation}</span>
+                    <div class="cycle-actions">
+                        <button class="action-btn" onclick="highlightViolation(${index})">
+                            🔍 Highlight
+                        </button>
+                    </div>
+                </div>
+                <div class="cycle-path">
+                    ${getComponentFile(conn.from)} → ${getComponentFile(conn.to)}
+                </div>
+            </div>
+        `;
+    });
+    
+    panelHTML += '</div>';
+    panel.innerHTML = panelHTML;
+    document.body.appendChild(panel);
+}
+
+// Include fan-out: everything reached through #include chains, and every file rebuilt when this one changes
+function getIncludeGraph() {
+    const outgoing = new Map();
+    const incoming = new Map();
+    state.connections.filter(conn => conn.type === 'include').forEach(conn => {
+        outgoing.set(conn.from, (outgoing.get(conn.from) || []).concat(conn.to));
+        incoming.set(conn.to, (incoming.get(conn.to) || []).concat(conn.from));
+    });
+    return { outgoing, incoming };
+}
+
+function countReachable(edges, start) {
+    const visited = new Set([start]);
+    const queue = [start];
+    while (queue.length > 0) {
+        (edges.get(queue.shift()) || []).forEach(next => {
+            if (!visited.has(next)) {
+                visited.add(next);
+                queue.push(next);
+            }
+        });
+    }
+    return visited.size - 1;
+}
+
+function getIncludeFanOut(componentId, graph = getIncludeGraph()) {
+    return {
+        direct: (graph.outgoing.get(componentId) || []).length,
+        transitive: countReachable(graph.outgoing, componentId),
+        includedBy: countReachable(graph.incoming, componentId)
+    };
+}
+
+function getIncludeFanOutRanking() {
+    const graph = getIncludeGraph();
+    const ids = new Set([...graph.outgoing.keys(), ...graph.incoming.keys()]);
+    return Array.from(ids)
+        .filter(id => state.components.some(comp => comp.id === id))
+        .map(id => ({ id, ...getIncludeFanOut(id, graph) }))
+        .sort((a, b) => b.includedBy - a.includedBy || b.transitive - a.transitive)
+        .slice(0, 30);
+}
+
+function showIncludeFanOut() {
+    const ranking = getIncludeFanOutRanking();
+    if (ranking.length === 0) {
+        showNotification('No #include dependencies found');
+        return;
+    }
+    
+    const existingPanel = document.getElementById('includeFanOutPanel');
+    if (existingPanel) {
+        existingPanel.remove();
+    }
+    
+    const panel = document.createElement('div');
+    panel.id = 'includeFanOutPanel';
+    panel.className = 'circular-dep-panel include-fan-out-panel';
+    
+    let panelHTML = `
+        <div class="panel-header">
+            <h3>🧱 Include Fan-out</h3>
+            <button class="close-btn" onclick="this.parentElement.parentElement.remove()">✕</button>
+        </div>
+        <div class="panel-content">
+    `;
+    
+    ranking.forEach((entry, index) => {
+        panelHTML += `
+            <div class="cycle-item">
+                <div class="cycle-header">
+                    <span class="cycle-number">${getComponentFile(entry.id)}</span>
+                    <div class="cycle-actions">
+                        <button class="action-btn" onclick="highlightIncludeFanOut(${index})">
+                            🔍 Select
+                        </button>
+                    </div>
+                </div>
+                <div class="cycle-path">
+                    Rebuilds ${entry.includedBy} files · includes ${entry.direct} (${entry.transitive} total)
+                </div>
+            </div>
+        `;
+    });
+    
+    panelHTML += '</div>';
+    panel.innerHTML = panelHTML;
+    document.body.appendChild(panel);
+}
+
+function highlightIncludeFanOut(index) {
+    const entry = getIncludeFanOutRanking()[index];
+    const comp = entry && state.components.find(c => c.id === entry.id);
+    const element = comp && document.querySelector(`[data-id="${comp.id}"]`);
+    if (!element) return;
+    
+    selectComponent(element, comp);
+    element.classList.add('highlight-cycle');
+    setTimeout(() => element.classList.remove('highlight-cycle'), 1500);
+}
+
+// Files not reachable from any entry point (package.json, bundler config, framework conventions)
+function getUnusedFiles() {
+    const graph = state.viewMode === 'files' ? state : state.fileView;
+    return graph.components
+        .filter(comp => comp.isUsed === false)
+        .map(comp => comp.file)
+        .sort();
+}
+
+function showUnusedFiles() {
+    const unused = getUnusedFiles();
+    if (unused.length === 0) {
+        showNotification('No unused files found');
+        return;
+    }
+    
+    const existingPanel = document.getElementById('unusedFilesPanel');
+    if (existingPanel) {
+        existingPanel.remove();
+    }
+    
+    const panel = document.createElement('div');
+    panel.id = 'unusedFilesPanel';
+    panel.className = 'circular-dep-panel unused-files-panel';
+    
+    let panelHTML = `
+        <div class="panel-header">
+            <h3 title="Not reachable from any entry point">🗑️ Unused Files (${unused.length})</h3>
+            <button class="action-btn" onclick="exportUnusedFiles()">💾 Export</button>
+            <button class="close-btn" onclick="this.parentElement.parentElement.remove()">✕</button>
+        </div>
+        <div class="panel-content">
+    `;
+    
+    unused.forEach((file, index) => {
+        panelHTML += `
+            <div class="cycle-item">
+                <div class="cycle-header">
+                    <span class="cycle-number">${file}</span>
+                    <div class="cycle-actions">
+                        <button class="action-btn" onclick="highlightUnusedFile(${index})">
+                            🔍 Select
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    });
+    
+    panelHTML += '</div>';
+    panel.innerHTML = panelHTML;
+    document.body.appendChild(panel);
+}
+
+function highlightUnusedFile(index) {
+    if (state.viewMode !== 'files') {
+        showFileView();
+    }
+    const file = getUnusedFiles()[index];
+    const comp = state.components.find(c => c.file === file);
+    const element = comp && document.querySelector(`[data-id="${comp.id}"]`);
+    if (!element) return;
+    
+    selectComponent(element, comp);
+    element.classList.add('highlight-cycle');
+    setTimeout(() => element.classList.remove('highlight-cycle'), 1500);
+}
+
+function exportUnusedFiles() {
+    vscode.postMessage({
+        command: 'export',
+        data: {
+            format: 'txt',
+            content: getUnusedFiles().join('\n') + '\n'
+        }
+    });
+}
+
+function highlightViolation(index) {
+    const conn = getLayerViolations()[index];
+    if (!conn) return;
+    
+    document.querySelectorAll('.connection-violation.active').forEach(el => {
+        el.classList.remove('active');
+    });
+    
+    const connectionPath = document.querySelector(`[data-connection="${conn.from}-${conn.to}"] path`);
+    if (connectionPath) {
+        connectionPath.classList.add('active');
+    }
+    
+    [conn.from, conn.to].forEach(nodeId => {
+        const component = document.querySelector(`[data-id="${nodeId}"]`);
+        if (component) {
+            component.classList.add('highlight-cycle');
+            setTimeout(() => component.classList.remove('highlight-cycle'), 1500);
+        }
+    });
+}
+
+// 특정 사이클 하이라이트
+function highlightCycle(cycleIndex) {
     // 모든 하이라이트 제거
     document.querySelectorAll('.circular-dependency').forEach(el => {
         el.classList.remove('active');
@@ -2167,7 +3175,7 @@ function showCriticalPath() {
         path.push(nodeId);
         
         let maxLength = path.length;
-        const outgoing = state.connections.filter(conn => conn.from === nodeId);
+        const outgoing = state.connections.filter(conn => conn.from === nodeId && conn.type !== 'navigation');
         
         for (const conn of outgoing) {
             const length = findLongestPath(conn.to, new Set(visited), [...path]);
@@ -2221,6 +3229,33 @@ function showCriticalPath() {
     }
 }
 
+// Site map: dim everything except pages and the links between them
+function showSiteMap() {
+    const button = document.getElementById('showSiteMap');
+    
+    if (document.body.classList.contains('site-map-mode')) {
+        document.body.classList.remove('site-map-mode');
+        document.querySelectorAll('.site-map-node').forEach(node => node.classList.remove('site-map-node'));
+        button.textContent = 'Show Site Map';
+        return;
+    }
+    
+    const links = state.connections.filter(conn => conn.type === 'navigation');
+    if (links.length === 0) {
+        showNotification('No links between pages found');
+        return;
+    }
+    
+    const pages = new Set(links.flatMap(conn => [conn.from, conn.to]));
+    pages.forEach(id => {
+        const node = document.querySelector(`[data-id="${id}"]`);
+        if (node) node.classList.add('site-map-node');
+    });
+    document.body.classList.add('site-map-mode');
+    button.textContent = 'Hide Site Map';
+    showNotification(`Site map: ${pages.size} pages, ${links.length} links`);
+}
+
 function generateReport() {
     showNotification('Generating analysis report...');
     
@@ -2235,6 +3270,11 @@ function generateReport() {
                 components: state.layers[layer].length
             }))
         },
+        layerViolations: getLayerViolations().map(conn => ({
+            from: getComponentFile(conn.from),
+            to: getComponentFile(conn.to),
+            rule: conn.violation
+        })),
         complexity: calculateComplexity(),
         recommendations: generateRecommendations()
     };
@@ -2332,16 +3372,366 @@ function filterLayers() {
         const layer = checkbox.getAttribute('data-filter-layer');
         const isChecked = checkbox.checked;
         
-        const layerElement = document.querySelector(`[data-layer="${layer}"]`);
-        if (layerElement) {
+        // A layer appears once per workspace folder in multi-root workspaces
+        document.querySelectorAll(`[data-layer="${CSS.escape(layer)}"]`).forEach(layerElement => {
             layerElement.style.display = isChecked ? 'block' : 'none';
-        }
+        });
     });
     
     // Redraw connections after filtering
     setTimeout(drawConnections, 100);
 }
 
+// Package View
+function getPackage(name) {
+    return ((state.projectData && state.projectData.packages) || []).find(pkg => pkg.name === name);
+}
+
+// A file belongs to the deepest package that contains it (nested Go packages, root workspace package)
+function getOwningPackage(filePath) {
+    return ((state.projectData && state.projectData.packages) || [])
+        .filter(pkg => !pkg.path || filePath.startsWith(`${pkg.path}/`))
+        .reduce((owner, pkg) => (!owner || pkg.path.length > owner.path.length ? pkg : owner), null);
+}
+
+function togglePackageView() {
+    if (state.viewMode === 'calls') {
+        showFileView();
+    } else if (state.viewMode === 'package') {
+        showPackageView();
+    } else if (state.viewMode === 'packages') {
+        showFileView();
+    } else {
+        showPackageView();
+    }
+}
+
+function saveFileView() {
+    if (state.viewMode === 'files') {
+        state.fileView = {
+            layers: state.layers,
+            components: state.components,
+            connections: state.connections
+        };
+    }
+}
+
+function showFileView() {
+    if (!state.fileView) return;
+    
+    state.viewMode = 'files';
+    state.currentPackage = null;
+    state.layers = state.fileView.layers;
+    state.components = state.fileView.components;
+    state.connections = state.fileView.connections;
+    state.fileView = null;
+    
+    rerenderDiagram(true);
+}
+
+// One node per workspace package, edges from package.json / nx dependencies
+function showPackageView(fit = true) {
+    const packages = (state.projectData && state.projectData.packages) || [];
+    if (packages.length === 0) return;
+    
+    saveFileView();
+    state.viewMode = 'packages';
+    state.currentPackage = null;
+    
+    const packageId = name => `pkg_${name.replace(/[^a-zA-Z0-9]/g, '_')}`;
+    const dependents = new Map();
+    packages.forEach(pkg => pkg.dependencies.forEach(dep => {
+        dependents.set(dep.name, (dependents.get(dep.name) || 0) + 1);
+    }));
+    
+    state.components = packages.map(pkg => ({
+        id: packageId(pkg.name),
+        type: 'package',
+        label: pkg.name,
+        name: pkg.name,
+        file: pkg.path,
+        fullPath: pkg.manifestPath,
+        layer: 'packages',
+        description: [
+            pkg.version ? `v${pkg.version}` : '',
+            `${state.fileView.components.filter(comp => getOwningPackage(comp.file) === pkg).length} files`
+        ].filter(Boolean).join(' · '),
+        referenceCount: dependents.get(pkg.name) || 0
+    }));
+    state.layers = { packages: state.components };
+    state.connections = packages.flatMap(pkg => pkg.dependencies.map(dep => ({
+        from: packageId(pkg.name),
+        to: packageId(dep.name),
+        type: dep.type === 'devDependencies' ? 'devDependency' : 'import',
+        label: dep.type
+    })));
+    
+    rerenderDiagram(fit);
+}
+
+// Show only the files inside one package
+function drillIntoPackage(name, fit = true) {
+    const pkg = getPackage(name);
+    if (!pkg || !state.fileView) return;
+    
+    state.viewMode = 'package';
+    state.currentPackage = name;
+    
+    const inPackage = comp => getOwningPackage(comp.file) === pkg;
+    state.components = state.fileView.components.filter(inPackage);
+    
+    const ids = new Set(state.components.map(comp => comp.id));
+    state.connections = state.fileView.connections.filter(conn =>
+        ids.has(conn.from) && (ids.has(conn.to) || /^\[(?:DB:|Boundary\]|System\])/.test(conn.to))
+    );
+    
+    state.layers = {};
+    Object.entries(state.fileView.layers).forEach(([layerName, components]) => {
+        state.layers[layerName] = components.filter(inPackage);
+    });
+    
+    rerenderDiagram(fit);
+}
+
+// Function-level call edges resolved through imports and re-exports
+function getCallGraph() {
+    const graph = state.viewMode === 'files' ? state : state.fileView;
+    const byId = new Map(graph.components.map(comp => [comp.id, comp]));
+    const byFile = new Map(graph.components.map(comp => [comp.file, comp]));
+    
+    // A barrel only forwards the name, so follow export ... from to the file that defines it
+    function resolveCallee(comp, name, visited = new Set()) {
+        if (!comp || visited.has(comp.id)) return null;
+        visited.add(comp.id);
+        
+        const fn = name === 'default' && comp.defaultExport ? comp.defaultExport : name;
+        const defines = (comp.functions || []).includes(fn) || (comp.classes || []).includes(fn) ||
+            (comp.calls || []).some(call => call.caller === fn);
+        if (!defines) {
+            const forwarded = graph.connections
+                .filter(conn => conn.from === comp.id && conn.type === 'export' &&
+                    (conn.specifiers || []).some(specifier => specifier === fn || specifier === '*'))
+                .map(conn => resolveCallee(byId.get(conn.to), fn, visited))
+                .find(Boolean);
+            if (forwarded) return forwarded;
+        }
+        return { comp, fn };
+    }
+    
+    return graph.components.flatMap(comp => (comp.calls || [])
+        .map(call => ({ from: { comp, fn: call.caller }, to: resolveCallee(byFile.get(call.file), call.callee) }))
+        .filter(edge => edge.to));
+}
+
+function getCallNodeKey(node) {
+    return `${node.comp.id}::${node.fn}`;
+}
+
+function getCallNodeId(node) {
+    return `call_${node.comp.id}__${node.fn.replace(/[^a-zA-Z0-9]/g, '_')}`;
+}
+
+// Functions of a file that take part in calls, for picking what to trace
+function getTraceableFunctions(comp) {
+    const names = new Set([
+        ...(comp.calls || []).map(call => call.caller),
+        ...getCallGraph().filter(edge => edge.to.comp.id === comp.id).map(edge => edge.to.fn)
+    ]);
+    return Array.from(names).sort();
+}
+
+function openCallGraph() {
+    if (state.viewMode === 'calls') {
+        showFileView();
+        return;
+    }
+    
+    const comp = state.selectedComponent;
+    if (!comp || comp.type === 'package' || !comp.calls) {
+        showNotification('Select a JavaScript/TypeScript file to trace its calls');
+        return;
+    }
+    
+    const functions = getTraceableFunctions(comp);
+    if (functions.length === 0) {
+        showNotification(`No function calls found in ${comp.name}`);
+        return;
+    }
+    
+    const existingPanel = document.getElementById('callGraphPanel');
+    if (existingPanel) {
+        existingPanel.remove();
+    }
+    
+    const panel = document.createElement('div');
+    panel.id = 'callGraphPanel';
+    panel.className = 'circular-dep-panel call-graph-panel';
+    panel.innerHTML = `
+        <div class="panel-header">
+            <h3>📞 Trace Calls · ${comp.name}</h3>
+            <button class="close-btn" onclick="this.parentElement.parentElement.remove()">✕</button>
+        </div>
+        <div class="panel-content">
+            <div class="cycle-item">
+                <div class="cycle-header">
+                    <span class="cycle-number">Whole file</span>
+                    <div class="cycle-actions">
+                        <button class="action-btn" onclick="traceCalls(-1)">📞 Trace</button>
+                    </div>
+                </div>
+            </div>
+            ${functions.map((fn, index) => `
+                <div class="cycle-item">
+                    <div class="cycle-header">
+                        <span class="cycle-number">${fn}</span>
+                        <div class="cycle-actions">
+                            <button class="action-btn" onclick="traceCalls(${index})">📞 Trace</button>
+                        </div>
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+    document.body.appendChild(panel);
+}
+
+function traceCalls(index) {
+    const comp = state.selectedComponent;
+    if (!comp) return;
+    
+    const panel = document.getElementById('callGraphPanel');
+    if (panel) panel.remove();
+    
+    showCallGraph({ id: comp.id, fn: index < 0 ? null : getTraceableFunctions(comp)[index] });
+}
+
+// Call graph nodes keyed by getCallNodeKey: the traced functions, then callers and callees up to CALL_GRAPH_DEPTH calls away
+function collectCallGraphNodes(edges, focus) {
+    const isFocus = node => node.comp.id === focus.id && (!focus.fn || node.fn === focus.fn);
+    
+    const nodes = new Map();
+    edges.forEach(edge => [edge.from, edge.to].filter(isFocus).forEach(node => {
+        nodes.set(getCallNodeKey(node), { node, layer: 'callFocus' });
+    }));
+    const focusKeys = Array.from(nodes.keys());
+    
+    function walk(layer, near, far) {
+        let frontier = new Set(focusKeys);
+        for (let depth = 0; depth < CALL_GRAPH_DEPTH && frontier.size > 0; depth++) {
+            const next = new Set();
+            edges.forEach(edge => {
+                const key = getCallNodeKey(far(edge));
+                if (frontier.has(getCallNodeKey(near(edge))) && !nodes.has(key)) {
+                    nodes.set(key, { node: far(edge), layer });
+                    next.add(key);
+                }
+            });
+            frontier = next;
+        }
+    }
+    walk('callers', edge => edge.to, edge => edge.from);
+    walk('callees', edge => edge.from, edge => edge.to);
+    
+    return nodes;
+}
+
+// Callers above and callees below the traced functions, across files
+function showCallGraph(focus, fit = true) {
+    const edges = getCallGraph();
+    const nodes = collectCallGraphNodes(edges, focus);
+    if (nodes.size === 0) {
+        showNotification(`No calls found for ${focus.fn || getComponentFile(focus.id)}`);
+        if (state.viewMode === 'calls') {
+            showFileView();
+        }
+        return;
+    }
+    
+    saveFileView();
+    state.viewMode = 'calls';
+    state.callFocus = { ...focus, file: nodes.values().next().value.node.comp.file };
+    state.currentPackage = null;
+    
+    const countEdges = (node, end) => edges.filter(edge => getCallNodeKey(edge[end]) === getCallNodeKey(node)).length;
+    state.layers = { callers: [], callFocus: [], callees: [] };
+    state.components = Array.from(nodes.values()).map(({ node, layer }) => {
+        const comp = {
+            id: getCallNodeId(node),
+            type: 'function',
+            label: node.fn,
+            name: node.fn,
+            file: node.comp.file,
+            fullPath: node.comp.fullPath,
+            fileId: node.comp.id,
+            layer,
+            description: `${countEdges(node, 'to')} callers · ${countEdges(node, 'from')} callees`,
+            referenceCount: countEdges(node, 'to')
+        };
+        state.layers[layer].push(comp);
+        return comp;
+    });
+    
+    const seen = new Set();
+    state.connections = edges
+        .filter(edge => nodes.has(getCallNodeKey(edge.from)) && nodes.has(getCallNodeKey(edge.to)))
+        .map(edge => ({ from: getCallNodeId(edge.from), to: getCallNodeId(edge.to), type: 'call', label: 'call' }))
+        .filter(conn => {
+            const key = `${conn.from}->${conn.to}`;
+            if (conn.from === conn.to || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    
+    rerenderDiagram(fit);
+}
+
+function rerenderDiagram(fit) {
+    state.selectedComponent = null;
+    document.querySelector('.diagram-container').classList.remove('has-selection');
+    updateSelectedComponentInfo(null);
+    updateConnectionsList(null);
+    
+    DERIVED_LAYERS.forEach(layerName => {
+        const layerDiv = document.querySelector(`[data-layer="${layerName}"]`);
+        if (layerDiv) layerDiv.remove();
+    });
+    processBoundaryConnections(state.connections);
+    processSystemHeaderConnections(state.connections);
+    processDatabaseConnections(state.connections);
+    
+    renderDiagramNodes();
+    renderStats();
+    updatePackageViewToggle();
+    
+    setTimeout(() => {
+        drawConnections();
+        if (fit) {
+            centerDiagram();
+        }
+        updateMinimap();
+    }, 100);
+}
+
+function updatePackageViewToggle() {
+    const btn = document.getElementById('packageViewToggle');
+    if (!btn) return;
+    
+    const packages = (state.projectData && state.projectData.packages) || [];
+    btn.style.display = packages.length > 0 || state.viewMode === 'calls' ? '' : 'none';
+    btn.classList.toggle('active', state.viewMode !== 'files');
+    btn.innerHTML = state.viewMode === 'calls'
+        ? '<span>⬅️</span> Files'
+        : state.viewMode === 'package'
+            ? '<span>⬅️</span> Packages'
+            : '<span>📦</span> Packages';
+    btn.title = state.viewMode === 'files' ? 'Show Package Graph' : 'Back';
+    
+    const callGraphBtn = document.getElementById('showCallGraph');
+    if (callGraphBtn) {
+        callGraphBtn.textContent = state.viewMode === 'calls' ? 'Hide Call Graph' : 'Show Call Graph';
+    }
+}
+
 // UML View Toggle
 function toggleUMLView() {
     state.umlView = !state.umlView;
@@ -2356,8 +3746,7 @@ function toggleUMLView() {
     }
     
     // Re-render components with UML format
-    renderLayers();
-    renderDatabaseNodes();
+    renderDiagramNodes();
     
     // Redraw connections
     setTimeout(() => {
@@ -2386,6 +3775,9 @@ function showTooltip(event, component) {
     }
     
     // 사용 여부 표시
+    if (component.isEntryPoint) {
+        contentHTML += '<div>🚪 진입점</div>';
+    }
     if (component.isUsed === false) {
         contentHTML += '<div class="tooltip-warning">⚠️ 사용되지 않는 파일</div>';
     }
@@ -2673,14 +4065,13 @@ function updateMinimap() {
         const layerClass = layer.className.match(/layer-(\w+)/);
         if (layerClass) {
             const layerColors = {
-                'vscode': 'rgba(255, 71, 87, 0.3)',
-                'core': 'rgba(52, 152, 219, 0.3)',
-                'analysis': 'rgba(155, 89, 182, 0.3)',
-                'rendering': 'rgba(46, 204, 113, 0.3)',
-                'utility': 'rgba(243, 156, 18, 0.3)',
-                'database': 'rgba(231, 76, 60, 0.3)'
+                'database': 'rgba(231, 76, 60, 0.3)',
+                'packages': 'rgba(163, 113, 247, 0.3)'
             };
-            miniLayer.style.backgroundColor = layerColors[layerClass[1]] || 'rgba(88, 166, 255, 0.3)';
+            const info = layerInfo[layer.getAttribute('data-layer')];
+            miniLayer.style.backgroundColor = info && info.color
+                ? `color-mix(in srgb, ${info.color} 30%, transparent)`
+                : layerColors[layerClass[1]] || 'rgba(88, 166, 255, 0.3)';
             miniLayer.style.border = '1px solid rgba(255, 255, 255, 0.2)';
             miniLayer.style.borderRadius = '4px';
         }
@@ -2822,6 +4213,7 @@ function updateSelectedComponentInfo(component) {
     }
     
     const fileInfo = state.projectData.files.find(f => f.path === component.file);
+    const fanOut = getIncludeFanOut(component.id);
     
     infoDiv.innerHTML = `
         <div class="component-details">
@@ -2845,6 +4237,19 @@ function updateSelectedComponentInfo(component) {
                     <strong>Extension:</strong> ${fileInfo.extension}
                 </div>
             ` : ''}
+            ${component.pairedFile ? `
+                <div class="detail-item">
+                    <strong>Paired With:</strong> ${component.pairedFile}
+                </div>
+            ` : ''}
+            ${fanOut.direct > 0 || fanOut.includedBy > 0 ? `
+                <div class="detail-item">
+                    <strong>Includes:</strong> ${fanOut.direct} direct, ${fanOut.transitive} total
+                </div>
+                <div class="detail-item">
+                    <strong>Included By:</strong> ${fanOut.includedBy} files (rebuilt on change)
+                </div>
+            ` : ''}
         </div>
     `;
 }
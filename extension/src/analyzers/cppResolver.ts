@@ -0,0 +1,227 @@
+import * as path from 'path';
+import * as fs from 'fs/promises';
+import { FileInfo } from '../types';
+import { logger } from '../services/logService';
+
+export interface CppInclude {
+    path: string; // #include 에 적힌 경로
+    system: boolean; // <...> 형식
+}
+
+// include 디렉터리를 읽는 빌드 설정 파일
+export const CPP_CONFIG_FILES = ['compile_commands.json', 'CMakeLists.txt'];
+
+export const CPP_SOURCE_EXTENSIONS = ['.c', '.cc', '.cpp', '.cxx'];
+export const CPP_HEADER_EXTENSIONS = ['.h', '.hh', '.hpp', '.hxx', '.inl'];
+
+// 빌드 디렉터리는 분석에서 제외되므로 직접 확인하는 compile_commands.json 위치
+const COMPILE_COMMANDS_PATHS = ['compile_commands.json', 'build/compile_commands.json'];
+
+/** #include / #import 지시문 (주석 안의 지시문은 제외) */
+export function parseIncludes(content: string): CppInclude[] {
+    const source = content.replace(/\/\*[\s\S]*?\*\/|\/\/.*$/gm, match => match.replace(/[^\n]/g, ' '));
+    return Array.from(source.matchAll(/^\s*#\s*(?:include|include_next|import)\s*([<"])([^>"\n]+)[>"]/gm), match => ({
+        path: match[2].trim(),
+        system: match[1] === '<'
+    }));
+}
+
+/**
+ * compile_commands.json 의 -I/-isystem/-iquote, CMakeLists.txt 의 include_directories,
+ * codesync.includePaths 설정으로 #include 를 프로젝트 파일로 해석하는 해석기
+ */
+export class CppResolver {
+    private includeDirs: string[] = []; // 모든 파일에 적용
+    private fileIncludeDirs = new Map<string, string[]>(); // compile_commands.json 의 번역 단위별 디렉터리
+    private filesByName: Map<string, string[]> | undefined;
+
+    private constructor(
+        private rootPath: string,
+        private fileMap: Map<string, FileInfo>
+    ) {}
+
+    static async create(rootPath: string, fileMap: Map<string, FileInfo>, includePaths: string[] = []): Promise<CppResolver> {
+        const resolver = new CppResolver(rootPath, fileMap);
+        await resolver.loadIncludeDirs(includePaths);
+        return resolver;
+    }
+
+    /**
+     * include 가 가리키는 프로젝트 파일. 찾지 못하면 undefined (<...> 는 시스템 헤더로 취급)
+     * "..." 는 현재 파일의 디렉터리를 먼저 찾고, 설정된 디렉터리에도 없으면 경로 끝이 일치하는 유일한 파일을 사용합니다.
+     */
+    resolve(fromPath: string, include: CppInclude): string | undefined {
+        const dirs = [
+            ...(include.system ? [] : [normalizePath(path.posix.dirname(fromPath))]),
+            ...(this.fileIncludeDirs.get(fromPath) || []),
+            ...this.includeDirs
+        ];
+        for (const dir of dirs) {
+            const candidate = normalizePath(path.posix.join(dir || '.', include.path));
+            if (this.fileMap.has(candidate)) {
+                return candidate;
+            }
+        }
+
+        if (include.system) {
+            return undefined;
+        }
+        const matches = (this.getFilesByName().get(path.posix.basename(include.path)) || [])
+            .filter(candidate => candidate === include.path || candidate.endsWith(`/${include.path}`));
+        return matches.length === 1 ? matches[0] : undefined;
+    }
+
+    /** 소스 파일과 짝을 이루는 헤더 (직접 include 한 같은 이름의 헤더, 같은 디렉터리, 프로젝트에서 유일한 헤더 순) */
+    findHeader(sourcePath: string, includedPaths: string[]): string | undefined {
+        const stem = getStem(sourcePath);
+        const isPair = (candidate: string) =>
+            CPP_HEADER_EXTENSIONS.includes(path.posix.extname(candidate)) && getStem(candidate) === stem;
+
+        const included = includedPaths.find(isPair);
+        if (included) {
+            return included;
+        }
+        const dir = normalizePath(path.posix.dirname(sourcePath));
+        const sameDir = CPP_HEADER_EXTENSIONS
+            .map(extension => normalizePath(path.posix.join(dir || '.', `${stem}${extension}`)))
+            .find(candidate => this.fileMap.has(candidate));
+        if (sameDir) {
+            return sameDir;
+        }
+        const headers = Array.from(this.getFilesByName().entries())
+            .filter(([name]) => isPair(name))
+            .flatMap(([, paths]) => paths);
+        return headers.length === 1 ? headers[0] : undefined;
+    }
+
+    private getFilesByName(): Map<string, string[]> {
+        if (!this.filesByName) {
+            this.filesByName = new Map();
+            for (const file of this.fileMap.values()) {
+                this.filesByName.set(file.name, [...(this.filesByName.get(file.name) || []), file.path]);
+            }
+        }
+        return this.filesByName;
+    }
+
+    private async loadIncludeDirs(includePaths: string[]): Promise<void> {
+        const dirs = new Set<string>();
+        const toRelative = (dir: string) => {
+            const relative = path.relative(this.rootPath, dir).replace(/\\/g, '/');
+            return relative.startsWith('..') || path.isAbsolute(relative) ? undefined : normalizePath(relative);
+        };
+
+        // codesync.includePaths 설정
+        includePaths.forEach(includePath => {
+            const dir = toRelative(path.resolve(this.rootPath, includePath));
+            if (dir !== undefined) {
+                dirs.add(dir);
+            }
+        });
+
+        // compile_commands.json: 번역 단위별 -I 디렉터리 (헤더에는 전체 합집합을 적용)
+        const databases = new Set([
+            ...COMPILE_COMMANDS_PATHS,
+            ...Array.from(this.fileMap.values()).filter(file => file.name === 'compile_commands.json').map(file => file.path)
+        ]);
+        for (const database of databases) {
+            const entries = await this.readJson(database);
+            if (!Array.isArray(entries)) {
+                continue;
+            }
+            for (const entry of entries as Array<{ directory?: string; file?: string; command?: string; arguments?: string[] }>) {
+                const directory = path.resolve(this.rootPath, entry.directory || '.');
+                const args = entry.arguments || splitCommand(entry.command || '');
+                const fileDirs = getIncludeFlags(args)
+                    .map(dir => toRelative(path.resolve(directory, dir)))
+                    .filter((dir): dir is string => dir !== undefined);
+                const filePath = entry.file ? toRelative(path.resolve(directory, entry.file)) : undefined;
+                if (filePath) {
+                    this.fileIncludeDirs.set(filePath, fileDirs);
+                }
+                fileDirs.forEach(dir => dirs.add(dir));
+            }
+        }
+
+        // CMakeLists.txt: include_directories / target_include_directories
+        for (const file of Array.from(this.fileMap.values()).filter(candidate => candidate.name === 'CMakeLists.txt')) {
+            const cmakeDir = normalizePath(path.posix.dirname(file.path));
+            let content = '';
+            try {
+                content = await fs.readFile(file.fullPath, 'utf-8');
+            } catch {
+                continue;
+            }
+            parseCMakeIncludeDirs(content, cmakeDir).forEach(dir => dirs.add(dir));
+        }
+
+        this.includeDirs = Array.from(dirs);
+        if (this.includeDirs.length > 0) {
+            logger.debug('C/C++ include directories', { dirs: this.includeDirs, translationUnits: this.fileIncludeDirs.size });
+        }
+    }
+
+    private async readJson(relPath: string): Promise<unknown> {
+        try {
+            return JSON.parse(await fs.readFile(path.join(this.rootPath, relPath), 'utf-8'));
+        } catch {
+            return undefined;
+        }
+    }
+}
+
+function getStem(filePath: string): string {
+    return path.posix.basename(filePath, path.posix.extname(filePath));
+}
+
+function splitCommand(command: string): string[] {
+    return (command.match(/(?:[^\s"']+|"[^"]*"|'[^']*')+/g) || []).map(arg => arg.replace(/["']/g, ''));
+}
+
+/** -Idir, -I dir, -isystem dir, -iquote dir, /Idir */
+function getIncludeFlags(args: string[]): string[] {
+    const dirs: string[] = [];
+    args.forEach((arg, index) => {
+        const match = arg.match(/^(?:-I|\/I|-isystem|-iquote|-idirafter)(.*)$/);
+        if (match) {
+            const dir = match[1] || args[index + 1];
+            if (dir) {
+                dirs.push(dir);
+            }
+        }
+    });
+    return dirs;
+}
+
+function parseCMakeIncludeDirs(content: string, cmakeDir: string): string[] {
+    const source = content.replace(/#.*$/gm, '');
+    const keywords = ['SYSTEM', 'BEFORE', 'AFTER', 'PUBLIC', 'PRIVATE', 'INTERFACE'];
+    const dirs: string[] = [];
+
+    for (const match of source.matchAll(/\b(target_)?include_directories\s*\(([^)]*)\)/gi)) {
+        const tokens = (match[2].match(/"[^"]*"|\S+/g) || []).map(token => token.replace(/"/g, ''));
+        (match[1] ? tokens.slice(1) : tokens)
+            .filter(token => !keywords.includes(token))
+            .forEach(token => {
+                // 최상위 소스 디렉터리 기준 경로와 CMakeLists.txt 기준 경로
+                const unwrapped = token.replace(/^\$<BUILD_INTERFACE:(.*)>$/, '$1');
+                const fromRoot = /^\$\{(?:PROJECT|CMAKE)_SOURCE_DIR\}/.test(unwrapped);
+                const relative = unwrapped
+                    .replace(/^\$\{(?:PROJECT|CMAKE)_SOURCE_DIR\}\/?/, '')
+                    .replace(/^\$\{CMAKE_CURRENT_(?:SOURCE|LIST)_DIR\}\/?/, '');
+                if (relative.includes('$') || path.isAbsolute(relative)) {
+                    return;
+                }
+                const dir = normalizePath(path.posix.join(fromRoot ? '.' : cmakeDir || '.', relative || '.'));
+                if (!dir.startsWith('..')) {
+                    dirs.push(dir);
+                }
+            });
+    }
+    return dirs;
+}
+
+function normalizePath(target: string): string {
+    const normalized = path.posix.normalize(target);
+    return normalized === '.' ? '' : normalized.replace(/^\.\//, '').replace(/\/$/, '');
+}
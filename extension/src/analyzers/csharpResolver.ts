@@ -0,0 +1,418 @@
+import * as path from 'path';
+import * as fs from 'fs/promises';
+import { FileInfo, WorkspacePackage } from '../types';
+import { logger } from '../services/logService';
+
+export interface CSharpUsing {
+    name: string; // 'App.Services' 또는 using static/별칭의 형식 이름
+    alias?: string; // using Repo = App.Data.Repository;
+    isStatic: boolean;
+    isGlobal: boolean; // global using 은 같은 프로젝트의 모든 파일에 적용
+}
+
+export interface CSharpTypeDeclaration {
+    name: string;
+    namespace: string;
+    bases: string[]; // 기반 클래스와 구현한 인터페이스
+}
+
+export interface ParsedCSharpSource {
+    namespaces: string[]; // 파일에 선언된 네임스페이스
+    usings: CSharpUsing[];
+    declarations: CSharpTypeDeclaration[];
+    typeReferences: Set<string>; // 본문에서 사용된 형식 이름 ('User', 'Models.User')
+}
+
+export interface ResolvedCSharpReference {
+    path: string; // 루트 기준 경로
+    type: 'import' | 'inheritance';
+    names: string[]; // 파일 안에서 쓴 형식 이름
+}
+
+interface CSharpProject {
+    name: string; // AssemblyName 또는 .csproj 파일 이름
+    dir: string; // .csproj 가 있는 디렉터리
+    projectPath: string;
+    version?: string;
+    references: string[]; // ProjectReference 의 .csproj 경로
+}
+
+// 프로젝트 구성을 결정하는 파일 (이름이 프로젝트마다 다르므로 확장자로 구분)
+export const CSHARP_CONFIG_FILES = ['.csproj', '.sln', '.slnx'];
+
+const TYPE_DECLARATION = new RegExp(
+    String.raw`\b(class|interface|struct|enum|record(?:\s+(?:class|struct))?)\s+([A-Za-z_]\w*)\s*` +
+    String.raw`(?:<[^{};()]*?>\s*)?(?:\([^)]*\)\s*)?(?::\s*([^{};]+?))?\s*(?=\bwhere\b|[{;])`,
+    'g'
+);
+
+/**
+ * C# 소스의 네임스페이스, using 지시문, 형식 선언(기반 형식 포함), 본문의 형식 참조를 찾습니다.
+ * 주석과 문자열 리터럴은 제외합니다.
+ */
+export function parseCSharpSource(content: string): ParsedCSharpSource {
+    const source = content.replace(
+        /\/\*[\s\S]*?\*\/|\/\/.*$|\$?@\$?"(?:""|[^"])*"|\$?"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])+'/gm,
+        match => match.replace(/[^\n]/g, ' ')
+    );
+
+    // 파일 범위 네임스페이스(namespace A;)와 블록 네임스페이스(namespace A { ... })
+    const namespaceBlocks: Array<{ name: string; start: number; end: number }> = [];
+    for (const match of source.matchAll(/\bnamespace\s+([\w.]+)\s*([;{])/g)) {
+        const start = (match.index ?? 0) + match[0].length;
+        namespaceBlocks.push({ name: match[1], start, end: match[2] === ';' ? source.length : findClosingBrace(source, start) });
+    }
+    const getNamespace = (position: number) => namespaceBlocks
+        .filter(block => block.start <= position && position <= block.end)
+        .map(block => block.name)
+        .join('.');
+
+    const usings: CSharpUsing[] = [];
+    const usingDirective = /^\s*(global\s+)?using\s+(static\s+)?(?:(\w+)\s*=\s*)?(?:global::)?([\w.]+)(?:<[^;]*>)?\s*;/gm;
+    for (const match of source.matchAll(usingDirective)) {
+        usings.push({ name: match[4], alias: match[3], isStatic: !!match[2], isGlobal: !!match[1] });
+    }
+
+    const declarations: CSharpTypeDeclaration[] = [];
+    TYPE_DECLARATION.lastIndex = 0;
+    for (const match of source.matchAll(TYPE_DECLARATION)) {
+        declarations.push({
+            name: match[2],
+            namespace: getNamespace(match.index ?? 0),
+            bases: match[1] === 'enum' || !match[3] ? [] : splitBaseList(match[3])
+        });
+    }
+
+    const body = source.replace(usingDirective, '').replace(/\bnamespace\s+[\w.]+/g, '');
+    const typeReferences = new Set(Array.from(
+        body.matchAll(/(?<![\w.])(?:global::)?([A-Z]\w*(?:\.[A-Z]\w*)*)/g),
+        match => match[1]
+    ));
+
+    return {
+        namespaces: Array.from(new Set(declarations.map(declaration => declaration.namespace)
+            .concat(namespaceBlocks.map(block => getNamespace(block.start))))),
+        usings,
+        declarations,
+        typeReferences
+    };
+}
+
+/**
+ * .sln / .csproj 의 프로젝트와 ProjectReference, 소스의 네임스페이스 선언으로 using 과 형식 참조를 파일로 해석하는 해석기
+ * 형식은 같은 프로젝트와 참조한 프로젝트에서 먼저 찾습니다.
+ */
+export class CSharpResolver {
+    private projects: CSharpProject[] = []; // 깊은 디렉터리가 먼저
+    private types = new Map<string, Set<string>>(); // 정규화된 형식 이름 -> 선언한 파일 (partial 은 여러 개)
+    private fileTypes = new Map<string, string[]>(); // 파일 -> 선언한 형식 이름
+    private globalUsings = new Map<string, string[]>(); // 파일 -> global using 네임스페이스
+
+    private constructor(
+        private rootPath: string,
+        private fileMap: Map<string, FileInfo>
+    ) {}
+
+    static async create(rootPath: string, fileMap: Map<string, FileInfo>): Promise<CSharpResolver> {
+        const resolver = new CSharpResolver(rootPath, fileMap);
+        await resolver.loadProjects();
+        return resolver;
+    }
+
+    /** 프로젝트와 ProjectReference (패키지 보기용) */
+    getPackages(): WorkspacePackage[] {
+        const byPath = new Map(this.projects.map(project => [project.projectPath, project]));
+        return this.projects
+            .map(project => ({
+                name: project.name,
+                path: project.dir,
+                manifestPath: project.projectPath,
+                version: project.version,
+                dependencies: project.references
+                    .map(reference => byPath.get(reference))
+                    .filter((reference): reference is CSharpProject => !!reference && reference !== project)
+                    .map(reference => ({ name: reference.name, type: 'dependencies' as const }))
+            }))
+            .sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    /** using static/별칭과 형식 참조(import), 기반 클래스/인터페이스(inheritance)가 가리키는 파일 */
+    resolve(fromPath: string, source: ParsedCSharpSource): ResolvedCSharpReference[] {
+        const project = this.findProject(fromPath);
+        const visible = project ? this.getVisibleProjects(project) : undefined;
+        const resolved = new Map<string, ResolvedCSharpReference>();
+        const add = (type: ResolvedCSharpReference['type'], name: string, files: string[]) => {
+            files.filter(filePath => filePath !== fromPath).forEach(filePath => {
+                const key = `${type}:${filePath}`;
+                const reference = resolved.get(key) || { path: filePath, type, names: [] };
+                if (!reference.names.includes(name)) {
+                    reference.names.push(name);
+                }
+                resolved.set(key, reference);
+            });
+        };
+
+        // C# 이름 찾기 순서: 현재 네임스페이스와 상위 네임스페이스, 그다음 using 네임스페이스
+        const enclosing = Array.from(new Set(source.namespaces.flatMap(namespace =>
+            namespace.split('.').map((_, index, segments) => segments.slice(0, segments.length - index).join('.')))));
+        const usingNamespaces = [
+            ...source.usings.filter(using => !using.alias && !using.isStatic).map(using => using.name),
+            ...this.getGlobalUsings(project)
+        ];
+        const aliases = new Map(source.usings.filter(using => using.alias).map(using => [using.alias as string, using.name]));
+
+        const findType = (name: string): string[] => {
+            const [first, ...rest] = name.split('.');
+            const aliased = aliases.get(first);
+            if (aliased) {
+                return this.findTypeFiles([aliased, ...rest].join('.'), visible);
+            }
+            for (const namespace of [...enclosing, '']) {
+                const files = this.findTypeFiles(namespace ? `${namespace}.${name}` : name, visible);
+                if (files.length > 0) {
+                    return files;
+                }
+            }
+            return Array.from(new Set(usingNamespaces.flatMap(namespace =>
+                this.findTypeFiles(`${namespace}.${name}`, visible))));
+        };
+        // 'Models.User.Create' 처럼 멤버까지 이어진 이름은 형식을 찾을 때까지 뒤에서부터 줄임
+        const findQualified = (name: string): { name: string; files: string[] } | undefined => {
+            const segments = name.split('.');
+            for (let length = segments.length; length > 0; length--) {
+                const files = findType(segments.slice(0, length).join('.'));
+                if (files.length > 0) {
+                    return { name: segments[length - 1], files };
+                }
+            }
+            return undefined;
+        };
+
+        source.usings.filter(using => using.isStatic).forEach(using => {
+            const files = this.findTypeFiles(using.name, visible);
+            add('import', using.name.split('.').pop() as string, files);
+        });
+
+        const bases = source.declarations.flatMap(declaration => declaration.bases);
+        bases.forEach(base => {
+            const found = findQualified(base);
+            if (found) {
+                add('inheritance', found.name, found.files);
+            }
+        });
+
+        const declared = new Set(source.declarations.map(declaration => declaration.name));
+        source.typeReferences.forEach(name => {
+            if (declared.has(name) || bases.includes(name)) {
+                return;
+            }
+            const found = findQualified(name);
+            if (found) {
+                add('import', found.name, found.files);
+            }
+        });
+
+        return Array.from(resolved.values());
+    }
+
+    /** 파일 내용이 바뀌었을 때 형식 색인을 갱신합니다. 선언한 형식이 바뀌었으면 true */
+    updateFile(filePath: string, content: string | undefined): boolean {
+        const previous = this.fileTypes.get(filePath) || [];
+        previous.forEach(name => {
+            const files = this.types.get(name);
+            files?.delete(filePath);
+            if (files?.size === 0) {
+                this.types.delete(name);
+            }
+        });
+        this.fileTypes.delete(filePath);
+        this.globalUsings.delete(filePath);
+
+        if (content !== undefined) {
+            this.indexTypes(filePath, parseCSharpSource(content));
+        }
+        return JSON.stringify(previous) !== JSON.stringify(this.fileTypes.get(filePath) || []);
+    }
+
+    /** 프로젝트 구성 (분석 캐시의 해석 결과 재사용 여부 판단용) */
+    getSignature(): string {
+        return this.projects.map(project => `${project.projectPath}>${project.references.join('+')}`).sort().join(',');
+    }
+
+    private findTypeFiles(name: string, visible: Set<CSharpProject> | undefined): string[] {
+        const files = Array.from(this.types.get(name) || []);
+        if (!visible) {
+            return files;
+        }
+        // 참조하지 않은 프로젝트의 같은 이름 형식은 제외 (프로젝트 구성을 알 수 없는 파일은 허용)
+        const inScope = files.filter(filePath => {
+            const owner = this.findProject(filePath);
+            return !owner || visible.has(owner);
+        });
+        return inScope.length > 0 ? inScope : files;
+    }
+
+    private findProject(filePath: string): CSharpProject | undefined {
+        return this.projects.find(project => !project.dir || filePath.startsWith(`${project.dir}/`));
+    }
+
+    /** 같은 프로젝트와 ProjectReference 로 (전이적으로) 참조한 프로젝트 */
+    private getVisibleProjects(project: CSharpProject): Set<CSharpProject> {
+        const byPath = new Map(this.projects.map(candidate => [candidate.projectPath, candidate]));
+        const visible = new Set([project]);
+        const queue = [project];
+        while (queue.length > 0) {
+            (queue.shift() as CSharpProject).references.forEach(reference => {
+                const target = byPath.get(reference);
+                if (target && !visible.has(target)) {
+                    visible.add(target);
+                    queue.push(target);
+                }
+            });
+        }
+        return visible;
+    }
+
+    private getGlobalUsings(project: CSharpProject | undefined): string[] {
+        return Array.from(this.globalUsings)
+            .filter(([filePath]) => this.findProject(filePath) === project)
+            .flatMap(([, namespaces]) => namespaces);
+    }
+
+    private indexTypes(filePath: string, source: ParsedCSharpSource): void {
+        const names = Array.from(new Set(source.declarations.map(declaration =>
+            declaration.namespace ? `${declaration.namespace}.${declaration.name}` : declaration.name)));
+        names.forEach(name => this.types.set(name, (this.types.get(name) || new Set()).add(filePath)));
+        this.fileTypes.set(filePath, names);
+
+        const globalUsings = source.usings.filter(using => using.isGlobal && !using.alias && !using.isStatic);
+        if (globalUsings.length > 0) {
+            this.globalUsings.set(filePath, globalUsings.map(using => using.name));
+        }
+    }
+
+    private async loadProjects(): Promise<void> {
+        const csFiles = Array.from(this.fileMap.values()).filter(file => file.extension === '.cs');
+        if (csFiles.length === 0) {
+            return;
+        }
+
+        // .cs 파일이 있는 디렉터리에서 위로 올라가며 .csproj / .sln 을 찾음 (분석 대상 확장자가 아니라 파일 목록에 없음)
+        const projectPaths = new Set<string>();
+        const solutions: string[] = [];
+        const visited = new Set<string>();
+        for (const file of csFiles) {
+            let dir = normalizePath(path.posix.dirname(file.path));
+            while (!visited.has(dir)) {
+                visited.add(dir);
+                for (const name of await this.readDirNames(dir)) {
+                    const relPath = normalizePath(path.posix.join(dir || '.', name));
+                    if (name.endsWith('.csproj')) {
+                        projectPaths.add(relPath);
+                    } else if (name.endsWith('.sln') || name.endsWith('.slnx')) {
+                        solutions.push(relPath);
+                    }
+                }
+                if (!dir) {
+                    break;
+                }
+                dir = normalizePath(path.posix.dirname(dir));
+            }
+        }
+
+        // 솔루션에 포함된 프로젝트
+        for (const solution of solutions) {
+            const content = await this.readText(solution);
+            const entries = [
+                ...Array.from(content.matchAll(/^\s*Project\("[^"]*"\)\s*=\s*"[^"]*"\s*,\s*"([^"]+\.csproj)"/gm), match => match[1]),
+                ...Array.from(content.matchAll(/<Project\s+Path\s*=\s*"([^"]+\.csproj)"/g), match => match[1])
+            ];
+            entries.forEach(entry => {
+                const projectPath = normalizePath(path.posix.join(path.posix.dirname(solution), entry.replace(/\\/g, '/')));
+                if (!projectPath.startsWith('..')) {
+                    projectPaths.add(projectPath);
+                }
+            });
+        }
+
+        for (const projectPath of projectPaths) {
+            const content = await this.readText(projectPath);
+            if (!content) {
+                continue;
+            }
+            const dir = normalizePath(path.posix.dirname(projectPath));
+            this.projects.push({
+                name: content.match(/<AssemblyName>\s*([^<\s]+)\s*<\/AssemblyName>/)?.[1] ||
+                    path.posix.basename(projectPath, '.csproj'),
+                dir,
+                projectPath,
+                version: content.match(/<Version>\s*([^<\s]+)\s*<\/Version>/)?.[1],
+                references: Array.from(content.matchAll(/<ProjectReference\s+Include\s*=\s*"([^"]+)"/g), match =>
+                    normalizePath(path.posix.join(dir || '.', match[1].replace(/\\/g, '/'))))
+            });
+        }
+        this.projects.sort((a, b) => b.dir.length - a.dir.length);
+
+        for (const file of csFiles) {
+            try {
+                this.indexTypes(file.path, parseCSharpSource(await fs.readFile(file.fullPath, 'utf-8')));
+            } catch {
+                // 읽을 수 없는 파일은 색인하지 않음
+            }
+        }
+
+        logger.debug('C# projects loaded', { projects: this.projects.length, types: this.types.size });
+    }
+
+    private async readDirNames(dir: string): Promise<string[]> {
+        try {
+            return await fs.readdir(path.join(this.rootPath, dir));
+        } catch {
+            return [];
+        }
+    }
+
+    private async readText(relPath: string): Promise<string> {
+        try {
+            return await fs.readFile(path.join(this.rootPath, relPath), 'utf-8');
+        } catch {
+            return '';
+        }
+    }
+}
+
+/** 'Base<T>, IComparable<Base<T>>, IDisposable' -> ['Base', 'IComparable', 'IDisposable'] */
+function splitBaseList(list: string): string[] {
+    const bases: string[] = [];
+    let depth = 0;
+    let current = '';
+    for (const char of `${list},`) {
+        if (char === ',' && depth === 0) {
+            const name = current.replace(/^\s*global::/, '').match(/^\s*([\w.]+)/)?.[1];
+            if (name) {
+                bases.push(name);
+            }
+            current = '';
+            continue;
+        }
+        depth += '<('.includes(char) ? 1 : '>)'.includes(char) ? -1 : 0;
+        current += depth === 0 && char !== '>' && char !== ')' ? char : '';
+    }
+    return bases;
+}
+
+function findClosingBrace(source: string, start: number): number {
+    let depth = 1;
+    for (let index = start; index < source.length; index++) {
+        depth += source[index] === '{' ? 1 : source[index] === '}' ? -1 : 0;
+        if (depth === 0) {
+            return index;
+        }
+    }
+    return source.length;
+}
+
+function normalizePath(target: string): string {
+    const normalized = path.posix.normalize(target);
+    return normalized === '.' ? '' : normalized.replace(/^\.\//, '').replace(/\/$/, '');
+}
@@ -0,0 +1,141 @@
+import * as path from 'path';
+import * as fs from 'fs/promises';
+import { FileInfo } from '../types';
+import { matchesGlob } from './pathMatcher';
+
+// 진입점을 선언하는 설정 파일 (바뀌면 진입점을 다시 찾음)
+export const ENTRY_CONFIG_FILE = /^(?:package\.json|(?:webpack|vite|rollup)\.config(?:\.\w+)?\.[cm]?[jt]s)$/;
+
+// 프레임워크와 도구가 import 없이 직접 불러오는 파일
+const CONVENTIONAL_ENTRY_PATTERNS = [
+    // 앱 시작 파일
+    '**/src/{main,index,app,server,extension}.{js,jsx,ts,tsx,mjs,cjs}',
+    '/{main,index,app,server}.{js,jsx,ts,tsx,mjs,cjs}',
+    'index.html',
+    // Next.js, Nuxt, SvelteKit, Remix 의 파일 기반 라우팅
+    '**/pages/**',
+    '**/app/**/{page,layout,route,template,loading,error,not-found,default}.{js,jsx,ts,tsx}',
+    '**/{src/,}middleware.{js,ts}',
+    '**/layouts/**',
+    '**/src/routes/**/+*.{svelte,js,ts}',
+    '**/app/routes/**',
+    // 도구 설정
+    '*.config.{js,cjs,mjs,ts,cts,mts}',
+    // 테스트
+    '*.{test,spec}.{js,jsx,ts,tsx,mjs,cjs}',
+    '__tests__/**',
+    '**/{test,tests}/**',
+    '{test_*,*_test}.py',
+    'conftest.py',
+    '*_test.go',
+    '**/src/test/**',
+    // 다른 언어의 시작 파일
+    '{__main__,manage,main,app,wsgi,asgi,setup}.py',
+    'main.go',
+    '**/src/{main,lib}.rs',
+    '**/src/bin/*.rs',
+    'build.rs',
+    '*Application.{java,kt}',
+    '{Program,Startup}.cs',
+    'main.{c,cc,cpp,cxx}',
+    'index.php'
+];
+
+// 사용 여부를 진입점에서의 도달 가능성으로 판단하는 소스 파일 (언어별)
+// 설정, 문서, 데이터, 에셋 파일은 import 로 연결되지 않는 경우가 많으므로 판단하지 않음
+const SOURCE_LANGUAGES: Record<string, string[]> = {
+    web: ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.vue', '.svelte', '.astro', '.html', '.htm', '.css', '.scss', '.sass', '.less'],
+    python: ['.py'],
+    java: ['.java', '.kt'],
+    go: ['.go'],
+    php: ['.php'],
+    rust: ['.rs'],
+    cpp: ['.c', '.cc', '.cpp', '.cxx', '.h', '.hpp'],
+    csharp: ['.cs']
+};
+
+// 빌드 결과 경로(dist/index.js)를 소스(src/index.ts)로 되짚을 때 시도하는 확장자
+const SOURCE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs'];
+const BUILD_DIRS = ['dist', 'out', 'build', 'lib'];
+
+/**
+ * 사용자 설정(codesync.entryPoints), package.json, 번들러 설정, 프레임워크 관례로 진입점 파일을 찾습니다.
+ * 사용하지 않는 파일은 진입점에서 도달할 수 없는 파일로 판단합니다.
+ */
+export async function detectEntryPoints(fileMap: Map<string, FileInfo>, patterns: string[] = []): Promise<Set<string>> {
+    const files = Array.from(fileMap.values());
+    const entries = new Set<string>();
+
+    files
+        .filter(file => [...patterns, ...CONVENTIONAL_ENTRY_PATTERNS].some(pattern => matchesGlob(file.path, pattern)))
+        .forEach(file => entries.add(file.path));
+
+    for (const file of files.filter(candidate => ENTRY_CONFIG_FILE.test(candidate.name))) {
+        const dir = path.posix.dirname(file.path).replace(/^\.$/, '');
+        const content = await fs.readFile(file.fullPath, 'utf-8').catch(() => '');
+        const references = file.name === 'package.json' ? getManifestEntries(content) : getConfigPaths(content);
+        references
+            .map(reference => resolveEntry(fileMap, dir, reference))
+            .forEach(entry => entry && entries.add(entry));
+        entries.add(file.path);
+    }
+
+    return entries;
+}
+
+/** 진입점 기준으로 사용 여부를 판단하는 소스 파일의 언어 (그 외 파일은 undefined) */
+export function getSourceLanguage(extension: string): string | undefined {
+    return Object.keys(SOURCE_LANGUAGES).find(language => SOURCE_LANGUAGES[language].includes(extension.toLowerCase()));
+}
+
+/** main, module, browser, bin, exports 와 scripts 에서 실행하는 파일 */
+function getManifestEntries(content: string): string[] {
+    let manifest: Record<string, unknown>;
+    try {
+        manifest = JSON.parse(content);
+    } catch {
+        return [];
+    }
+
+    const entries: string[] = [];
+    const collect = (value: unknown) => {
+        if (typeof value === 'string') {
+            entries.push(value);
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(collect);
+        }
+    };
+    ['main', 'module', 'browser', 'bin', 'exports'].forEach(field => collect(manifest[field]));
+
+    // "start": "node server.js", "test": "ts-node scripts/check.ts"
+    Object.values((manifest.scripts as Record<string, unknown>) || {})
+        .filter((script): script is string => typeof script === 'string')
+        .forEach(script => entries.push(...(script.match(/(?:\.{0,2}\/)?[\w@/.-]+\.(?:[cm]?[jt]sx?|py)\b/g) || [])));
+
+    return entries;
+}
+
+/** webpack/vite/rollup 설정에서 문자열로 적힌 상대 경로 (entry, input, 템플릿 등) */
+function getConfigPaths(content: string): string[] {
+    return Array.from(content.matchAll(/['"`]((?:\.{1,2}\/|src\/)[^'"`\s*]+)['"`]/g), match => match[1]);
+}
+
+function resolveEntry(fileMap: Map<string, FileInfo>, dir: string, reference: string): string | undefined {
+    const target = path.posix.normalize(path.posix.join(dir, reference)).replace(/^\.\//, '').replace(/\/$/, '');
+    if (target.startsWith('..')) {
+        return undefined;
+    }
+
+    const base = target.replace(/\.[cm]?[jt]sx?$/, '');
+    const candidates = [target, ...SOURCE_EXTENSIONS.map(ext => `${base}${ext}`), ...SOURCE_EXTENSIONS.map(ext => `${target}/index${ext}`)];
+
+    // dist/extension.js -> src/extension.ts
+    const relToDir = dir ? base.slice(dir.length + 1) : base;
+    const [first, ...rest] = relToDir.split('/');
+    if (BUILD_DIRS.includes(first) && rest.length > 0) {
+        const source = path.posix.join(dir, 'src', ...rest);
+        candidates.push(...SOURCE_EXTENSIONS.map(ext => `${source}${ext}`));
+    }
+
+    return candidates.find(candidate => fileMap.has(candidate));
+}
@@ -0,0 +1,44 @@
+import { FileInfo } from '../types';
+
+/**
+ * 루트 기준 경로로 분석 대상 파일을 찾는 색인
+ * loadFile 을 지정하면 색인에 없는 경로를 조회할 때 디스크에서 찾아 추가합니다.
+ * (선택한 폴더만 분석할 때 범위 밖 파일은 import 가 가리키는 경우에만 색인)
+ */
+export class FileIndex extends Map<string, FileInfo> {
+    // 디스크에서 찾지 못한 경로 (파일이 생기면 set 으로 다시 추가됨)
+    private missing = new Set<string>();
+
+    constructor(files: FileInfo[] = [], private loadFile?: (relPath: string) => FileInfo | undefined) {
+        super();
+        files.forEach(file => this.set(file.path, file));
+    }
+
+    get(relPath: string): FileInfo | undefined {
+        const file = super.get(relPath);
+        if (file || !this.loadFile || this.missing.has(relPath)) {
+            return file;
+        }
+        const loaded = this.loadFile(relPath);
+        if (loaded) {
+            super.set(relPath, loaded);
+        } else {
+            this.missing.add(relPath);
+        }
+        return loaded;
+    }
+
+    has(relPath: string): boolean {
+        return this.get(relPath) !== undefined;
+    }
+
+    /** 디스크를 확인하지 않고 이미 색인된 파일만 찾습니다. */
+    getIndexed(relPath: string): FileInfo | undefined {
+        return super.get(relPath);
+    }
+
+    set(relPath: string, file: FileInfo): this {
+        this.missing.delete(relPath);
+        return super.set(relPath, file);
+    }
+}
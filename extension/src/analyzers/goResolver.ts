@@ -0,0 +1,310 @@
+import * as path from 'path';
+import * as fs from 'fs/promises';
+import { FileInfo } from '../types';
+import { logger } from '../services/logService';
+
+export interface GoImport {
+    path: string; // 'example.com/app/internal/store'
+    alias?: string; // 명시적 이름, '.', '_'
+}
+
+export interface ParsedGoSource {
+    packageName: string;
+    imports: GoImport[];
+    selectors: Map<string, Set<string>>; // 식별자 -> 그 뒤에 쓰인 공개 이름 (store.Open)
+}
+
+export interface ResolvedGoImport {
+    path: string; // 루트 기준 경로
+    names: string[]; // 사용한 공개 이름 (알 수 없으면 '*')
+}
+
+interface GoModule {
+    path: string; // 모듈 경로
+    dir: string; // 루트 기준 디렉터리
+}
+
+interface GoPackageInfo {
+    name: string; // package 선언의 이름
+    files: string[]; // _test.go 를 제외한 파일
+    symbols: Map<string, string>; // 공개 이름 -> 선언된 파일
+}
+
+// 모듈 구성을 결정하는 파일
+export const GO_CONFIG_FILES = ['go.mod', 'go.work'];
+
+/**
+ * Go 소스의 package 선언, import 문, `패키지.이름` 형태의 참조를 찾습니다.
+ */
+export function parseGoSource(content: string): ParsedGoSource {
+    const source = content.replace(/\/\*[\s\S]*?\*\/|\/\/.*$/gm, match => match.replace(/[^\n]/g, ' '));
+    const packageName = source.match(/^\s*package\s+(\w+)/m)?.[1] || '';
+
+    const imports: GoImport[] = [];
+    const importSpec = /^\s*(?:(\w+|\.|_)\s+)?"([^"]+)"/;
+    const declarations = /\bimport\s*(?:\(([\s\S]*?)\)|((?:(?:\w+|\.|_)\s+)?"[^"]+"))/g;
+    for (const match of source.matchAll(declarations)) {
+        const specs = match[1] !== undefined ? match[1].split(/\r?\n|;/) : [match[2]];
+        specs.forEach(spec => {
+            const parsed = spec.match(importSpec);
+            if (parsed) {
+                imports.push({ path: parsed[2], alias: parsed[1] });
+            }
+        });
+    }
+
+    const body = source.replace(declarations, '').replace(/"(?:\\.|[^"\\\n])*"|`[^`]*`/g, '""');
+    const selectors = new Map<string, Set<string>>();
+    for (const match of body.matchAll(/\b([A-Za-z_]\w*)\.([A-Z]\w*)/g)) {
+        selectors.set(match[1], (selectors.get(match[1]) || new Set()).add(match[2]));
+    }
+
+    return { packageName, imports, selectors };
+}
+
+/**
+ * go.mod / go.work 의 모듈 경로로 import 경로를 패키지 디렉터리에 대응시키는 해석기
+ * 파일 단위 엣지는 실제로 사용한 공개 이름이 선언된 파일로 연결합니다.
+ */
+export class GoResolver {
+    private modules: GoModule[] = []; // 긴 모듈 경로가 먼저
+    private packageInfo = new Map<string, Promise<GoPackageInfo | undefined>>();
+
+    private constructor(
+        private rootPath: string,
+        private fileMap: Map<string, FileInfo>
+    ) {}
+
+    static async create(rootPath: string, fileMap: Map<string, FileInfo>): Promise<GoResolver> {
+        const resolver = new GoResolver(rootPath, fileMap);
+        await resolver.loadModules();
+        return resolver;
+    }
+
+    /** 프로젝트 안의 패키지면 디렉터리(루트 기준)를, 표준/외부 패키지면 undefined */
+    resolvePackageDir(importPath: string): string | undefined {
+        const module = this.modules.find(candidate =>
+            importPath === candidate.path || importPath.startsWith(`${candidate.path}/`));
+        if (!module) {
+            return undefined;
+        }
+        return normalizeDir(path.posix.join(module.dir || '.', `.${importPath.slice(module.path.length)}`));
+    }
+
+    /** 디렉터리의 import 경로 (모듈에 속하지 않으면 undefined) */
+    getImportPath(dir: string): string | undefined {
+        const module = this.modules
+            .filter(candidate => !candidate.dir || dir === candidate.dir || dir.startsWith(`${candidate.dir}/`))
+            .sort((a, b) => b.dir.length - a.dir.length)[0];
+        if (!module) {
+            return undefined;
+        }
+        return dir === module.dir ? module.path : `${module.path}/${dir.slice(module.dir ? module.dir.length + 1 : 0)}`;
+    }
+
+    async resolve(fromPath: string, source: ParsedGoSource): Promise<ResolvedGoImport[]> {
+        const resolved = new Map<string, Set<string>>();
+        const add = (filePath: string, names: string[]) => {
+            if (filePath !== fromPath) {
+                const existing = resolved.get(filePath) || new Set<string>();
+                names.forEach(name => existing.add(name));
+                resolved.set(filePath, existing);
+            }
+        };
+
+        for (const goImport of source.imports) {
+            // GOPATH 시절의 상대 import ("./util") 도 디렉터리로 해석
+            const dir = goImport.path.startsWith('.')
+                ? normalizeDir(path.posix.join(path.posix.dirname(fromPath), goImport.path))
+                : this.resolvePackageDir(goImport.path);
+            const info = dir !== undefined ? await this.getPackageInfo(dir) : undefined;
+            if (!info) {
+                continue;
+            }
+
+            // 빈 식별자/점 import 는 사용한 이름을 알 수 없으므로 패키지의 모든 파일
+            if (goImport.alias === '_' || goImport.alias === '.') {
+                info.files.forEach(filePath => add(filePath, ['*']));
+                continue;
+            }
+
+            const used = source.selectors.get(goImport.alias || info.name) || new Set<string>();
+            const unresolved: string[] = [];
+            used.forEach(name => {
+                const filePath = info.symbols.get(name);
+                if (filePath) {
+                    add(filePath, [name]);
+                } else {
+                    unresolved.push(name);
+                }
+            });
+
+            // 선언 위치를 못 찾은 경우 패키지 대표 파일에 연결
+            if (unresolved.length > 0 || used.size === 0) {
+                add(this.getPrimaryFile(info, dir as string), unresolved.length > 0 ? unresolved : ['*']);
+            }
+        }
+
+        return Array.from(resolved, ([filePath, names]) => ({ path: filePath, names: Array.from(names) }));
+    }
+
+    /** 모듈 구성 (분석 캐시의 해석 결과 재사용 여부 판단용) */
+    getSignature(): string {
+        return this.modules.map(module => `${module.path}=${module.dir}`).sort().join(',');
+    }
+
+    /** 패키지 파일 내용이 바뀌면 공개 이름 목록을 다시 읽도록 합니다. */
+    invalidate(dir: string): void {
+        this.packageInfo.delete(dir);
+    }
+
+    private getPrimaryFile(info: GoPackageInfo, dir: string): string {
+        const preferred = [`${info.name}.go`, `${path.posix.basename(dir)}.go`, 'doc.go']
+            .map(name => path.posix.join(dir, name));
+        return preferred.find(candidate => info.files.includes(candidate)) || info.files[0];
+    }
+
+    private getPackageInfo(dir: string): Promise<GoPackageInfo | undefined> {
+        let info = this.packageInfo.get(dir);
+        if (!info) {
+            info = this.readPackageInfo(dir);
+            this.packageInfo.set(dir, info);
+        }
+        return info;
+    }
+
+    private async readPackageInfo(dir: string): Promise<GoPackageInfo | undefined> {
+        const files = Array.from(this.fileMap.values())
+            .filter(file => file.extension === '.go' && !file.name.endsWith('_test.go') &&
+                normalizeDir(path.posix.dirname(file.path)) === dir)
+            .map(file => file.path)
+            .sort();
+        if (files.length === 0) {
+            return undefined;
+        }
+
+        let name = '';
+        const symbols = new Map<string, string>();
+        for (const filePath of files) {
+            let content = '';
+            try {
+                content = await fs.readFile(path.join(this.rootPath, filePath), 'utf-8');
+            } catch {
+                continue;
+            }
+            name = name || parseGoSource(content).packageName;
+            collectExportedSymbols(content).forEach(symbol => {
+                if (!symbols.has(symbol)) {
+                    symbols.set(symbol, filePath);
+                }
+            });
+        }
+
+        return { name: name || path.posix.basename(dir), files, symbols };
+    }
+
+    private async loadModules(): Promise<void> {
+        const goDirs = new Set(Array.from(this.fileMap.values())
+            .filter(file => file.extension === '.go')
+            .map(file => normalizeDir(path.posix.dirname(file.path))));
+        if (goDirs.size === 0) {
+            return;
+        }
+
+        // .go 파일이 있는 디렉터리에서 위로 올라가며 go.mod / go.work 를 찾음
+        const visited = new Set<string>();
+        const modules = new Map<string, GoModule>();
+        const workFiles: string[] = [];
+        const addModule = async (dir: string) => {
+            const content = await this.readText(dir, 'go.mod');
+            const modulePath = content.match(/^\s*module\s+"?([^\s"]+)"?/m)?.[1];
+            if (!modulePath) {
+                return;
+            }
+            modules.set(modulePath, { path: modulePath, dir });
+
+            // 로컬 디렉터리로 replace 된 모듈
+            for (const match of content.matchAll(/^\s*(?:replace\s+)?(\S+)(?:\s+v\S+)?\s+=>\s+(\.{1,2}(?:\/\S*)?)\s*$/gm)) {
+                const target = normalizeDir(path.posix.join(dir || '.', match[2]));
+                if (!target.startsWith('..')) {
+                    modules.set(match[1], { path: match[1], dir: target });
+                }
+            }
+        };
+
+        for (const goDir of goDirs) {
+            let dir = goDir;
+            while (!visited.has(dir)) {
+                visited.add(dir);
+                if (await this.readText(dir, 'go.mod')) {
+                    await addModule(dir);
+                }
+                if (await this.readText(dir, 'go.work')) {
+                    workFiles.push(dir);
+                }
+                if (!dir) {
+                    break;
+                }
+                dir = normalizeDir(path.posix.dirname(dir));
+            }
+        }
+
+        // go.work 의 use 디렉터리
+        for (const workDir of workFiles) {
+            const content = await this.readText(workDir, 'go.work');
+            const uses = [
+                ...Array.from(content.matchAll(/^\s*use\s+([^\s(]+)/gm), match => match[1]),
+                ...Array.from(content.matchAll(/^\s*use\s*\(([\s\S]*?)\)/gm), match =>
+                    match[1].split(/\r?\n/).map(line => line.replace(/\/\/.*$/, '').trim()).filter(Boolean)).flat()
+            ];
+            for (const use of uses) {
+                const dir = normalizeDir(path.posix.join(workDir || '.', use));
+                if (!dir.startsWith('..') && !Array.from(modules.values()).some(module => module.dir === dir)) {
+                    await addModule(dir);
+                }
+            }
+        }
+
+        this.modules = Array.from(modules.values()).sort((a, b) => b.path.length - a.path.length);
+        logger.debug('Go modules loaded', { modules: this.modules });
+    }
+
+    private async readText(dir: string, name: string): Promise<string> {
+        try {
+            return await fs.readFile(path.join(this.rootPath, dir, name), 'utf-8');
+        } catch {
+            return '';
+        }
+    }
+}
+
+function normalizeDir(dir: string): string {
+    const normalized = path.posix.normalize(dir);
+    return normalized === '.' ? '' : normalized.replace(/^\.\//, '').replace(/\/$/, '');
+}
+
+/** 최상위 func/type/var/const 선언 중 공개 이름 (메서드 제외) */
+function collectExportedSymbols(content: string): string[] {
+    const symbols: string[] = [];
+    let block = false;
+
+    for (const line of content.split(/\r?\n/)) {
+        if (/^(?:type|var|const)\s*\(\s*(?:\/\/.*)?$/.test(line)) {
+            block = true;
+        } else if (block && /^\)/.test(line)) {
+            block = false;
+        } else if (block) {
+            const match = line.match(/^\s+([A-Z]\w*)/);
+            if (match) {
+                symbols.push(match[1]);
+            }
+        } else {
+            const match = line.match(/^(?:func|type|var|const)\s+([A-Z]\w*)/);
+            if (match) {
+                symbols.push(match[1]);
+            }
+        }
+    }
+
+    return symbols;
+}
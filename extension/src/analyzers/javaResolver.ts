@@ -0,0 +1,301 @@
+import * as path from 'path';
+import * as fs from 'fs/promises';
+import { FileInfo } from '../types';
+import { logger } from '../services/logService';
+
+export interface JavaImport {
+    name: string; // 'com.x.User', 'com.x' (와일드카드), 'com.x.Util.max' (static)
+    isStatic: boolean;
+    isWildcard: boolean;
+    alias?: string; // Kotlin 의 import a.B as C
+}
+
+export interface ParsedJavaSource {
+    packageName: string;
+    imports: JavaImport[];
+    typeReferences: Set<string>; // 본문에서 사용된 대문자로 시작하는 이름
+    supertypes: string[]; // extends/implements 또는 Kotlin ':' 뒤의 상위 타입 (적힌 그대로, com.x.Base 같은 정규화된 이름 포함)
+}
+
+export interface ParsedKotlinSource extends ParsedJavaSource {
+    declarations: string[]; // 최상위 class/interface/object 이름
+}
+
+export interface ResolvedJavaReference {
+    path: string; // 루트 기준 경로
+    names: string[]; // 참조한 클래스 이름 (static import 는 멤버 이름)
+}
+
+// 소스 디렉터리 설정을 읽는 빌드 파일
+export const JAVA_CONFIG_FILES = ['pom.xml', 'build.gradle', 'build.gradle.kts'];
+
+// 같은 패키지/클래스 색인을 쓰는 JVM 소스
+export const JAVA_EXTENSIONS = ['.java', '.kt'];
+
+/**
+ * Java 소스의 package 선언, import 문, 본문의 타입 참조를 찾습니다.
+ * 주석과 문자열 리터럴은 제외합니다.
+ */
+export function parseJavaSource(content: string): ParsedJavaSource {
+    const source = stripCommentsAndStrings(content);
+
+    const packageName = source.match(/^\s*package\s+([\w.]+)\s*;/m)?.[1] || '';
+    const imports = Array.from(source.matchAll(/^\s*import\s+(static\s+)?([\w.]+?)(\.\*)?\s*;/gm), match => ({
+        name: match[2],
+        isStatic: !!match[1],
+        isWildcard: !!match[3]
+    }));
+
+    const body = source.replace(/^\s*(?:package|import)\s+[^;]*;/gm, '');
+    const typeReferences = new Set(Array.from(body.matchAll(/\b([A-Z]\w*)\b/g), match => match[1]));
+
+    // class A<T> extends B<T> implements C, D { ... } / record R(int x) implements C { ... }
+    const supertypes: string[] = [];
+    const headers = stripGenerics(body).matchAll(/\b(?:class|interface|enum|record)\s+\w+\s*(?:\([^)]*\))?([^{;]*)\{/g);
+    for (const header of headers) {
+        for (const clause of header[1].matchAll(/\b(?:extends|implements)\s+([\w.\s,]+?)(?=\b(?:extends|implements|permits)\b|$)/g)) {
+            clause[1].split(',').map(name => name.trim()).forEach(name => addUnique(supertypes, name));
+        }
+    }
+
+    return { packageName, imports, typeReferences, supertypes };
+}
+
+/**
+ * Kotlin 소스를 Java 와 같은 형태로 파싱합니다.
+ * import 에 ';' 가 없고 'as' 별칭을 쓸 수 있으며, 상위 타입은 클래스 헤더의 ':' 뒤에 옵니다.
+ */
+export function parseKotlinSource(content: string): ParsedKotlinSource {
+    const source = stripCommentsAndStrings(content);
+
+    const packageName = source.match(/^\s*package\s+([\w.]+)/m)?.[1] || '';
+    const imports = Array.from(source.matchAll(/^\s*import\s+([\w.]+?)(\.\*)?(?:\s+as\s+(\w+))?\s*;?\s*$/gm), match => ({
+        name: match[1],
+        isStatic: false,
+        isWildcard: !!match[2],
+        alias: match[3]
+    }));
+
+    const body = source.replace(/^\s*(?:package|import)\s+.*$/gm, '');
+    const typeReferences = new Set(Array.from(body.matchAll(/\b([A-Z]\w*)\b/g), match => match[1]));
+
+    const declarations = Array.from(
+        body.matchAll(/^(?:(?:public|internal|private|open|abstract|sealed|data|enum|annotation|value|inline|fun)\s+)*(?:class|interface|object)\s+(\w+)/gm),
+        match => match[1]
+    );
+
+    // class A(val x: Int) : Base(x), Iface by delegate { ... }
+    const supertypes: string[] = [];
+    const headers = stripGenerics(body).matchAll(
+        /\b(?:class|interface|object)\s+\w+[\w \t@]*?(?:constructor\s*)?(?:\((?:[^()]|\([^()]*\))*\))?\s*:\s*((?:[\w.]+(?:\((?:[^()]|\([^()]*\))*\))?(?:\s+by\s+\w+)?\s*,\s*)*[\w.]+)/g
+    );
+    for (const header of headers) {
+        header[1].replace(/\((?:[^()]|\([^()]*\))*\)|\s+by\s+\w+/g, '')
+            .split(',').map(name => name.trim()).forEach(name => addUnique(supertypes, name));
+    }
+
+    return { packageName, imports, typeReferences, supertypes, declarations };
+}
+
+function stripCommentsAndStrings(content: string): string {
+    return content.replace(
+        /\/\*[\s\S]*?\*\/|\/\/.*$|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/gm,
+        match => match.replace(/[^\n]/g, ' ')
+    );
+}
+
+/** 중첩된 제네릭 인자 <...> 를 안쪽부터 제거 */
+function stripGenerics(source: string): string {
+    let previous;
+    let result = source;
+    do {
+        previous = result;
+        result = result.replace(/<[^<>{}();]*>/g, '');
+    } while (result !== previous);
+    return result;
+}
+
+/** com.x.Base -> Base */
+export function getSimpleName(name: string): string {
+    return name.split('.').pop() as string;
+}
+
+function addUnique(list: string[], name: string): void {
+    if (name && !list.includes(name)) {
+        list.push(name);
+    }
+}
+
+/**
+ * 정규화된 클래스 이름(FQN)으로 Java 파일을 찾는 해석기
+ * Maven/Gradle 소스 루트(src/main/java 등, pom.xml/build.gradle 설정) 아래의 파일은 경로로,
+ * 그 밖의 파일은 package 선언으로 패키지를 결정합니다.
+ * Kotlin 파일은 항상 package 선언과 파일에 선언된 클래스 이름으로 색인합니다.
+ */
+export class JavaResolver {
+    private classes = new Map<string, string>(); // FQN -> 파일 경로
+    private packages = new Map<string, string[]>(); // 패키지 -> 파일 경로
+    private fileClasses = new Map<string, string[]>(); // 파일 경로 -> 선언한 클래스 이름
+
+    private constructor(
+        private rootPath: string,
+        private fileMap: Map<string, FileInfo>
+    ) {}
+
+    static async create(rootPath: string, fileMap: Map<string, FileInfo>): Promise<JavaResolver> {
+        const resolver = new JavaResolver(rootPath, fileMap);
+        await resolver.buildIndex();
+        return resolver;
+    }
+
+    /**
+     * 파일이 참조하는 프로젝트 클래스를 찾습니다.
+     * 정규화된 상위 타입, 단일 타입 import, 같은 패키지, 와일드카드 import 순서로 이름을 해석합니다.
+     */
+    resolve(fromPath: string, source: ParsedJavaSource): ResolvedJavaReference[] {
+        const resolved = new Map<string, Set<string>>();
+        const add = (filePath: string | undefined, name: string) => {
+            if (filePath && filePath !== fromPath) {
+                resolved.set(filePath, (resolved.get(filePath) || new Set()).add(name));
+            }
+        };
+        const resolvedNames = new Set<string>();
+
+        // 정규화된 이름으로 적은 상위 타입 (extends com.x.Base) 은 import 없이도 그 클래스를 가리킴
+        for (const supertype of source.supertypes.filter(name => name.includes('.'))) {
+            const filePath = this.classes.get(supertype);
+            if (filePath) {
+                add(filePath, getSimpleName(supertype));
+                resolvedNames.add(getSimpleName(supertype));
+            }
+        }
+
+        // 단일 타입 import 와 static import (중첩 클래스는 바깥 클래스 파일)
+        for (const javaImport of source.imports.filter(candidate => !candidate.isWildcard)) {
+            const simpleName = javaImport.alias || javaImport.name.split('.').pop() as string;
+            add(this.findClass(javaImport.name), simpleName);
+            resolvedNames.add(simpleName);
+        }
+
+        // 같은 패키지의 클래스는 import 없이 사용
+        const samePackage = this.packages.get(source.packageName) || [];
+        for (const filePath of samePackage) {
+            for (const className of this.fileClasses.get(filePath) || []) {
+                if (!resolvedNames.has(className) && source.typeReferences.has(className)) {
+                    add(filePath, className);
+                    resolvedNames.add(className);
+                }
+            }
+        }
+
+        // 와일드카드 import 는 실제로 사용한 클래스만 연결
+        for (const javaImport of source.imports.filter(candidate => candidate.isWildcard)) {
+            if (javaImport.isStatic) {
+                add(this.findClass(javaImport.name), '*');
+                continue;
+            }
+            for (const filePath of this.packages.get(javaImport.name) || []) {
+                for (const className of this.fileClasses.get(filePath) || []) {
+                    if (!resolvedNames.has(className) && source.typeReferences.has(className)) {
+                        add(filePath, className);
+                        resolvedNames.add(className);
+                    }
+                }
+            }
+        }
+
+        return Array.from(resolved, ([filePath, names]) => ({ path: filePath, names: Array.from(names) }));
+    }
+
+    /** com.x.Outer.Inner 나 static 멤버 이름은 앞쪽부터 가장 긴 클래스 이름으로 찾음 */
+    private findClass(qualifiedName: string): string | undefined {
+        const parts = qualifiedName.split('.');
+        for (let length = parts.length; length > 0; length--) {
+            const found = this.classes.get(parts.slice(0, length).join('.'));
+            if (found) {
+                return found;
+            }
+        }
+        return undefined;
+    }
+
+    private async buildIndex(): Promise<void> {
+        const files = Array.from(this.fileMap.values());
+        const javaFiles = files.filter(file => JAVA_EXTENSIONS.includes(file.extension));
+        if (javaFiles.length === 0) {
+            return;
+        }
+
+        const sourceRoots = await this.findSourceRoots(files);
+        for (const file of javaFiles) {
+            let packageName: string;
+            let classNames: string[];
+            if (file.extension === '.kt') {
+                // Kotlin 은 파일 이름과 클래스 이름이 달라도 되고 한 파일에 여러 클래스를 선언할 수 있음
+                const source = parseKotlinSource(await this.readContent(file));
+                packageName = source.packageName;
+                classNames = source.declarations;
+            } else {
+                const root = sourceRoots.find(candidate => file.path.startsWith(`${candidate}/`));
+                packageName = root !== undefined
+                    ? path.posix.dirname(file.path.slice(root.length + 1)).replace(/^\.$/, '').replace(/\//g, '.')
+                    : parseJavaSource(await this.readContent(file)).packageName;
+                classNames = [getClassName(file.path)];
+            }
+
+            classNames.forEach(className =>
+                this.classes.set(packageName ? `${packageName}.${className}` : className, file.path));
+            this.fileClasses.set(file.path, classNames);
+            this.packages.set(packageName, [...(this.packages.get(packageName) || []), file.path]);
+        }
+
+        logger.debug('Java class index built', { classes: this.classes.size, sourceRoots });
+    }
+
+    /** 깊은 루트가 먼저 오도록 정렬된 소스 루트 */
+    private async findSourceRoots(files: FileInfo[]): Promise<string[]> {
+        const roots = new Set<string>();
+
+        // Maven/Gradle 기본 구조: src/main/java, src/test/java, src/<sourceSet>/java
+        files.forEach(file => {
+            const match = file.path.match(/^((?:.*\/)?src\/[^/]+\/(?:java|kotlin))\//);
+            if (match) {
+                roots.add(match[1]);
+            }
+        });
+
+        // pom.xml 의 sourceDirectory, build.gradle 의 srcDir(s)
+        for (const file of files.filter(candidate => JAVA_CONFIG_FILES.includes(candidate.name))) {
+            const projectDir = path.posix.dirname(file.path).replace(/^\.$/, '');
+            let content = '';
+            try {
+                content = await fs.readFile(path.join(this.rootPath, file.path), 'utf-8');
+            } catch {
+                continue;
+            }
+
+            const dirs = file.name === 'pom.xml'
+                ? Array.from(content.matchAll(/<(?:test)?[sS]ourceDirectory>\s*([^<\s]+)\s*</g), match => match[1])
+                : Array.from(content.matchAll(/\bsrcDirs?\b\s*(?:=|\+=)?\s*\(?\s*((?:\[[^\]]*\])|(?:["'][^"']+["'](?:\s*,\s*["'][^"']+["'])*))/g),
+                    match => Array.from(match[1].matchAll(/["']([^"']+)["']/g), dir => dir[1])).flat();
+
+            dirs.map(dir => dir.replace(/^\$\{(?:project\.)?basedir\}\//, ''))
+                .filter(dir => !path.isAbsolute(dir) && !dir.includes('$'))
+                .forEach(dir => roots.add(path.posix.normalize(path.posix.join(projectDir, dir)).replace(/\/$/, '')));
+        }
+
+        return Array.from(roots).sort((a, b) => b.split('/').length - a.split('/').length);
+    }
+
+    private async readContent(file: FileInfo): Promise<string> {
+        try {
+            return await fs.readFile(file.fullPath, 'utf-8');
+        } catch {
+            return '';
+        }
+    }
+}
+
+function getClassName(filePath: string): string {
+    return path.posix.basename(filePath, '.java');
+}
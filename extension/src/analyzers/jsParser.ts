@@ -0,0 +1,478 @@
+import * as path from 'path';
+import * as ts from 'typescript';
+
+export interface ParsedImport {
+    specifier: string;
+    kind: 'import' | 'export' | 'require' | 'dynamic';
+    importedNames: string[]; // 'default', '*' 또는 named import 이름
+    localNames: string[]; // 이 파일 안에서 바인딩된 이름 (import 선언만)
+    usedNames: string[]; // importedNames 중 파일에서 실제로 참조한 이름 (네임스페이스는 접근한 멤버)
+    exportedNames?: string[]; // export ... from 으로 이 파일이 내보내는 이름 (importedNames 와 같은 순서, export * 는 '*')
+    isTypeOnly: boolean;
+}
+
+export interface ParsedCall {
+    caller: string; // 호출하는 함수 (클래스 메서드는 Class.method, 최상위 코드는 '(module)')
+    callee: string; // 호출한 이름 (obj.fn() 이면 fn)
+    object?: string; // obj.fn() 의 obj ('this' 포함)
+}
+
+// 함수 밖 최상위 코드에서의 호출
+export const MODULE_CALLER = '(module)';
+
+export interface ParsedJSModule {
+    imports: ParsedImport[];
+    functions: string[];
+    classes: string[];
+    variables: string[];
+    heritage: string[]; // extends/implements 절에 쓰인 식별자 (A.B 는 A)
+    exports: string[]; // 이 파일이 export 하는 이름 ('default' 포함, export * 는 제외)
+    defaultExport?: string; // export default 로 내보낸 함수/클래스/식별자 이름
+    calls: ParsedCall[];
+    filePaths: string[]; // path.join(dir, 'media', 'a.js') 처럼 문자열 조각으로 만든 파일 경로 (런타임에 읽는 파일)
+}
+
+/**
+ * TypeScript 컴파일러 API로 JS/TS 소스를 파싱하여 import와 코드 요소를 추출합니다.
+ * 주석이나 문자열 안의 import 구문은 AST에 나타나지 않으므로 자연스럽게 무시됩니다.
+ */
+export function parseJSModule(fileName: string, content: string): ParsedJSModule {
+    const sourceFile = ts.createSourceFile(
+        fileName,
+        content,
+        ts.ScriptTarget.Latest,
+        true,
+        getScriptKind(fileName)
+    );
+
+    const result: ParsedJSModule = {
+        imports: [],
+        functions: [],
+        classes: [],
+        variables: [],
+        heritage: [],
+        exports: [],
+        calls: [],
+        filePaths: []
+    };
+
+    const addUnique = (list: string[], name: string) => {
+        if (name && !list.includes(name)) {
+            list.push(name);
+        }
+    };
+
+    // Module-level declarations
+    for (const statement of sourceFile.statements) {
+        if (ts.isVariableStatement(statement)) {
+            for (const declaration of statement.declarationList.declarations) {
+                if (ts.isIdentifier(declaration.name) && !isFunctionInitializer(declaration.initializer)) {
+                    addUnique(result.variables, declaration.name.text);
+                }
+            }
+        }
+        getExportedNames(statement).forEach(name => addUnique(result.exports, name));
+        result.defaultExport = result.defaultExport || getDefaultExportName(statement);
+    }
+
+    // 식별자 참조: 단독으로 쓴 이름과 ns.member 처럼 멤버에 접근한 이름
+    const referenced = new Set<string>();
+    const members = new Map<string, Set<string>>();
+    const addMember = (object: ts.Node, member: string) => {
+        if (ts.isIdentifier(object)) {
+            members.set(object.text, (members.get(object.text) || new Set()).add(member));
+        }
+    };
+
+    // 호출 위치를 감싸는 함수 이름
+    const callers: string[] = [];
+    const callKeys = new Set<string>();
+    const addCall = (call: ParsedCall) => {
+        const key = `${call.caller}|${call.object || ''}|${call.callee}`;
+        if (!callKeys.has(key)) {
+            callKeys.add(key);
+            result.calls.push(call);
+        }
+    };
+
+    const visit = (node: ts.Node) => {
+        // import/export ... from 의 이름은 참조가 아니므로 하위 노드를 방문하지 않음
+        if (ts.isImportDeclaration(node) && ts.isStringLiteral(node.moduleSpecifier)) {
+            result.imports.push(parseImportDeclaration(node, node.moduleSpecifier.text));
+            return;
+        } else if (ts.isExportDeclaration(node) && node.moduleSpecifier && ts.isStringLiteral(node.moduleSpecifier)) {
+            result.imports.push(parseExportDeclaration(node, node.moduleSpecifier.text));
+            return;
+        } else if (ts.isImportEqualsDeclaration(node) && ts.isExternalModuleReference(node.moduleReference)) {
+            const expression = node.moduleReference.expression;
+            if (ts.isStringLiteral(expression)) {
+                result.imports.push({
+                    specifier: expression.text,
+                    kind: 'require',
+                    importedNames: ['*'],
+                    localNames: [node.name.text],
+                    usedNames: [],
+                    isTypeOnly: node.isTypeOnly
+                });
+            }
+            return;
+        } else if (ts.isIdentifier(node)) {
+            recordReference(node, referenced, addMember);
+        } else if (ts.isCallExpression(node)) {
+            const specifier = getStaticModuleArgument(node);
+            if (specifier !== undefined) {
+                if (node.expression.kind === ts.SyntaxKind.ImportKeyword) {
+                    result.imports.push({
+                        specifier,
+                        kind: 'dynamic',
+                        importedNames: ['*'],
+                        localNames: [],
+                        usedNames: [],
+                        isTypeOnly: false
+                    });
+                } else if (ts.isIdentifier(node.expression) && node.expression.text === 'require') {
+                    result.imports.push({
+                        specifier,
+                        kind: 'require',
+                        importedNames: ['*'],
+                        localNames: getRequireBindings(node),
+                        usedNames: [],
+                        isTypeOnly: false
+                    });
+                }
+            }
+            const filePath = getJoinedFilePath(node);
+            if (filePath) {
+                addUnique(result.filePaths, filePath);
+            }
+            const target = getCallTarget(node.expression);
+            if (target) {
+                addCall({ caller: callers[callers.length - 1] || MODULE_CALLER, ...target });
+            }
+        } else if (ts.isImportTypeNode(node)) {
+            // type Foo = import('./foo').Foo
+            const argument = node.argument;
+            if (ts.isLiteralTypeNode(argument) && ts.isStringLiteral(argument.literal)) {
+                result.imports.push({
+                    specifier: argument.literal.text,
+                    kind: 'import',
+                    importedNames: node.qualifier ? [getLeftmostName(node.qualifier)] : ['*'],
+                    localNames: [],
+                    usedNames: [],
+                    isTypeOnly: true
+                });
+            }
+        } else if (ts.isFunctionDeclaration(node) && node.name) {
+            addUnique(result.functions, node.name.text);
+        } else if (ts.isClassDeclaration(node) && node.name) {
+            addUnique(result.classes, node.name.text);
+        } else if (ts.isVariableDeclaration(node) && ts.isIdentifier(node.name) && isFunctionInitializer(node.initializer)) {
+            addUnique(result.functions, node.name.text);
+        }
+
+        // class A extends B implements C / interface I extends J
+        if ((ts.isClassLike(node) || ts.isInterfaceDeclaration(node)) && node.heritageClauses) {
+            for (const clause of node.heritageClauses) {
+                for (const type of clause.types) {
+                    const name = getHeritageName(type.expression);
+                    if (name) {
+                        addUnique(result.heritage, name);
+                    }
+                }
+            }
+        }
+
+        const scope = getCallerName(node);
+        if (scope) {
+            callers.push(scope);
+        }
+        ts.forEachChild(node, visit);
+        if (scope) {
+            callers.pop();
+        }
+    };
+
+    visit(sourceFile);
+
+    const isReferenced = (name: string) => referenced.has(name) || members.has(name);
+    for (const parsedImport of result.imports) {
+        const { importedNames, localNames } = parsedImport;
+        if (localNames.length === 0 || localNames.length !== importedNames.length) {
+            // 바인딩 이름을 알 수 없으면 (동적 import, export ... from 등) 가져온 이름을 모두 사용한 것으로 봄
+            parsedImport.usedNames = [...importedNames];
+            continue;
+        }
+        parsedImport.usedNames = importedNames.flatMap((name, index) => {
+            const local = localNames[index];
+            if (name !== '*') {
+                return isReferenced(local) ? [name] : [];
+            }
+            // 네임스페이스를 그대로 넘기면 전체, 아니면 접근한 멤버만
+            return referenced.has(local) ? ['*'] : Array.from(members.get(local) || []);
+        });
+    }
+
+    return result;
+}
+
+function recordReference(
+    node: ts.Identifier,
+    referenced: Set<string>,
+    addMember: (object: ts.Node, member: string) => void
+): void {
+    const parent = node.parent;
+    if (ts.isPropertyAccessExpression(parent)) {
+        if (parent.name === node) {
+            addMember(parent.expression, node.text);
+            return;
+        }
+        if (ts.isIdentifier(parent.expression) && parent.expression === node) {
+            return; // addMember 에서 기록
+        }
+    } else if (ts.isQualifiedName(parent)) {
+        // 타입 위치의 ns.Type
+        if (parent.right === node) {
+            addMember(parent.left, node.text);
+        }
+        if (parent.left === node || parent.right === node) {
+            return;
+        }
+    }
+    // 선언 이름, 속성 키, JSX 속성 이름은 참조가 아님 (단축 속성 { a } 와 export { a } 는 참조)
+    if ((parent as ts.NamedDeclaration).name === node &&
+        !ts.isShorthandPropertyAssignment(parent) && !ts.isExportSpecifier(parent)) {
+        return;
+    }
+    referenced.add(node.text);
+}
+
+/** fn(), obj.fn(), this.fn() 의 호출 대상 (require 와 동적 import 는 제외) */
+function getCallTarget(expression: ts.Expression): Omit<ParsedCall, 'caller'> | undefined {
+    if (ts.isIdentifier(expression)) {
+        return expression.text === 'require' ? undefined : { callee: expression.text };
+    }
+    if (ts.isPropertyAccessExpression(expression) && ts.isIdentifier(expression.name)) {
+        if (expression.expression.kind === ts.SyntaxKind.ThisKeyword) {
+            return { callee: expression.name.text, object: 'this' };
+        }
+        if (ts.isIdentifier(expression.expression)) {
+            return { callee: expression.name.text, object: expression.expression.text };
+        }
+    }
+    return undefined;
+}
+
+/** 호출을 감싸는 단위가 되는 함수 선언의 이름 (익명 함수는 바깥 함수에 포함) */
+function getCallerName(node: ts.Node): string | undefined {
+    if (ts.isFunctionDeclaration(node) && node.name) {
+        return node.name.text;
+    }
+    if (ts.isVariableDeclaration(node) && ts.isIdentifier(node.name) && isFunctionInitializer(node.initializer)) {
+        return node.name.text;
+    }
+
+    const parent = node.parent;
+    const className = parent && ts.isClassLike(parent) && parent.name ? `${parent.name.text}.` : '';
+    if (ts.isConstructorDeclaration(node)) {
+        return `${className}constructor`;
+    }
+    if ((ts.isMethodDeclaration(node) || ts.isGetAccessor(node) || ts.isSetAccessor(node) ||
+        (ts.isPropertyDeclaration(node) && isFunctionInitializer(node.initializer))) && ts.isIdentifier(node.name)) {
+        return `${className}${node.name.text}`;
+    }
+    return undefined;
+}
+
+function getDefaultExportName(statement: ts.Statement): string | undefined {
+    if (ts.isExportAssignment(statement) && !statement.isExportEquals) {
+        return ts.isIdentifier(statement.expression) ? statement.expression.text : undefined;
+    }
+    if ((ts.isFunctionDeclaration(statement) || ts.isClassDeclaration(statement)) && statement.name) {
+        const modifiers = ts.getModifiers(statement) || [];
+        if (modifiers.some(modifier => modifier.kind === ts.SyntaxKind.DefaultKeyword)) {
+            return statement.name.text;
+        }
+    }
+    return undefined;
+}
+
+/** 최상위 문장이 export 하는 이름 */
+function getExportedNames(statement: ts.Statement): string[] {
+    if (ts.isExportAssignment(statement)) {
+        return ['default']; // export default expr / export = expr
+    }
+    if (ts.isExportDeclaration(statement)) {
+        const clause = statement.exportClause;
+        if (!clause) {
+            return []; // export * from 은 대상 파일의 이름
+        }
+        return ts.isNamespaceExport(clause) ? [clause.name.text] : clause.elements.map(element => element.name.text);
+    }
+
+    const modifiers = ts.canHaveModifiers(statement) ? ts.getModifiers(statement) || [] : [];
+    if (!modifiers.some(modifier => modifier.kind === ts.SyntaxKind.ExportKeyword)) {
+        return [];
+    }
+    if (modifiers.some(modifier => modifier.kind === ts.SyntaxKind.DefaultKeyword)) {
+        return ['default'];
+    }
+    if (ts.isVariableStatement(statement)) {
+        return statement.declarationList.declarations.flatMap(declaration => getBindingNames(declaration.name));
+    }
+    const name = (statement as ts.DeclarationStatement).name;
+    return name && ts.isIdentifier(name) ? [name.text] : [];
+}
+
+function getBindingNames(name: ts.BindingName): string[] {
+    if (ts.isIdentifier(name)) {
+        return [name.text];
+    }
+    return name.elements.flatMap(element => ts.isBindingElement(element) ? getBindingNames(element.name) : []);
+}
+
+function parseImportDeclaration(node: ts.ImportDeclaration, specifier: string): ParsedImport {
+    const clause = node.importClause;
+    const importedNames: string[] = [];
+    const localNames: string[] = [];
+    let isTypeOnly = false;
+
+    if (clause) {
+        isTypeOnly = clause.isTypeOnly;
+
+        if (clause.name) {
+            importedNames.push('default');
+            localNames.push(clause.name.text);
+        }
+
+        const bindings = clause.namedBindings;
+        if (bindings && ts.isNamespaceImport(bindings)) {
+            importedNames.push('*');
+            localNames.push(bindings.name.text);
+        } else if (bindings && ts.isNamedImports(bindings)) {
+            for (const element of bindings.elements) {
+                importedNames.push((element.propertyName || element.name).text);
+                localNames.push(element.name.text);
+            }
+            // import { type A, type B } from '...' 도 타입 전용으로 취급
+            if (!clause.name && bindings.elements.length > 0 &&
+                bindings.elements.every(element => element.isTypeOnly)) {
+                isTypeOnly = true;
+            }
+        }
+    }
+
+    return { specifier, kind: 'import', importedNames, localNames, usedNames: [], isTypeOnly };
+}
+
+function parseExportDeclaration(node: ts.ExportDeclaration, specifier: string): ParsedImport {
+    const importedNames: string[] = [];
+    const exportedNames: string[] = [];
+    let isTypeOnly = node.isTypeOnly;
+
+    const clause = node.exportClause;
+    if (!clause || ts.isNamespaceExport(clause)) {
+        // export * from '...' / export * as ns from '...'
+        importedNames.push('*');
+        exportedNames.push(clause ? clause.name.text : '*');
+    } else {
+        for (const element of clause.elements) {
+            importedNames.push((element.propertyName || element.name).text);
+            exportedNames.push(element.name.text);
+        }
+        if (clause.elements.length > 0 && clause.elements.every(element => element.isTypeOnly)) {
+            isTypeOnly = true;
+        }
+    }
+
+    return { specifier, kind: 'export', importedNames, localNames: [], usedNames: [], exportedNames, isTypeOnly };
+}
+
+function getStaticModuleArgument(node: ts.CallExpression): string | undefined {
+    if (node.arguments.length !== 1) {
+        return undefined;
+    }
+
+    const argument = node.arguments[0];
+    // require('x'), require(`x`) - 치환식이 있는 템플릿은 정적으로 해석할 수 없음
+    if (ts.isStringLiteral(argument) || ts.isNoSubstitutionTemplateLiteral(argument)) {
+        return argument.text;
+    }
+
+    return undefined;
+}
+
+/** path.join / path.resolve / Uri.joinPath 의 뒤쪽 문자열 인자를 이어 붙인 파일 경로 (확장자가 있을 때만) */
+function getJoinedFilePath(node: ts.CallExpression): string | undefined {
+    const callee = node.expression;
+    if (!ts.isPropertyAccessExpression(callee) || !['join', 'resolve', 'joinPath'].includes(callee.name.text)) {
+        return undefined;
+    }
+
+    const segments: string[] = [];
+    for (let i = node.arguments.length - 1; i >= 0; i--) {
+        const argument = node.arguments[i];
+        if (!ts.isStringLiteral(argument) && !ts.isNoSubstitutionTemplateLiteral(argument)) {
+            break;
+        }
+        segments.unshift(argument.text);
+    }
+
+    const joined = path.posix.normalize(segments.join('/')).replace(/^(?:\.\/)+/, '');
+    return segments.length > 0 && /\.\w+$/.test(joined) && !joined.startsWith('/')
+        ? joined
+        : undefined;
+}
+
+function isFunctionInitializer(initializer: ts.Expression | undefined): boolean {
+    return !!initializer && (ts.isArrowFunction(initializer) || ts.isFunctionExpression(initializer));
+}
+
+function getLeftmostName(name: ts.EntityName): string {
+    return ts.isIdentifier(name) ? name.text : getLeftmostName(name.left);
+}
+
+/** extends 절의 식 (Base, ns.Base, Mixin(Base)) 에서 이 파일의 바인딩 이름 */
+function getHeritageName(expression: ts.Expression): string | undefined {
+    if (ts.isIdentifier(expression)) {
+        return expression.text;
+    }
+    if (ts.isPropertyAccessExpression(expression)) {
+        return getHeritageName(expression.expression);
+    }
+    if (ts.isCallExpression(expression)) {
+        return getHeritageName(expression.expression);
+    }
+    return undefined;
+}
+
+/** const Base = require('./base') / const { Base } = require('./base') 의 바인딩 이름 */
+function getRequireBindings(node: ts.CallExpression): string[] {
+    const parent = node.parent;
+    if (!parent || !ts.isVariableDeclaration(parent) || parent.initializer !== node) {
+        return [];
+    }
+    if (ts.isIdentifier(parent.name)) {
+        return [parent.name.text];
+    }
+    if (ts.isObjectBindingPattern(parent.name)) {
+        return parent.name.elements
+            .filter(element => ts.isIdentifier(element.name))
+            .map(element => (element.name as ts.Identifier).text);
+    }
+    return [];
+}
+
+function getScriptKind(fileName: string): ts.ScriptKind {
+    switch (path.extname(fileName).toLowerCase()) {
+        case '.ts':
+        case '.mts':
+        case '.cts':
+            return ts.ScriptKind.TS;
+        case '.tsx':
+            return ts.ScriptKind.TSX;
+        case '.jsx':
+            return ts.ScriptKind.JSX;
+        default:
+            return ts.ScriptKind.JS;
+    }
+}
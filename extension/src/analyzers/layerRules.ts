@@ -0,0 +1,231 @@
+import * as path from 'path';
+import * as fs from 'fs/promises';
+import { FileInfo, Layer, LayerDefinition } from '../types';
+import { patternToRegExp } from './pathMatcher';
+import { logger } from '../services/logService';
+
+// 작업 공간 폴더 루트 기준 레이어 설정 파일
+export const LAYER_CONFIG_PATH = '.codesync/layers.json';
+
+const DEFAULT_LAYER_NAME = 'other';
+
+// 설정 파일이 없을 때 사용하는 레이어 (디렉터리 이름과 확장자로 분류)
+export const DEFAULT_LAYERS: LayerDefinition[] = [
+    {
+        name: 'presentation',
+        title: 'Presentation Layer',
+        color: '#2ecc71',
+        patterns: [
+            '**/{view,views,component,components,ui,page,pages,screen,screens,widget,widgets,template,templates,layout,layouts,webview}/**',
+            '*.{vue,svelte,astro,tsx,jsx,html,htm,css,scss,sass,less}',
+            '*.{png,jpg,jpeg,gif,svg,webp,avif,ico,bmp,woff,woff2,ttf,otf,eot}'
+        ]
+    },
+    {
+        name: 'business',
+        title: 'Business Logic Layer',
+        color: '#3498db',
+        patterns: [
+            '**/{service,services,business,controller,controllers,handler,handlers,manager,managers,provider,providers,api,route,routes,endpoint,endpoints,middleware,middlewares,command,commands}/**',
+            '*{Service,Controller,Handler,Manager,Provider}.*'
+        ]
+    },
+    {
+        name: 'data',
+        title: 'Data Access Layer',
+        color: '#9b59b6',
+        patterns: [
+            '**/{model,models,data,repository,repositories,entity,entities,schema,schemas,database,db,migration,migrations,seed,seeds}/**',
+            '*.{sql,graphql,gql,prisma}'
+        ]
+    },
+    {
+        name: 'utils',
+        title: 'Utility & Support Layer',
+        color: '#f39c12',
+        patterns: [
+            '**/{util,utils,helper,helpers,common,shared,lib,libs,tool,tools,constant,constants,enum,enums}/**',
+            '*.{sh,bash,ps1,bat}'
+        ]
+    },
+    {
+        name: 'config',
+        title: 'Configuration Layer',
+        color: '#ff4757',
+        patterns: [
+            '**/{config,configs,configuration}/**',
+            '*.config.*',
+            '.env*',
+            '*.{json,yaml,yml,xml,toml,ini,env,properties,conf}'
+        ]
+    }
+];
+
+interface LayerConfig {
+    layers: LayerDefinition[];
+    defaultLayer: LayerDefinition; // 어떤 패턴에도 매칭되지 않는 파일
+}
+
+/**
+ * `.codesync/layers.json` 의 glob 규칙으로 파일을 아키텍처 레이어에 배치합니다.
+ * 레이어는 설정 파일에 적힌 순서대로 검사하며, 처음 매칭된 레이어에 속합니다.
+ * `allowedDependencies` / `forbiddenDependencies` 로 레이어 간 허용되는 의존 방향을 선언합니다.
+ *
+ * ```json
+ * {
+ *   "layers": [
+ *     { "name": "ui", "title": "UI", "color": "#2ecc71", "patterns": ["src/components/**", "*.tsx"],
+ *       "forbiddenDependencies": ["data"] },
+ *     { "name": "domain", "patterns": ["src/domain/**"], "allowedDependencies": ["data"] },
+ *     { "name": "data", "patterns": ["src/db/**"] }
+ *   ],
+ *   "defaultLayer": "domain"
+ * }
+ * ```
+ */
+export class LayerRules {
+    // 작업 공간 폴더 경로 (rootPath 기준, 단일 폴더는 '') -> 설정
+    private configs = new Map<string, LayerConfig>();
+    private patterns = new Map<string, RegExp>();
+
+    /** 폴더의 설정 파일을 다시 읽습니다. 파일이 없거나 잘못되면 기본 레이어를 사용합니다. */
+    async load(folderPath: string, folderFullPath: string): Promise<void> {
+        const configPath = path.join(folderFullPath, LAYER_CONFIG_PATH);
+        let content: string;
+        try {
+            content = await fs.readFile(configPath, 'utf-8');
+        } catch {
+            this.configs.delete(folderPath);
+            return;
+        }
+
+        try {
+            this.configs.set(folderPath, parseLayerConfig(JSON.parse(content)));
+            logger.info('Layer rules loaded', { configPath });
+        } catch (error) {
+            this.configs.delete(folderPath);
+            logger.warn('Invalid layer configuration, using default layers', {
+                configPath,
+                error: (error as Error).message
+            });
+        }
+    }
+
+    /** 모든 폴더의 레이어를 설정 순서대로 합친 목록 (같은 이름은 먼저 나온 정의 사용) */
+    getDefinitions(folderPaths: string[]): LayerDefinition[] {
+        const definitions = new Map<string, LayerDefinition>();
+        folderPaths.forEach(folderPath => {
+            const config = this.getConfig(folderPath);
+            [...config.layers, config.defaultLayer].forEach(layer => {
+                if (!definitions.has(layer.name)) {
+                    definitions.set(layer.name, layer);
+                }
+            });
+        });
+        return Array.from(definitions.values());
+    }
+
+    /** 파일이 속한 레이어 이름 */
+    classify(relPath: string): string {
+        return this.findLayer(relPath).name;
+    }
+
+    /** from 파일이 to 파일에 의존하는 것이 레이어 규칙에 어긋나면 위반 내용을 반환합니다. */
+    checkDependency(from: string, to: string): string | undefined {
+        const fromLayer = this.findLayer(from);
+        const toLayer = this.classify(to);
+        if (fromLayer.name === toLayer) {
+            return undefined;
+        }
+
+        if (fromLayer.forbiddenDependencies?.includes(toLayer)) {
+            return `${fromLayer.name} must not depend on ${toLayer}`;
+        }
+        const allowed = fromLayer.allowedDependencies;
+        if (allowed && !allowed.includes(toLayer)) {
+            return allowed.length > 0
+                ? `${fromLayer.name} may only depend on ${allowed.join(', ')}, not ${toLayer}`
+                : `${fromLayer.name} must not depend on other layers (${toLayer})`;
+        }
+        return undefined;
+    }
+
+    private findLayer(relPath: string): LayerDefinition {
+        const folderPath = Array.from(this.configs.keys())
+            .filter(candidate => !candidate || relPath.startsWith(`${candidate}/`))
+            .sort((a, b) => b.length - a.length)[0] || '';
+        const config = this.getConfig(folderPath);
+        const localPath = folderPath ? relPath.slice(folderPath.length + 1) : relPath;
+
+        const layer = config.layers.find(candidate =>
+            candidate.patterns.some(pattern => this.getPattern(pattern).test(localPath)));
+        return layer || config.defaultLayer;
+    }
+
+    organize(files: FileInfo[], folderPaths: string[]): Layer {
+        const layers: Layer = {};
+        this.getDefinitions(folderPaths).forEach(definition => {
+            layers[definition.name] = [];
+        });
+
+        files.forEach(file => {
+            file.layer = this.classify(file.path);
+            (layers[file.layer] = layers[file.layer] || []).push(file);
+        });
+        return layers;
+    }
+
+    private getPattern(pattern: string): RegExp {
+        let regex = this.patterns.get(pattern);
+        if (!regex) {
+            // 디렉터리 패턴 ('components/', 'src/components/') 은 그 안의 모든 파일
+            const dir = pattern.slice(0, -1);
+            regex = patternToRegExp(!pattern.endsWith('/') ? pattern : dir.includes('/') ? `${dir}/**` : `**/${dir}/**`);
+            this.patterns.set(pattern, regex);
+        }
+        return regex;
+    }
+
+    private getConfig(folderPath: string): LayerConfig {
+        return this.configs.get(folderPath) || {
+            layers: DEFAULT_LAYERS,
+            defaultLayer: DEFAULT_LAYERS.find(layer => layer.name === 'utils') as LayerDefinition
+        };
+    }
+}
+
+function parseLayerConfig(json: unknown): LayerConfig {
+    const rawLayers = (json as { layers?: unknown })?.layers;
+    if (!Array.isArray(rawLayers) || rawLayers.length === 0) {
+        throw new Error('"layers" must be a non-empty array');
+    }
+
+    const layers = rawLayers.map((raw, index): LayerDefinition => {
+        const layer = raw as Partial<LayerDefinition>;
+        if (typeof layer?.name !== 'string' || !layer.name) {
+            throw new Error(`layers[${index}].name is required`);
+        }
+        return {
+            name: layer.name,
+            title: typeof layer.title === 'string' ? layer.title : layer.name,
+            color: typeof layer.color === 'string' ? layer.color : '#58a6ff',
+            patterns: toStringArray(layer.patterns) || [],
+            allowedDependencies: toStringArray(layer.allowedDependencies),
+            forbiddenDependencies: toStringArray(layer.forbiddenDependencies)
+        };
+    });
+
+    const defaultName = (json as { defaultLayer?: unknown }).defaultLayer;
+    const name = typeof defaultName === 'string' && defaultName ? defaultName : DEFAULT_LAYER_NAME;
+    const defaultLayer = layers.find(layer => layer.name === name) ||
+        { name, title: 'Other', color: '#8b949e', patterns: [] };
+
+    return { layers, defaultLayer };
+}
+
+function toStringArray(value: unknown): string[] | undefined {
+    if (typeof value === 'string') {
+        return [value];
+    }
+    return Array.isArray(value) ? value.filter((item): item is string => typeof item === 'string') : undefined;
+}
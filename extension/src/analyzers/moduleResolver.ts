@@ -0,0 +1,477 @@
+import * as path from 'path';
+import * as fs from 'fs/promises';
+import * as ts from 'typescript';
+import { FileInfo } from '../types';
+import { logger } from '../services/logService';
+
+interface CompilerPathOptions {
+    baseUrl?: string; // 절대 경로
+    paths?: Record<string, string[]>;
+    pathsBase?: string; // paths 대상이 해석되는 절대 경로
+}
+
+interface PackageManifest {
+    dir: string; // 루트 기준 경로
+    name?: string;
+    main?: string;
+    module?: string;
+    types?: string;
+    exports?: unknown;
+    imports?: Record<string, unknown>;
+}
+
+const RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.d.ts', '.js', '.jsx', '.mjs', '.cjs'];
+const EXPORT_CONDITIONS = ['types', 'import', 'module', 'require', 'node', 'browser', 'development', 'production', 'default'];
+
+export interface ResolvedModule {
+    path: string; // 루트 기준 경로
+    found: boolean;
+}
+
+/**
+ * JS/TS import 경로 해석기
+ * 상대 경로 외에도 tsconfig/jsconfig의 paths, baseUrl과
+ * package.json의 exports/imports, index 배럴 파일을 처리합니다.
+ */
+export class ModuleResolver {
+    private compilerOptions = new Map<string, CompilerPathOptions>(); // 설정 파일 디렉터리 → 옵션
+    private manifests = new Map<string, PackageManifest>(); // package.json 디렉터리 → manifest
+    private packagesByName = new Map<string, PackageManifest>();
+    private nearestConfigCache = new Map<string, CompilerPathOptions | undefined>();
+
+    private constructor(
+        private rootPath: string,
+        private fileMap: Map<string, FileInfo>
+    ) {}
+
+    static async create(rootPath: string, fileMap: Map<string, FileInfo>): Promise<ModuleResolver> {
+        const resolver = new ModuleResolver(rootPath, fileMap);
+        await resolver.loadConfigurations();
+        return resolver;
+    }
+
+    /**
+     * import 경로를 해석합니다. 외부 패키지로 판단되면 undefined를 반환합니다.
+     */
+    resolve(fromPath: string, specifier: string): ResolvedModule | undefined {
+        // 상대/루트 경로
+        if (specifier.startsWith('.') || specifier.startsWith('/')) {
+            const basePath = specifier.startsWith('/')
+                ? path.posix.normalize(specifier.slice(1))
+                : path.posix.normalize(path.posix.join(path.posix.dirname(fromPath), specifier));
+            return this.resolveCandidates([basePath]);
+        }
+
+        // package.json "imports" (#으로 시작하는 내부 별칭)
+        if (specifier.startsWith('#')) {
+            const manifest = this.findNearestManifest(fromPath);
+            if (manifest?.imports) {
+                const targets = this.matchSubpathMap(manifest.imports, specifier);
+                if (targets.length > 0) {
+                    return this.resolveCandidates(targets.map(target => this.joinRelative(manifest.dir, target)));
+                }
+            }
+            return undefined;
+        }
+
+        // tsconfig/jsconfig paths 및 baseUrl
+        // "*": ["src/*"] 같은 포괄 패턴은 npm 패키지 이름에도 일치하므로 파일이 있을 때만 사용
+        const options = this.findNearestCompilerOptions(fromPath);
+        if (options) {
+            const aliasTargets = this.matchPaths(options, specifier);
+            const aliased = aliasTargets.length > 0 ? this.resolveCandidates(aliasTargets) : undefined;
+            if (aliased?.found) {
+                return aliased;
+            }
+            if (options.baseUrl) {
+                const resolved = this.resolveCandidates([this.toRelative(path.join(options.baseUrl, specifier))]);
+                if (resolved.found) {
+                    return resolved;
+                }
+            }
+        }
+
+        // 워크스페이스 안의 패키지 이름 (package.json "exports")
+        return this.resolvePackageImport(specifier);
+    }
+
+    private async loadConfigurations(): Promise<void> {
+        const configFiles = new Map<string, FileInfo>();
+
+        for (const file of this.fileMap.values()) {
+            const dir = path.posix.dirname(file.path);
+            if (file.name === 'package.json') {
+                const manifest = await this.readManifest(file.fullPath, dir);
+                if (manifest) {
+                    this.manifests.set(dir, manifest);
+                    if (manifest.name && !this.packagesByName.has(manifest.name)) {
+                        this.packagesByName.set(manifest.name, manifest);
+                    }
+                }
+            } else if (file.name === 'tsconfig.json' || (file.name === 'jsconfig.json' && !configFiles.has(dir))) {
+                configFiles.set(dir, file);
+            }
+        }
+
+        for (const [dir, file] of configFiles) {
+            const options = await this.readCompilerOptions(file.fullPath, new Set());
+            if (options.baseUrl || options.paths) {
+                this.compilerOptions.set(dir, options);
+            }
+        }
+
+        logger.debug('Module resolver initialized', {
+            compilerConfigs: this.compilerOptions.size,
+            packages: this.packagesByName.size
+        });
+    }
+
+    private async readJson(filePath: string): Promise<Record<string, unknown> | undefined> {
+        try {
+            const text = await fs.readFile(filePath, 'utf-8');
+            // tsconfig은 주석과 후행 쉼표를 허용하므로 TypeScript 파서를 사용
+            const { config, error } = ts.parseConfigFileTextToJson(filePath, text);
+            if (error || typeof config !== 'object' || config === null) {
+                logger.warn('Failed to parse configuration file', { filePath });
+                return undefined;
+            }
+            return config as Record<string, unknown>;
+        } catch {
+            return undefined;
+        }
+    }
+
+    private async readManifest(fullPath: string, dir: string): Promise<PackageManifest | undefined> {
+        const json = await this.readJson(fullPath);
+        if (!json) {
+            return undefined;
+        }
+
+        return {
+            dir,
+            name: typeof json.name === 'string' ? json.name : undefined,
+            main: typeof json.main === 'string' ? json.main : undefined,
+            module: typeof json.module === 'string' ? json.module : undefined,
+            types: typeof json.types === 'string' ? json.types
+                : typeof json.typings === 'string' ? json.typings : undefined,
+            exports: json.exports,
+            imports: typeof json.imports === 'object' && json.imports !== null
+                ? json.imports as Record<string, unknown>
+                : undefined
+        };
+    }
+
+    private async readCompilerOptions(configPath: string, visited: Set<string>): Promise<CompilerPathOptions> {
+        if (visited.has(configPath)) {
+            return {};
+        }
+        visited.add(configPath);
+
+        const json = await this.readJson(configPath);
+        if (!json) {
+            return {};
+        }
+
+        const configDir = path.dirname(configPath);
+        let options: CompilerPathOptions = {};
+
+        // extends 체인을 먼저 적용하고 현재 설정으로 덮어씀
+        const extendsValue = json.extends;
+        const parents = Array.isArray(extendsValue) ? extendsValue : extendsValue ? [extendsValue] : [];
+        for (const parent of parents) {
+            if (typeof parent !== 'string') {
+                continue;
+            }
+            const parentPath = await this.findExtendedConfig(configDir, parent);
+            if (parentPath) {
+                options = { ...options, ...await this.readCompilerOptions(parentPath, visited) };
+            }
+        }
+
+        const compilerOptions = json.compilerOptions as Record<string, unknown> | undefined;
+        if (compilerOptions && typeof compilerOptions.baseUrl === 'string') {
+            options.baseUrl = path.resolve(configDir, compilerOptions.baseUrl);
+        }
+        if (compilerOptions && typeof compilerOptions.paths === 'object' && compilerOptions.paths !== null) {
+            options.paths = compilerOptions.paths as Record<string, string[]>;
+            // baseUrl이 없으면 paths는 설정 파일 위치 기준 (TS 4.1+)
+            options.pathsBase = options.baseUrl || configDir;
+        } else if (options.paths && options.baseUrl) {
+            options.pathsBase = options.baseUrl;
+        }
+
+        return options;
+    }
+
+    private async findExtendedConfig(configDir: string, extendsPath: string): Promise<string | undefined> {
+        const candidates = extendsPath.startsWith('.') || path.isAbsolute(extendsPath)
+            ? [path.resolve(configDir, extendsPath)]
+            : this.getNodeModulesDirs(configDir).map(dir => path.join(dir, extendsPath));
+
+        for (const candidate of [...candidates]) {
+            if (!candidate.endsWith('.json')) {
+                candidates.push(`${candidate}.json`, path.join(candidate, 'tsconfig.json'));
+            }
+        }
+
+        for (const candidate of candidates) {
+            try {
+                const stats = await fs.stat(candidate);
+                if (stats.isFile()) {
+                    return candidate;
+                }
+            } catch {
+                // 다음 후보 시도
+            }
+        }
+
+        return undefined;
+    }
+
+    private findNearestCompilerOptions(fromPath: string): CompilerPathOptions | undefined {
+        let dir = path.posix.dirname(fromPath);
+        const cacheKey = dir;
+
+        if (this.nearestConfigCache.has(cacheKey)) {
+            return this.nearestConfigCache.get(cacheKey);
+        }
+
+        let options = this.compilerOptions.get(dir);
+        while (!options && dir !== '.' && dir !== '') {
+            dir = path.posix.dirname(dir);
+            options = this.compilerOptions.get(dir);
+        }
+
+        this.nearestConfigCache.set(cacheKey, options);
+        return options;
+    }
+
+    private findNearestManifest(fromPath: string): PackageManifest | undefined {
+        let dir = path.posix.dirname(fromPath);
+        let manifest = this.manifests.get(dir);
+        while (!manifest && dir !== '.' && dir !== '') {
+            dir = path.posix.dirname(dir);
+            manifest = this.manifests.get(dir);
+        }
+        return manifest;
+    }
+
+    private matchPaths(options: CompilerPathOptions, specifier: string): string[] {
+        if (!options.paths || !options.pathsBase) {
+            return [];
+        }
+
+        // 정확히 일치하는 패턴 우선, 그 다음 가장 긴 접두사의 와일드카드 패턴
+        let bestPattern: string | undefined;
+        let bestPrefixLength = -1;
+        let wildcardValue = '';
+
+        for (const pattern of Object.keys(options.paths)) {
+            const starIndex = pattern.indexOf('*');
+            if (starIndex === -1) {
+                if (pattern === specifier) {
+                    bestPattern = pattern;
+                    wildcardValue = '';
+                    break;
+                }
+                continue;
+            }
+
+            const prefix = pattern.slice(0, starIndex);
+            const suffix = pattern.slice(starIndex + 1);
+            if (specifier.length >= prefix.length + suffix.length &&
+                specifier.startsWith(prefix) && specifier.endsWith(suffix) &&
+                prefix.length > bestPrefixLength) {
+                bestPattern = pattern;
+                bestPrefixLength = prefix.length;
+                wildcardValue = specifier.slice(prefix.length, specifier.length - suffix.length);
+            }
+        }
+
+        if (bestPattern === undefined) {
+            return [];
+        }
+
+        const pathsBase = options.pathsBase;
+        return (options.paths[bestPattern] || []).map(target =>
+            this.toRelative(path.resolve(pathsBase, target.replace('*', wildcardValue)))
+        );
+    }
+
+    private resolvePackageImport(specifier: string): ResolvedModule | undefined {
+        const parts = specifier.split('/');
+        const packageName = specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+        const manifest = this.packagesByName.get(packageName);
+        if (!manifest) {
+            return undefined;
+        }
+
+        const subpath = '.' + specifier.slice(packageName.length);
+
+        if (manifest.exports !== undefined) {
+            const targets = this.resolveExports(manifest.exports, subpath);
+            if (targets.length > 0) {
+                return this.resolveCandidates(targets.map(target => this.joinRelative(manifest.dir, target)));
+            }
+        }
+
+        if (subpath === '.') {
+            const entries = [manifest.types, manifest.module, manifest.main]
+                .filter((entry): entry is string => !!entry)
+                .map(entry => this.joinRelative(manifest.dir, entry));
+            return this.resolveCandidates([...entries, manifest.dir]);
+        }
+
+        return this.resolveCandidates([this.joinRelative(manifest.dir, subpath)]);
+    }
+
+    private resolveExports(exportsField: unknown, subpath: string): string[] {
+        if (typeof exportsField === 'string' || Array.isArray(exportsField)) {
+            return subpath === '.' ? this.collectTargets(exportsField) : [];
+        }
+        if (typeof exportsField !== 'object' || exportsField === null) {
+            return [];
+        }
+
+        const keys = Object.keys(exportsField);
+        const isSubpathMap = keys.length > 0 && keys.every(key => key.startsWith('.'));
+        if (!isSubpathMap) {
+            // 조건부 exports만 있는 경우 "." 에 대한 정의
+            return subpath === '.' ? this.collectTargets(exportsField) : [];
+        }
+
+        return this.matchSubpathMap(exportsField as Record<string, unknown>, subpath);
+    }
+
+    private matchSubpathMap(map: Record<string, unknown>, key: string): string[] {
+        if (key in map) {
+            return this.collectTargets(map[key]);
+        }
+
+        let bestKey: string | undefined;
+        let wildcardValue = '';
+        for (const pattern of Object.keys(map)) {
+            const starIndex = pattern.indexOf('*');
+            if (starIndex === -1) {
+                continue;
+            }
+            const prefix = pattern.slice(0, starIndex);
+            const suffix = pattern.slice(starIndex + 1);
+            if (key.startsWith(prefix) && key.endsWith(suffix) && key.length >= prefix.length + suffix.length &&
+                (!bestKey || prefix.length > bestKey.indexOf('*'))) {
+                bestKey = pattern;
+                wildcardValue = key.slice(prefix.length, key.length - suffix.length);
+            }
+        }
+
+        if (!bestKey) {
+            return [];
+        }
+
+        return this.collectTargets(map[bestKey]).map(target => target.replace(/\*/g, wildcardValue));
+    }
+
+    /**
+     * exports/imports 대상에서 가능한 모든 경로를 우선순위 순으로 수집합니다.
+     * 빌드 결과물(dist)은 분석 대상에 없을 수 있으므로 조건별 대상을 모두 후보로 둡니다.
+     */
+    private collectTargets(target: unknown): string[] {
+        if (typeof target === 'string') {
+            return [target];
+        }
+        if (Array.isArray(target)) {
+            return target.flatMap(item => this.collectTargets(item));
+        }
+        if (typeof target === 'object' && target !== null) {
+            const conditions = target as Record<string, unknown>;
+            const ordered = [
+                ...EXPORT_CONDITIONS.filter(condition => condition in conditions),
+                ...Object.keys(conditions).filter(condition => !EXPORT_CONDITIONS.includes(condition))
+            ];
+            return ordered.flatMap(condition => this.collectTargets(conditions[condition]));
+        }
+        return [];
+    }
+
+    private resolveCandidates(basePaths: string[]): ResolvedModule {
+        for (const basePath of basePaths) {
+            const found = this.findFile(basePath);
+            if (found) {
+                return { path: found, found: true };
+            }
+        }
+
+        return { path: basePaths[0], found: false };
+    }
+
+    private findFile(basePath: string): string | undefined {
+        if (this.fileMap.has(basePath)) {
+            return basePath;
+        }
+
+        // TS ESM 스타일: './foo.js' 로 import 하지만 실제 파일은 foo.ts
+        const ext = path.posix.extname(basePath);
+        if (['.js', '.jsx', '.mjs', '.cjs'].includes(ext)) {
+            const withoutExt = basePath.slice(0, -ext.length);
+            for (const candidate of ['.ts', '.tsx', '.d.ts']) {
+                if (this.fileMap.has(withoutExt + candidate)) {
+                    return withoutExt + candidate;
+                }
+            }
+        }
+
+        for (const extension of RESOLVE_EXTENSIONS) {
+            if (this.fileMap.has(basePath + extension)) {
+                return basePath + extension;
+            }
+        }
+
+        // 디렉터리 import: package.json main 또는 index 배럴
+        const manifest = this.manifests.get(basePath);
+        if (manifest) {
+            for (const entry of [manifest.types, manifest.module, manifest.main]) {
+                if (entry) {
+                    const entryPath = this.joinRelative(manifest.dir, entry);
+                    if (entryPath !== basePath) {
+                        const found = this.findFile(entryPath);
+                        if (found) {
+                            return found;
+                        }
+                    }
+                }
+            }
+        }
+
+        for (const extension of RESOLVE_EXTENSIONS) {
+            const indexPath = path.posix.join(basePath, `index${extension}`);
+            if (this.fileMap.has(indexPath)) {
+                return indexPath;
+            }
+        }
+
+        return undefined;
+    }
+
+    /** 설정 파일 위치에서 분석 루트까지 올라가며 node_modules 후보를 나열 */
+    private getNodeModulesDirs(fromDir: string): string[] {
+        const dirs: string[] = [];
+        let dir = fromDir;
+        while (dir.startsWith(this.rootPath)) {
+            dirs.push(path.join(dir, 'node_modules'));
+            const parent = path.dirname(dir);
+            if (parent === dir) {
+                break;
+            }
+            dir = parent;
+        }
+        return dirs.length > 0 ? dirs : [path.join(this.rootPath, 'node_modules')];
+    }
+
+    private joinRelative(dir: string, target: string): string {
+        return path.posix.normalize(path.posix.join(dir, target));
+    }
+
+    private toRelative(absolutePath: string): string {
+        return path.relative(this.rootPath, absolutePath).replace(/\\/g, '/');
+    }
+}
@@ -0,0 +1,150 @@
+interface IgnoreRule {
+    regex: RegExp;
+    negate: boolean;
+    dirOnly: boolean;
+}
+
+interface IgnoreRuleSet {
+    baseDir: string; // 규칙 파일이 있는 디렉터리 (루트는 '')
+    order: number; // 같은 디렉터리 안에서의 적용 순서
+    rules: IgnoreRule[];
+}
+
+/**
+ * glob 패턴을 정규식으로 변환합니다.
+ * `**`, `*`, `?`, `[abc]`, `{a,b}` 를 지원합니다.
+ */
+export function globToRegExp(glob: string): RegExp {
+    let source = '';
+    let groupDepth = 0;
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '*') {
+            if (glob[i + 1] === '*') {
+                // '**/' 는 0개 이상의 디렉터리
+                if (glob[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i += 1;
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[' && glob.indexOf(']', i + 1) > i + 1) {
+            const end = glob.indexOf(']', i + 1);
+            const charClass = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+            source += charClass.startsWith('!') ? `[^${charClass.slice(1)}]` : `[${charClass}]`;
+            i = end;
+        } else if (char === '{') {
+            groupDepth++;
+            source += '(?:';
+        } else if (char === '}' && groupDepth > 0) {
+            groupDepth--;
+            source += ')';
+        } else if (char === ',' && groupDepth > 0) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|[\]{}\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * 슬래시가 없는 패턴은 모든 깊이에서, 슬래시가 있는 패턴은 기준 디렉터리에서부터 매칭합니다.
+ * (.gitignore와 같은 규칙)
+ */
+export function patternToRegExp(pattern: string): RegExp {
+    const anchored = pattern.includes('/');
+    const glob = anchored ? pattern.replace(/^\//, '') : `**/${pattern}`;
+    return globToRegExp(glob);
+}
+
+export function matchesGlob(relPath: string, pattern: string): boolean {
+    return patternToRegExp(pattern.replace(/\/$/, '')).test(relPath);
+}
+
+function parseIgnoreLine(line: string): IgnoreRule | undefined {
+    let pattern = line.replace(/\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) {
+        return undefined;
+    }
+
+    const negate = pattern.startsWith('!');
+    if (negate) {
+        pattern = pattern.slice(1);
+    } else if (pattern.startsWith('\\')) {
+        // \# 또는 \! 로 시작하는 파일명
+        pattern = pattern.slice(1);
+    }
+
+    const dirOnly = pattern.endsWith('/');
+    if (dirOnly) {
+        pattern = pattern.slice(0, -1);
+    }
+    if (!pattern) {
+        return undefined;
+    }
+
+    return { regex: patternToRegExp(pattern), negate, dirOnly };
+}
+
+/**
+ * .gitignore / .codesyncignore 와 설정의 exclude 패턴을 모아 경로 제외 여부를 판단합니다.
+ * 깊은 디렉터리의 규칙이 나중에 적용되며, 마지막으로 매칭된 규칙이 결과를 결정합니다.
+ */
+export class IgnoreRules {
+    private ruleSets = new Map<string, IgnoreRuleSet>();
+    private sorted: IgnoreRuleSet[] | undefined;
+
+    /**
+     * @param source 같은 디렉터리에 규칙 파일이 여러 개일 때 구분하는 이름
+     * @param order 같은 디렉터리 안에서 나중에 적용할수록 큰 값
+     */
+    setRules(baseDir: string, source: string, order: number, lines: string[]): void {
+        const rules = lines
+            .map(line => parseIgnoreLine(line))
+            .filter((rule): rule is IgnoreRule => !!rule);
+
+        const key = `${baseDir}::${source}`;
+        if (rules.length > 0) {
+            this.ruleSets.set(key, { baseDir, order, rules });
+        } else {
+            this.ruleSets.delete(key);
+        }
+        this.sorted = undefined;
+    }
+
+    /** 경로 자체만 검사합니다. 상위 디렉터리는 탐색 중에 이미 걸러졌다고 가정합니다. */
+    ignores(relPath: string, isDirectory: boolean): boolean {
+        if (!this.sorted) {
+            const depth = (baseDir: string) => baseDir ? baseDir.split('/').length : 0;
+            this.sorted = Array.from(this.ruleSets.values()).sort((a, b) =>
+                depth(a.baseDir) - depth(b.baseDir) || a.order - b.order
+            );
+        }
+
+        let ignored = false;
+        for (const ruleSet of this.sorted) {
+            const { baseDir } = ruleSet;
+            if (baseDir && !relPath.startsWith(`${baseDir}/`)) {
+                continue;
+            }
+            const localPath = baseDir ? relPath.slice(baseDir.length + 1) : relPath;
+
+            for (const rule of ruleSet.rules) {
+                if ((!rule.dirOnly || isDirectory) && rule.regex.test(localPath)) {
+                    ignored = !rule.negate;
+                }
+            }
+        }
+        return ignored;
+    }
+}
@@ -0,0 +1,283 @@
+import * as path from 'path';
+import * as fs from 'fs/promises';
+import { FileInfo } from '../types';
+import { logger } from '../services/logService';
+
+export interface PhpUse {
+    name: string; // 'App\Http\Controllers\UserController'
+    alias: string; // 파일 안에서 쓰는 이름 (기본값은 마지막 부분)
+}
+
+export interface PhpClassDeclaration {
+    name: string;
+    extends: string[]; // 인터페이스는 여러 개를 확장할 수 있음
+    implements: string[];
+    traits: string[]; // 클래스 본문의 use
+}
+
+export interface ParsedPhpSource {
+    namespace: string;
+    uses: PhpUse[];
+    declarations: PhpClassDeclaration[];
+    typeReferences: Set<string>; // 본문에서 사용된 클래스 이름 ('User', 'Models\User', '\App\User')
+}
+
+export interface ResolvedPhpReference {
+    path: string; // 루트 기준 경로
+    type: 'import' | 'inheritance';
+    names: string[]; // 파일 안에서 쓴 클래스 이름
+}
+
+interface AutoloadRule {
+    prefix: string; // 네임스페이스 접두사 ('App\'), 빈 문자열이면 모든 클래스
+    dir: string; // 루트 기준 디렉터리
+    psr0: boolean;
+}
+
+// autoload 설정을 읽는 프로젝트 파일
+export const PHP_CONFIG_FILES = ['composer.json'];
+
+const NAME_LIST = String.raw`\\?[\w\\]+(?:\s*,\s*\\?[\w\\]+)*`;
+const CLASS_DECLARATION = new RegExp(
+    String.raw`(?<![:>$]\s*)\b(?:class|interface|trait|enum)\b(?:\s+(?!extends\b|implements\b)(\w+))?` +
+    String.raw`(?:\s*:\s*\w+)?(?:\s+extends\s+(${NAME_LIST}))?(?:\s+implements\s+(${NAME_LIST}))?\s*\{`,
+    'g'
+);
+
+/**
+ * PHP 소스의 namespace, use 문, 클래스 선언(extends/implements/trait), 본문의 클래스 참조를 찾습니다.
+ * 주석과 문자열 리터럴은 제외합니다.
+ */
+export function parsePhpSource(content: string): ParsedPhpSource {
+    const source = content.replace(
+        /\/\*[\s\S]*?\*\/|(?:\/\/|#(?!\[)).*$|"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'/gm,
+        match => match.replace(/[^\n]/g, ' ')
+    );
+    const namespace = source.match(/^\s*namespace\s+([\w\\]+)\s*[;{]/m)?.[1] || '';
+
+    // 첫 클래스 선언 앞의 use 는 import, 클래스 본문의 use 는 trait
+    CLASS_DECLARATION.lastIndex = 0;
+    const firstDeclaration = CLASS_DECLARATION.exec(source)?.index ?? source.length;
+    const header = source.slice(0, firstDeclaration);
+    const body = source.slice(firstDeclaration);
+
+    const uses: PhpUse[] = [];
+    for (const match of header.matchAll(/^\s*use\s+(?!function\b|const\b)([^;]+);/gm)) {
+        const group = match[1].match(/^([\w\\]*)\{([^}]*)\}/);
+        const prefix = group ? group[1] : '';
+        (group ? group[2] : match[1]).split(',').forEach(item => {
+            const parsed = item.trim().match(/^\\?([\w\\]+)(?:\s+as\s+(\w+))?$/i);
+            if (parsed) {
+                const name = `${prefix}${parsed[1]}`.replace(/^\\/, '');
+                uses.push({ name, alias: parsed[2] || name.split('\\').pop() as string });
+            }
+        });
+    }
+
+    const declarations: PhpClassDeclaration[] = [];
+    const splitNames = (list?: string) => list ? list.split(',').map(name => name.trim()) : [];
+    CLASS_DECLARATION.lastIndex = 0;
+    for (const match of body.matchAll(CLASS_DECLARATION)) {
+        // 선언 다음의 use 중 다음 선언 전까지가 이 클래스의 trait
+        const start = (match.index ?? 0) + match[0].length;
+        CLASS_DECLARATION.lastIndex = start;
+        const end = CLASS_DECLARATION.exec(body)?.index ?? body.length;
+        const traits = Array.from(body.slice(start, end).matchAll(new RegExp(String.raw`^\s*use\s+(${NAME_LIST})\s*[;{]`, 'gm')),
+            trait => splitNames(trait[1])).flat();
+
+        declarations.push({
+            name: match[1] || '',
+            extends: splitNames(match[2]),
+            implements: splitNames(match[3]),
+            traits
+        });
+    }
+
+    const typeReferences = new Set(Array.from(
+        body.matchAll(/(?<![$\w\\]|->|::)(\\?[A-Z]\w*(?:\\\w+)*)\b/g),
+        match => match[1]
+    ));
+
+    return { namespace, uses, declarations, typeReferences };
+}
+
+/**
+ * composer.json 의 autoload / autoload-dev 규칙(PSR-4, PSR-0, classmap)으로 PHP 클래스 파일을 찾는 해석기
+ * classmap 경로와 autoload 규칙이 없는 파일은 클래스 선언을 읽어 색인합니다.
+ */
+export class PhpResolver {
+    private rules: AutoloadRule[] = []; // 긴 접두사가 먼저
+    private classes = new Map<string, string>(); // 소문자 FQN -> 파일 경로 (classmap)
+    private classmapDirs: string[] = [];
+
+    private constructor(
+        private rootPath: string,
+        private fileMap: Map<string, FileInfo>
+    ) {}
+
+    static async create(rootPath: string, fileMap: Map<string, FileInfo>): Promise<PhpResolver> {
+        const resolver = new PhpResolver(rootPath, fileMap);
+        await resolver.loadAutoload();
+        return resolver;
+    }
+
+    /** use 문과 클래스 참조(import), extends/implements/trait(inheritance)가 가리키는 파일 */
+    resolve(fromPath: string, source: ParsedPhpSource): ResolvedPhpReference[] {
+        const resolved = new Map<string, ResolvedPhpReference>();
+        const add = (type: ResolvedPhpReference['type'], name: string) => {
+            const filePath = this.findClass(this.qualify(name, source));
+            if (!filePath || filePath === fromPath) {
+                return;
+            }
+            const key = `${type}:${filePath}`;
+            const reference = resolved.get(key) || { path: filePath, type, names: [] };
+            const shortName = name.split('\\').pop() as string;
+            if (!reference.names.includes(shortName)) {
+                reference.names.push(shortName);
+            }
+            resolved.set(key, reference);
+        };
+
+        source.uses.forEach(use => {
+            const filePath = this.findClass(use.name);
+            if (filePath && filePath !== fromPath) {
+                const key = `import:${filePath}`;
+                const reference = resolved.get(key) || { path: filePath, type: 'import' as const, names: [] };
+                reference.names.push(use.alias);
+                resolved.set(key, reference);
+            }
+        });
+        const parents = source.declarations
+            .flatMap(declaration => [...declaration.extends, ...declaration.implements, ...declaration.traits]);
+        parents.forEach(name => add('inheritance', name));
+
+        // import 없이 쓴 같은 네임스페이스의 클래스나 정규화된 이름
+        const known = new Set([...source.uses.map(use => use.alias), ...parents].map(name => name.toLowerCase()));
+        source.typeReferences.forEach(name => {
+            if (!known.has(name.toLowerCase())) {
+                add('import', name);
+            }
+        });
+
+        return Array.from(resolved.values());
+    }
+
+    /** 파일 내용이 바뀌었을 때 classmap 색인의 클래스 선언을 갱신합니다. */
+    updateFile(filePath: string, content: string | undefined): void {
+        this.classes.forEach((classPath, name) => {
+            if (classPath === filePath) {
+                this.classes.delete(name);
+            }
+        });
+        if (content !== undefined && this.isClassmapped(filePath)) {
+            this.indexClasses(filePath, content);
+        }
+    }
+
+    /** PHP 이름 해석 규칙: 정규화된 이름, use 별칭, 현재 네임스페이스 순 */
+    private qualify(name: string, source: ParsedPhpSource): string {
+        if (name.startsWith('\\')) {
+            return name.slice(1);
+        }
+        const [first, ...rest] = name.split('\\');
+        const use = source.uses.find(candidate => candidate.alias.toLowerCase() === first.toLowerCase());
+        if (use) {
+            return [use.name, ...rest].join('\\');
+        }
+        return source.namespace ? `${source.namespace}\\${name}` : name;
+    }
+
+    private findClass(className: string): string | undefined {
+        const mapped = this.classes.get(className.toLowerCase());
+        if (mapped) {
+            return mapped;
+        }
+
+        for (const rule of this.rules) {
+            if (!className.startsWith(rule.prefix)) {
+                continue;
+            }
+            // PSR-0 은 네임스페이스 전체가 경로이고 클래스 이름의 '_' 도 디렉터리 구분자
+            const relative = rule.psr0
+                ? className.replace(/_(?=[^\\]*$)/g, '/')
+                : className.slice(rule.prefix.length);
+            const filePath = normalizeDir(path.posix.join(rule.dir || '.', `${relative.replace(/\\/g, '/')}.php`));
+            if (this.fileMap.has(filePath)) {
+                return filePath;
+            }
+        }
+        return undefined;
+    }
+
+    private isClassmapped(filePath: string): boolean {
+        if (this.classmapDirs.some(dir => filePath === dir || filePath.startsWith(`${dir}/`))) {
+            return true;
+        }
+        return !this.rules.some(rule => !rule.dir || filePath.startsWith(`${rule.dir}/`));
+    }
+
+    private indexClasses(filePath: string, content: string): void {
+        const source = parsePhpSource(content);
+        source.declarations.filter(declaration => declaration.name).forEach(declaration => {
+            const name = source.namespace ? `${source.namespace}\\${declaration.name}` : declaration.name;
+            this.classes.set(name.toLowerCase(), filePath);
+        });
+    }
+
+    private async loadAutoload(): Promise<void> {
+        const files = Array.from(this.fileMap.values());
+        const phpFiles = files.filter(file => file.extension === '.php');
+        if (phpFiles.length === 0) {
+            return;
+        }
+
+        for (const file of files.filter(candidate => PHP_CONFIG_FILES.includes(candidate.name))) {
+            const projectDir = normalizeDir(path.posix.dirname(file.path));
+            let composer: Record<string, Record<string, unknown>>;
+            try {
+                composer = JSON.parse(await fs.readFile(path.join(this.rootPath, file.path), 'utf-8'));
+            } catch (error) {
+                logger.warn('Failed to read composer.json autoload', { file: file.path, error: (error as Error).message });
+                continue;
+            }
+
+            for (const autoload of [composer.autoload, composer['autoload-dev']]) {
+                if (!autoload || typeof autoload !== 'object') {
+                    continue;
+                }
+                (['psr-4', 'psr-0'] as const).forEach(standard => {
+                    Object.entries((autoload[standard] || {}) as Record<string, unknown>).forEach(([prefix, dirs]) => {
+                        toArray(dirs).forEach(dir => this.rules.push({
+                            prefix,
+                            dir: normalizeDir(path.posix.join(projectDir || '.', dir)),
+                            psr0: standard === 'psr-0'
+                        }));
+                    });
+                });
+                toArray(autoload.classmap).forEach(dir =>
+                    this.classmapDirs.push(normalizeDir(path.posix.join(projectDir || '.', dir))));
+            }
+        }
+        this.rules.sort((a, b) => b.prefix.length - a.prefix.length);
+
+        for (const file of phpFiles.filter(candidate => this.isClassmapped(candidate.path))) {
+            try {
+                this.indexClasses(file.path, await fs.readFile(file.fullPath, 'utf-8'));
+            } catch {
+                // 읽을 수 없는 파일은 색인하지 않음
+            }
+        }
+
+        logger.debug('PHP autoload loaded', { rules: this.rules.length, classmap: this.classes.size });
+    }
+}
+
+function toArray(value: unknown): string[] {
+    const values = Array.isArray(value) ? value : [value];
+    return values.filter((item): item is string => typeof item === 'string');
+}
+
+function normalizeDir(dir: string): string {
+    const normalized = path.posix.normalize(dir);
+    return normalized === '.' ? '' : normalized.replace(/^\.\//, '').replace(/\/$/, '');
+}
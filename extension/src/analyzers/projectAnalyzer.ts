@@ -1,7 +1,62 @@
 import * as path from 'path';
 import * as fs from 'fs/promises';
-import { FileInfo, ProjectStructure, DependencyInfo } from '../types';
+import { statSync, Stats } from 'fs';
+import {
+    FileInfo, ProjectStructure, DependencyInfo, AnalysisDelta, AnalyzerOptions, WorkspaceFolderInfo, WorkspacePackage, CallInfo,
+    ReExportInfo, ReExportSource
+} from '../types';
 import { logger, ErrorGuidelines, PerformanceTracker, checkMemoryUsage } from '../services/logService';
+import { parseJSModule, ParsedJSModule, ParsedImport } from './jsParser';
+import { ModuleResolver } from './moduleResolver';
+import { PythonResolver, parsePythonImports, parsePythonBaseClasses, PYTHON_CONFIG_FILES } from './pythonResolver';
+import { JavaResolver, parseJavaSource, parseKotlinSource, getSimpleName, JAVA_CONFIG_FILES, JAVA_EXTENSIONS } from './javaResolver';
+import { GoResolver, parseGoSource, GO_CONFIG_FILES } from './goResolver';
+import { PhpResolver, parsePhpSource, PHP_CONFIG_FILES } from './phpResolver';
+import { RustResolver, parseRustSource, RUST_CONFIG_FILES } from './rustResolver';
+import {
+    CppResolver, parseIncludes, CPP_CONFIG_FILES, CPP_SOURCE_EXTENSIONS, CPP_HEADER_EXTENSIONS
+} from './cppResolver';
+import { CSharpResolver, parseCSharpSource, CSHARP_CONFIG_FILES } from './csharpResolver';
+import { SfcResolver, parseSFC, ParsedSFC, SFC_EXTENSIONS } from './sfcResolver';
+import { AnalysisCache } from '../services/analysisCache';
+import { IgnoreRules, matchesGlob } from './pathMatcher';
+import { FileIndex } from './fileIndex';
+import { detectWorkspacePackages, WORKSPACE_CONFIG_FILES } from './workspacePackages';
+import { LayerRules, LAYER_CONFIG_PATH } from './layerRules';
+import { detectEntryPoints, getSourceLanguage, ENTRY_CONFIG_FILE } from './entryPoints';
+
+// 디렉터리별로 읽는 제외 규칙 파일 (뒤에 있는 파일이 우선)
+const IGNORE_FILES = ['.gitignore', '.codesyncignore'];
+
+// 다른 파일에서 참조만 되는 이미지/폰트 (내용은 읽지 않음)
+const ASSET_EXTENSIONS = [
+    '.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.avif', '.ico', '.bmp',
+    '.woff', '.woff2', '.ttf', '.otf', '.eot'
+];
+
+// 언어별 import 해석기: 해당 언어 파일이 생기거나 사라지고, 설정 파일이 바뀌면 다시 생성
+// indexesDeclarations: 다른 파일의 선언 내용으로 import 를 해석하는 언어
+const LANGUAGE_RESOLVERS = [
+    { language: 'python', extensions: ['.py'], configFiles: PYTHON_CONFIG_FILES, indexesDeclarations: false },
+    { language: 'java', extensions: JAVA_EXTENSIONS, configFiles: JAVA_CONFIG_FILES, indexesDeclarations: true },
+    { language: 'go', extensions: ['.go'], configFiles: GO_CONFIG_FILES, indexesDeclarations: true },
+    { language: 'php', extensions: ['.php'], configFiles: PHP_CONFIG_FILES, indexesDeclarations: true },
+    { language: 'rust', extensions: ['.rs'], configFiles: RUST_CONFIG_FILES, indexesDeclarations: false },
+    {
+        language: 'cpp',
+        extensions: [...CPP_SOURCE_EXTENSIONS, ...CPP_HEADER_EXTENSIONS],
+        configFiles: CPP_CONFIG_FILES,
+        indexesDeclarations: false
+    },
+    { language: 'csharp', extensions: ['.cs'], configFiles: CSHARP_CONFIG_FILES, indexesDeclarations: true },
+    // 템플릿의 컴포넌트 태그는 컴포넌트 파일 이름으로 해석
+    { language: 'sfc', extensions: SFC_EXTENSIONS, configFiles: [], indexesDeclarations: false }
+];
+
+// 설정 파일은 이름 또는 확장자(.csproj 처럼 이름이 프로젝트마다 다른 경우)로 구분
+function isLanguageConfigFile(entry: typeof LANGUAGE_RESOLVERS[number], fileName: string): boolean {
+    return entry.configFiles.includes(fileName) || entry.configFiles.includes(path.extname(fileName));
+}
 
 export class ProjectAnalyzer {
     private supportedExtensions = [
@@ -16,14 +71,16 @@ export class ProjectAnalyzer {
         // Database & Query
         '.sql', '.graphql', '.gql',
         // Configuration & Data
-        '.json', '.xml', '.yaml', '.yml', '.toml', '.ini', '.env',
+        '.json', '.xml', '.yaml', '.yml', '.toml', '.ini', '.cfg', '.env',
         '.properties', '.conf', '.config',
         // Documentation
         '.md', '.mdx', '.rst', '.txt',
         // Shell scripts
         '.sh', '.bash', '.zsh', '.ps1', '.bat', '.cmd',
         // Other
-        '.r', '.m', '.dart', '.lua', '.pl', '.ex', '.exs'
+        '.r', '.m', '.dart', '.lua', '.pl', '.ex', '.exs',
+        // Assets (images, fonts)
+        ...ASSET_EXTENSIONS
     ];
 
     private ignoreDirs = [
@@ -32,14 +89,110 @@ export class ProjectAnalyzer {
         'coverage', '.nyc_output', '.cache', 'tmp', 'temp'
     ];
 
+    private jsExtensions = ['.ts', '.js', '.tsx', '.jsx', '.mjs', '.cjs'];
+
     private fileCache = new Map<string, string>();
 
-    async analyzeProject(rootPath: string): Promise<ProjectStructure> {
+    // 증분 분석을 위해 마지막 분석 상태를 보관
+    private structure: ProjectStructure | undefined;
+    private rootPath = '';
+    private fileMap = new FileIndex();
+    private fileDependencies = new Map<string, DependencyInfo[]>();
+    // 범위 분석에서 따라간 범위 밖 파일의 의존성 (표시하지 않고 도달 가능성 계산에만 사용)
+    private outsideDependencies = new Map<string, DependencyInfo[]>();
+    private moduleResolver: ModuleResolver | undefined;
+    private pythonResolver: PythonResolver | undefined;
+    private javaResolver: JavaResolver | undefined;
+    private goResolver: GoResolver | undefined;
+    private phpResolver: PhpResolver | undefined;
+    private rustResolver: RustResolver | undefined;
+    private cppResolver: CppResolver | undefined;
+    private csharpResolver: CSharpResolver | undefined;
+    private sfcResolver: SfcResolver | undefined;
+    private analysisCache: AnalysisCache | undefined;
+    private ignoreRules = new IgnoreRules();
+    private layerRules = new LayerRules();
+    private scope = ''; // 분석 범위 디렉터리 (빈 문자열이면 전체)
+    private workspaceFolders: WorkspaceFolderInfo[] = [{ name: '', path: '' }];
+    private entryPoints = new Set<string>(); // 사용 여부를 판단하는 도달 가능성 분석의 시작 파일
+    private folderOptions = new Map<string, AnalyzerOptions>(); // 작업 공간 폴더 경로 -> 폴더 설정 (없으면 options)
+
+    /**
+     * @param storagePath 분석 결과를 영구 캐시할 디렉터리 (없으면 캐시하지 않음)
+     * @param options 작업 공간 설정의 포함/제외 규칙 (다중 루트는 analyzeWorkspaceFolders 에 폴더별 설정을 전달)
+     */
+    constructor(private storagePath?: string, private options: AnalyzerOptions = {}) {
+        for (const ext of options.additionalExtensions || []) {
+            const normalized = ext.startsWith('.') ? ext : `.${ext}`;
+            if (!this.supportedExtensions.includes(normalized)) {
+                this.supportedExtensions.push(normalized);
+            }
+        }
+    }
+
+    /**
+     * @param scopePath 지정하면 이 폴더 안의 파일만 분석하고, 밖으로 나가는 의존성은 경계 노드로 묶습니다.
+     */
+    async analyzeProject(rootPath: string, scopePath?: string): Promise<ProjectStructure> {
+        const scope = scopePath ? path.relative(rootPath, scopePath).replace(/\\/g, '/') : '';
+        return this.analyze(rootPath, [{ name: path.basename(rootPath), path: '' }], scope);
+    }
+
+    /**
+     * 다중 루트 작업 공간의 모든 폴더를 하나의 분석으로 묶습니다.
+     * 파일 경로는 폴더들의 공통 상위 디렉터리 기준이므로 폴더 간 import도 내부 의존성으로 해석됩니다.
+     * options 를 지정한 폴더는 포함/제외 규칙과 include 디렉터리, 진입점을 그 폴더의 설정으로 적용합니다.
+     */
+    async analyzeWorkspaceFolders(folders: Array<{ name: string; fsPath: string; options?: AnalyzerOptions }>): Promise<ProjectStructure> {
+        // 다른 폴더 안에 중첩된 폴더는 중복 스캔하지 않음
+        const topLevel = folders.filter(folder => !folders.some(other =>
+            other !== folder && folder.fsPath.startsWith(other.fsPath + path.sep)));
+        
+        const rootPath = topLevel.length === 1
+            ? topLevel[0].fsPath
+            : this.findCommonRoot(topLevel.map(folder => folder.fsPath));
+        const workspaceFolders: WorkspaceFolderInfo[] = [];
+        const folderOptions = new Map<string, AnalyzerOptions>();
+        for (const folder of topLevel) {
+            const folderPath = path.relative(rootPath, folder.fsPath).replace(/\\/g, '/');
+            workspaceFolders.push({ name: topLevel.length === 1 ? path.basename(rootPath) : folder.name, path: folderPath });
+            if (folder.options) {
+                folderOptions.set(folderPath, folder.options);
+            }
+        }
+        return this.analyze(rootPath, workspaceFolders, '', folderOptions);
+    }
+
+    private async analyze(
+        rootPath: string,
+        folders: WorkspaceFolderInfo[],
+        scope: string,
+        folderOptions = new Map<string, AnalyzerOptions>()
+    ): Promise<ProjectStructure> {
         const tracker = new PerformanceTracker('Project Analysis');
-        logger.info('Starting project analysis', { rootPath });
+        this.rootPath = rootPath;
+        this.scope = scope;
+        this.workspaceFolders = folders;
+        this.folderOptions = folderOptions;
+        logger.info('Starting project analysis', { rootPath, scope, folders: folders.map(folder => folder.name) });
+        
+        // 설정의 exclude 패턴은 각 폴더 루트의 ignore 파일보다 나중에 적용
+        this.ignoreRules = new IgnoreRules();
+        for (const folder of folders) {
+            this.ignoreRules.setRules(folder.path, 'settings', IGNORE_FILES.length, this.getFolderOptions(folder.path).exclude || []);
+        }
+        
+        this.layerRules = new LayerRules();
+        await Promise.all(folders.map(folder => this.layerRules.load(folder.path, path.join(rootPath, folder.path))));
         
         // Use parallel file tree building for better performance
-        const fileTree = await this.buildFileTreeParallel(rootPath);
+        // 범위를 지정하면 범위 폴더만 스캔 (범위 밖 파일은 import 가 가리킬 때 색인)
+        const ancestorFiles = this.scope ? await this.scanScopeAncestors(rootPath) : [];
+        const fileTree = this.scope
+            ? await this.buildFileTreeParallel(path.join(rootPath, this.scope), this.scope)
+            : folders.length === 1
+                ? await this.buildFileTreeParallel(rootPath)
+                : await this.buildWorkspaceFolderTree(rootPath, folders);
         const files = this.flattenFileTree(fileTree);
         
         logger.info('File scan complete', { 
@@ -49,26 +202,729 @@ export class ProjectAnalyzer {
         
         checkMemoryUsage();
         
+        this.analysisCache = this.storagePath
+            ? await AnalysisCache.load(this.storagePath, rootPath)
+            : undefined;
+        
         // Batch process dependencies for better performance
-        const dependencies = await this.analyzeDependenciesParallel(files);
+        const dependencies = await this.analyzeDependenciesParallel(files, rootPath, [...ancestorFiles, ...files]);
         logger.info('Dependency analysis complete', { count: dependencies.length });
+        this.pairHeaders(files);
+        
+        const packages = await this.detectPackages(dependencies);
         
         tracker.end();
         
-        return {
+        this.structure = {
             rootPath,
+            scope: this.scope || undefined,
+            workspaceFolders: folders.length > 1 ? folders : undefined,
+            packages,
             files,
             fileTree,
             dependencies,
-            layers: this.organizeLayers(files, dependencies),
+            layers: this.organizeLayers(files),
+            layerDefinitions: this.getLayerDefinitions(),
             stats: this.calculateStats(files, dependencies)
         };
+        
+        await this.saveCache();
+        
+        return this.structure;
+    }
+
+    /**
+     * 파일 감시자가 보고한 변경 사항만 다시 분석하여 마지막 분석 결과를 제자리에서 갱신합니다.
+     * 변경/생성/삭제된 파일과, 그로 인해 import 해석 결과가 달라질 수 있는 파일만 다시 파싱합니다.
+     */
+    async updateFiles(changedPaths: string[], deletedPaths: string[]): Promise<AnalysisDelta | undefined> {
+        const structure = this.structure;
+        if (!structure) {
+            return undefined;
+        }
+        
+        const tracker = new PerformanceTracker('Incremental Analysis');
+        const toRelative = (fullPath: string) => path.relative(structure.rootPath, fullPath).replace(/\\/g, '/');
+        
+        const previousDeps = new Map(structure.dependencies.map(dep => [this.getDependencyKey(dep), dep]));
+        const getViewState = (file: FileInfo) =>
+            `${file.isUsed}:${file.isEntryPoint}:${file.referenceCount}:${file.layer}:${file.pairedFile}`;
+        const previousViewState = new Map(structure.files.map(file => [file.path, getViewState(file)]));
+        
+        const removedFiles: string[] = [];
+        const removedPaths = new Set<string>();
+        const touched = new Set<string>();
+        let structureChanged = false;
+        let fileSetChanged = false;
+        let configChanged = false;
+        let packagesChanged = false;
+        let layersChanged = false;
+        let entryConfigChanged = false;
+        const changedLanguages = new Set<string>();
+        const trackLanguages = (file: FileInfo, fileSetChange: boolean) => LANGUAGE_RESOLVERS
+            .filter(entry => (fileSetChange && entry.extensions.includes(file.extension)) || isLanguageConfigFile(entry, file.name))
+            .forEach(entry => changedLanguages.add(entry.language));
+        // go.mod 처럼 분석 대상 확장자가 아닌 설정 파일은 파일 목록에 없으므로 이름으로 확인
+        const trackConfigFile = (fullPath: string) => LANGUAGE_RESOLVERS
+            .filter(entry => isLanguageConfigFile(entry, path.basename(fullPath)))
+            .forEach(entry => changedLanguages.add(entry.language));
+        
+        // 삭제된 파일 또는 디렉터리 처리
+        for (const fullPath of deletedPaths) {
+            const relPath = toRelative(fullPath);
+            for (const folder of this.getLayerConfigFolders(relPath)) {
+                await this.layerRules.load(folder.path, path.join(structure.rootPath, folder.path));
+                layersChanged = true;
+            }
+            if (IGNORE_FILES.includes(path.basename(fullPath))) {
+                await this.loadIgnoreFiles(path.dirname(fullPath), path.posix.dirname(relPath).replace(/^\.$/, ''));
+            }
+            trackConfigFile(fullPath);
+            const removed = Array.from(this.fileMap.values())
+                .filter(file => file.path === relPath || file.path.startsWith(`${relPath}/`));
+            
+            for (const file of removed) {
+                const index = structure.files.indexOf(file);
+                if (index !== -1) {
+                    structure.files.splice(index, 1);
+                    removedFiles.push(file.path);
+                }
+                this.fileMap.delete(file.path);
+                this.fileDependencies.delete(file.path);
+                this.outsideDependencies.delete(file.path);
+                this.fileCache.delete(file.path);
+                this.analysisCache?.delete(file.path);
+                removedPaths.add(file.path);
+                configChanged = configChanged || this.isResolverConfig(file.name);
+                packagesChanged = packagesChanged || WORKSPACE_CONFIG_FILES.includes(file.name);
+                entryConfigChanged = entryConfigChanged || ENTRY_CONFIG_FILE.test(file.name);
+                trackLanguages(file, true);
+            }
+            
+            if (this.removeFromFileTree(structure.fileTree, relPath) || removedFiles.length > 0) {
+                structureChanged = true;
+            }
+        }
+        
+        // 생성 또는 변경된 파일 처리
+        for (const fullPath of changedPaths) {
+            const relPath = toRelative(fullPath);
+            const ext = path.extname(fullPath);
+            // 레이어 설정은 숨김 디렉터리에 있으므로 제외 규칙보다 먼저 확인
+            const layerConfigFolders = this.getLayerConfigFolders(relPath);
+            if (layerConfigFolders.length > 0) {
+                for (const folder of layerConfigFolders) {
+                    await this.layerRules.load(folder.path, path.join(structure.rootPath, folder.path));
+                }
+                layersChanged = true;
+                logger.info('Layer rules reloaded', { file: relPath });
+                continue;
+            }
+            if (relPath.startsWith('..') || this.isIgnoredPath(relPath)) {
+                continue;
+            }
+            if (IGNORE_FILES.includes(path.basename(fullPath))) {
+                // 이미 스캔된 파일 목록은 유지되며 다음 전체 분석부터 반영됨
+                await this.loadIgnoreFiles(path.dirname(fullPath), path.posix.dirname(relPath).replace(/^\.$/, ''));
+                logger.info('Ignore rules reloaded', { file: relPath });
+                continue;
+            }
+            if (!this.supportedExtensions.includes(ext)) {
+                trackConfigFile(fullPath);
+                continue;
+            }
+            
+            let stats;
+            try {
+                stats = await fs.stat(fullPath);
+            } catch {
+                continue;
+            }
+            if (!stats.isFile()) {
+                continue;
+            }
+            
+            let file = this.fileMap.getIndexed(relPath);
+            if (file) {
+                file.size = stats.size;
+                file.lastModified = stats.mtime;
+            } else {
+                const candidate: FileInfo = {
+                    path: relPath,
+                    fullPath,
+                    name: path.basename(fullPath),
+                    extension: ext,
+                    size: stats.size,
+                    type: this.getFileType(ext),
+                    lastModified: stats.mtime,
+                    isDirectory: false,
+                    comments: []
+                };
+                if (!this.isAnalyzable(candidate)) {
+                    continue;
+                }
+                file = candidate;
+                this.fileMap.set(relPath, file);
+                fileSetChanged = true;
+                trackLanguages(file, true);
+                
+                if (this.isInScope(relPath)) {
+                    structure.files.push(file);
+                    this.insertIntoFileTree(structure.fileTree, file, structure.rootPath);
+                    structureChanged = true;
+                }
+            }
+            
+            configChanged = configChanged || this.isResolverConfig(file.name);
+            packagesChanged = packagesChanged || WORKSPACE_CONFIG_FILES.includes(file.name);
+            entryConfigChanged = entryConfigChanged || ENTRY_CONFIG_FILE.test(file.name);
+            trackLanguages(file, false);
+            // 범위 밖 파일은 범위 분석에서 따라간 파일만 다시 분석
+            if (this.isInScope(relPath) || this.outsideDependencies.has(relPath)) {
+                touched.add(relPath);
+            }
+        }
+        
+        // Kotlin 은 파일에 선언된 클래스로 색인하므로 내용이 바뀌어도 클래스 색인을 다시 구성
+        if (Array.from(touched).some(relPath => relPath.endsWith('.kt'))) {
+            changedLanguages.add('java');
+        }
+        
+        if (touched.size === 0 && removedPaths.size === 0 && !fileSetChanged &&
+            !configChanged && !layersChanged && changedLanguages.size === 0) {
+            return undefined;
+        }
+        
+        // tsconfig/package.json 이 바뀌면 import 해석기를 다시 구성
+        if (configChanged || !this.moduleResolver) {
+            this.moduleResolver = await ModuleResolver.create(structure.rootPath, this.fileMap);
+        }
+        // 모듈이 생기거나 사라지면 패키지 루트와 클래스 목록이 바뀔 수 있음
+        if (changedLanguages.size > 0) {
+            await this.createLanguageResolvers(structure.rootPath, changedLanguages);
+        }
+        // Go 는 패키지 파일의 공개 이름으로 엣지를 만들므로 같은 패키지를 참조하는 파일도 다시 해석
+        const changedGoDirs = new Set([...touched, ...removedPaths]
+            .filter(relPath => relPath.endsWith('.go'))
+            .map(relPath => path.posix.dirname(relPath).replace(/^\.$/, '')));
+        changedGoDirs.forEach(dir => this.goResolver?.invalidate(dir));
+        // PHP classmap 색인의 클래스 선언 갱신
+        const changedPhpFiles = [...touched, ...removedPaths].filter(relPath => relPath.endsWith('.php'));
+        if (this.phpResolver && !changedLanguages.has('php')) {
+            for (const relPath of changedPhpFiles) {
+                const file = this.fileMap.get(relPath);
+                this.phpResolver.updateFile(relPath, file ? await this.readFileContent(file.fullPath) : undefined);
+            }
+        }
+        // C# 형식 색인 갱신, 선언한 형식이 바뀌면 다른 C# 파일의 참조도 달라질 수 있음
+        const changedCsFiles = [...touched, ...removedPaths].filter(relPath => relPath.endsWith('.cs'));
+        let csharpTypesChanged = false;
+        if (this.csharpResolver && !changedLanguages.has('csharp')) {
+            for (const relPath of changedCsFiles) {
+                const file = this.fileMap.get(relPath);
+                const changed = this.csharpResolver.updateFile(relPath, file ? await this.readFileContent(file.fullPath) : undefined);
+                csharpTypesChanged = csharpTypesChanged || changed;
+            }
+        }
+        
+        // import 대상이 사라졌거나 새로 생겼을 수 있는 파일들도 다시 해석
+        const dependents = new Set<string>();
+        for (const [fromPath, deps] of [...this.fileDependencies, ...this.outsideDependencies]) {
+            if (touched.has(fromPath)) {
+                continue;
+            }
+            const file = this.fileMap.get(fromPath);
+            if ((configChanged && file && [...this.jsExtensions, ...SFC_EXTENSIONS].includes(file.extension)) ||
+                (file && LANGUAGE_RESOLVERS.some(entry =>
+                    changedLanguages.has(entry.language) && entry.extensions.includes(file.extension))) ||
+                (csharpTypesChanged && file?.extension === '.cs') ||
+                deps.some(dep => removedPaths.has(dep.to) || (fileSetChanged && /^\[(?:Missing|System)\]/.test(dep.to)) ||
+                    (dep.to.endsWith('.go') && changedGoDirs.has(path.posix.dirname(dep.to).replace(/^\.$/, ''))) ||
+                    changedPhpFiles.includes(dep.to) || changedCsFiles.includes(dep.to))) {
+                dependents.add(fromPath);
+            }
+        }
+        
+        for (const relPath of [...touched, ...dependents]) {
+            const file = this.fileMap.get(relPath);
+            if (!file) {
+                continue;
+            }
+            const cached = touched.has(relPath) ? undefined : this.fileCache.get(relPath);
+            const content = cached !== undefined ? cached : await this.readFileContent(file.fullPath);
+            const deps = await this.analyzeFile(file, content);
+            (this.isInScope(relPath) ? this.fileDependencies : this.outsideDependencies).set(relPath, deps);
+        }
+        
+        // 파일이 생기거나 사라지고, package.json 이나 번들러 설정이 바뀌면 진입점을 다시 찾음
+        if (fileSetChanged || removedPaths.size > 0 || entryConfigChanged) {
+            this.entryPoints = await detectEntryPoints(this.fileMap, this.getEntryPatterns());
+        }
+        // 다시 분석한 파일이 새로 가리키는 범위 밖 파일
+        await this.analyzeOutsideFiles();
+        
+        // 분석 결과를 제자리에서 갱신 (웹뷰 제공자가 같은 객체를 참조)
+        const dependencies = this.collectDependencies();
+        structure.dependencies.length = 0;
+        dependencies.forEach(dep => structure.dependencies.push(dep));
+        
+        this.updateFileUsage(structure.files, structure.dependencies);
+        this.pairHeaders(structure.files);
+        
+        const layers = this.organizeLayers(structure.files);
+        Object.keys(structure.layers).forEach(layer => delete structure.layers[layer]);
+        Object.assign(structure.layers, layers);
+        if (layersChanged) {
+            structure.layerDefinitions = this.getLayerDefinitions();
+        }
+        Object.assign(structure.stats, this.calculateStats(structure.files, structure.dependencies));
+        if (packagesChanged || changedGoDirs.size > 0 ||
+            ['go', 'rust', 'csharp'].some(language => changedLanguages.has(language))) {
+            const packages = await this.detectPackages(structure.dependencies);
+            packagesChanged = JSON.stringify(packages) !== JSON.stringify(structure.packages);
+            structure.packages = packages;
+        }
+        
+        // 변경분 계산
+        const currentDeps = new Map(structure.dependencies.map(dep => [this.getDependencyKey(dep), dep]));
+        const addedDependencies: DependencyInfo[] = [];
+        const removedDependencies: DependencyInfo[] = [];
+        
+        currentDeps.forEach((dep, key) => {
+            const previous = previousDeps.get(key);
+            if (!previous) {
+                addedDependencies.push(dep);
+            } else if (JSON.stringify([previous.specifiers, previous.usedSpecifiers, previous.reExportSources, previous.isTypeOnly, previous.violation]) !==
+                       JSON.stringify([dep.specifiers, dep.usedSpecifiers, dep.reExportSources, dep.isTypeOnly, dep.violation])) {
+                removedDependencies.push(previous);
+                addedDependencies.push(dep);
+            }
+        });
+        previousDeps.forEach((dep, key) => {
+            if (!currentDeps.has(key)) {
+                removedDependencies.push(dep);
+            }
+        });
+        
+        const updatedFiles = structure.files.filter(file =>
+            touched.has(file.path) ||
+            dependents.has(file.path) ||
+            previousViewState.get(file.path) !== getViewState(file)
+        );
+        
+        await this.saveCache();
+        
+        tracker.end();
+        logger.info('Incremental analysis complete', {
+            changed: touched.size,
+            dependents: dependents.size,
+            removed: removedPaths.size,
+            addedDependencies: addedDependencies.length,
+            removedDependencies: removedDependencies.length
+        });
+        
+        return {
+            updatedFiles,
+            removedFiles,
+            addedDependencies,
+            removedDependencies,
+            structureChanged,
+            packages: packagesChanged ? structure.packages || [] : undefined,
+            layerDefinitions: layersChanged ? structure.layerDefinitions : undefined
+        };
+    }
+
+    /** relPath 가 속한 작업 공간 폴더 */
+    private findWorkspaceFolder(relPath: string): WorkspaceFolderInfo | undefined {
+        return this.workspaceFolders.find(candidate =>
+            !candidate.path || relPath === candidate.path || relPath.startsWith(`${candidate.path}/`));
+    }
+
+    /** relPath 가 속한 작업 공간 폴더의 설정 (폴더별 설정이 없으면 생성자의 설정) */
+    private getFolderOptions(relPath: string): AnalyzerOptions {
+        const folder = this.findWorkspaceFolder(relPath);
+        return (folder && this.folderOptions.get(folder.path)) || this.options;
+    }
+
+    private isIgnoredPath(relPath: string): boolean {
+        // 어느 작업 공간 폴더에도 속하지 않으면 무시
+        const folder = this.findWorkspaceFolder(relPath);
+        if (!folder || folder.path === relPath) {
+            return true;
+        }
+        
+        // buildFileTree와 동일한 규칙을 폴더 루트 아래의 상위 디렉터리부터 적용
+        const segments = relPath.split('/');
+        const start = folder.path ? folder.path.split('/').length + 1 : 1;
+        for (let i = start; i < segments.length; i++) {
+            if (this.isExcluded(segments.slice(0, i).join('/'), true)) {
+                return true;
+            }
+        }
+        return this.isExcluded(relPath, false);
+    }
+
+    private isExcluded(relPath: string, isDirectory: boolean): boolean {
+        const name = path.posix.basename(relPath);
+        const options = this.getFolderOptions(relPath);
+        if (isDirectory && (this.ignoreDirs.includes(name) || (options.ignoreDirectories || []).includes(name) ||
+            (name.startsWith('.') && !options.includeHiddenDirectories))) {
+            return true;
+        }
+        return this.ignoreRules.ignores(relPath, isDirectory);
+    }
+
+    private isAnalyzable(file: FileInfo): boolean {
+        if (!this.supportedExtensions.includes(file.extension)) {
+            return false;
+        }
+        const options = this.getFolderOptions(file.path);
+        if (options.maxFileSize && file.size > options.maxFileSize) {
+            return false;
+        }
+        // include 패턴은 작업 공간 폴더 기준
+        const folderPath = this.findWorkspaceFolder(file.path)?.path;
+        const relPath = folderPath ? file.path.slice(folderPath.length + 1) : file.path;
+        const include = options.include || [];
+        return include.length === 0 || include.some(pattern => matchesGlob(relPath, pattern));
+    }
+
+    private async loadIgnoreFiles(dirPath: string, relDir: string): Promise<void> {
+        await Promise.all(IGNORE_FILES.map(async (name, order) => {
+            if (name === '.gitignore' && this.getFolderOptions(relDir).useGitignore === false) {
+                return;
+            }
+            try {
+                const content = await fs.readFile(path.join(dirPath, name), 'utf-8');
+                this.ignoreRules.setRules(relDir, name, order, content.split(/\r?\n/));
+            } catch {
+                // 규칙 파일이 없거나 삭제된 경우
+                this.ignoreRules.setRules(relDir, name, order, []);
+            }
+        }));
+    }
+
+    /** relPath 가 레이어 설정 파일이거나 그 상위 디렉터리인 작업 공간 폴더 */
+    private getLayerConfigFolders(relPath: string): WorkspaceFolderInfo[] {
+        return this.workspaceFolders.filter(folder => {
+            const configPath = path.posix.join(folder.path, LAYER_CONFIG_PATH);
+            return configPath === relPath || configPath.startsWith(`${relPath}/`);
+        });
+    }
+
+    private getLayerDefinitions() {
+        return this.layerRules.getDefinitions(this.workspaceFolders.map(folder => folder.path));
+    }
+
+    private async detectPackages(dependencies: DependencyInfo[]): Promise<WorkspacePackage[] | undefined> {
+        const workspacePackages = await detectWorkspacePackages(this.fileMap);
+        const workspacePaths = new Set(workspacePackages.map(pkg => pkg.path));
+        const languagePackages = [
+            ...this.rustResolver?.getPackages() || [],
+            ...this.csharpResolver?.getPackages() || [],
+            ...this.getGoPackages(dependencies)
+        ]
+            .filter(pkg => !workspacePaths.has(pkg.path));
+        // 범위 분석 시에는 범위 안의 패키지만 표시
+        const packages = [...workspacePackages, ...languagePackages].filter(pkg => this.isInScope(pkg.path));
+        return packages.length > 0 ? packages : undefined;
+    }
+
+    /** Go 의존성은 디렉터리 단위 패키지 사이의 관계이므로 파일 간 import 를 패키지별로 묶습니다. */
+    private getGoPackages(dependencies: DependencyInfo[]): WorkspacePackage[] {
+        const goResolver = this.goResolver;
+        if (!goResolver) {
+            return [];
+        }
+        
+        const getDir = (relPath: string) => path.posix.dirname(relPath).replace(/^\.$/, '');
+        const packages = new Map<string, WorkspacePackage>();
+        Array.from(this.fileMap.values())
+            .filter(file => file.extension === '.go')
+            .sort((a, b) => a.path.localeCompare(b.path))
+            .forEach(file => {
+                const dir = getDir(file.path);
+                const importPath = packages.has(dir) ? undefined : goResolver.getImportPath(dir);
+                if (importPath) {
+                    packages.set(dir, { name: importPath, path: dir, manifestPath: file.path, dependencies: [] });
+                }
+            });
+        
+        dependencies.filter(dep => dep.from.endsWith('.go')).forEach(dep => {
+            const from = packages.get(getDir(dep.from));
+            const to = packages.get(getDir(dep.to));
+            if (from && to && from !== to && !from.dependencies.some(existing => existing.name === to.name)) {
+                from.dependencies.push({ name: to.name, type: 'dependencies' });
+            }
+        });
+        
+        return Array.from(packages.values());
+    }
+
+    private isInScope(relPath: string): boolean {
+        return !this.scope || relPath === this.scope || relPath.startsWith(`${this.scope}/`);
+    }
+
+    /**
+     * 범위 폴더의 상위 디렉터리들에 바로 있는 파일을 찾습니다. (하위 디렉터리는 스캔하지 않음)
+     * 상위의 package.json, tsconfig.json, pyproject.toml 같은 설정은 범위 안의 import 해석에도 적용되고,
+     * 상위의 제외 규칙 파일은 범위 안과 범위 밖 파일에 모두 적용됩니다.
+     */
+    private async scanScopeAncestors(rootPath: string): Promise<FileInfo[]> {
+        const files: FileInfo[] = [];
+        const segments = this.scope.split('/');
+        
+        for (let i = 0; i < segments.length; i++) {
+            const relDir = segments.slice(0, i).join('/');
+            const dirPath = path.join(rootPath, relDir);
+            await this.loadIgnoreFiles(dirPath, relDir);
+            try {
+                const entries = await fs.readdir(dirPath, { withFileTypes: true });
+                for (const entry of entries.filter(candidate => candidate.isFile())) {
+                    const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+                    const file = this.isExcluded(relPath, false)
+                        ? undefined
+                        : this.createFileInfo(relPath, await fs.stat(path.join(dirPath, entry.name)));
+                    if (file && this.isAnalyzable(file)) {
+                        files.push(file);
+                    }
+                }
+            } catch (error) {
+                ErrorGuidelines.FILE_READ_ERROR.log(dirPath, error as Error);
+            }
+        }
+        return files;
+    }
+
+    /**
+     * import 해석기가 찾는 범위 밖 파일을 디스크에서 확인합니다.
+     * 전체 분석과 같은 제외 규칙을 적용하며, 범위 안의 파일은 이미 모두 색인되어 있습니다.
+     */
+    private loadOutsideFile(relPath: string): FileInfo | undefined {
+        if (!relPath || relPath.startsWith('[') || relPath.startsWith('..') || path.isAbsolute(relPath) ||
+            this.isInScope(relPath) || this.isIgnoredPath(relPath)) {
+            return undefined;
+        }
+        try {
+            const stats = statSync(path.join(this.rootPath, relPath));
+            const file = stats.isFile() ? this.createFileInfo(relPath, stats) : undefined;
+            return file && this.isAnalyzable(file) ? file : undefined;
+        } catch {
+            return undefined;
+        }
+    }
+
+    private createFileInfo(relPath: string, stats: Stats): FileInfo {
+        const ext = path.extname(relPath);
+        return {
+            path: relPath,
+            fullPath: path.join(this.rootPath, relPath),
+            name: path.posix.basename(relPath),
+            extension: ext,
+            size: stats.size,
+            type: this.getFileType(ext),
+            lastModified: stats.mtime,
+            isDirectory: false,
+            comments: []
+        };
+    }
+
+    /**
+     * 파일별 의존성을 모아 중복을 제거합니다.
+     * 범위 밖으로 나가는 의존성은 범위와 갈라지는 디렉터리 단위의 경계 노드로 묶습니다.
+     */
+    private collectDependencies(): DependencyInfo[] {
+        const dependencies = Array.from(this.fileDependencies.values()).flat().map(dep => {
+            if (dep.to.startsWith('[')) {
+                return dep;
+            }
+            
+            // 레이어 의존성 규칙 위반 표시
+            const violation = this.layerRules.checkDependency(dep.from, dep.to);
+            const checked = violation ? { ...dep, violation } : dep;
+            if (!this.scope || this.isInScope(dep.to)) {
+                return checked;
+            }
+            const scopeSegments = this.scope.split('/');
+            const targetSegments = dep.to.split('/');
+            let common = 0;
+            while (common < scopeSegments.length && common < targetSegments.length - 1 &&
+                   scopeSegments[common] === targetSegments[common]) {
+                common++;
+            }
+            return { ...checked, to: `[Boundary] ${targetSegments.slice(0, common + 1).join('/')}` };
+        });
+        // barrel 의 re-export 는 다른 파일의 분석 결과에 따라 달라지므로 모든 파일을 분석한 뒤 따라감
+        const unique = this.deduplicateDependencies(dependencies);
+        unique.forEach(dep => this.addReExportSources(dep));
+        return unique;
+    }
+
+    /**
+     * barrel 파일을 가리키는 import 엣지에, re-export 를 따라가 import 한 이름을 실제로 선언한 파일을 기록합니다.
+     * barrel 이 직접 선언한 이름과 따라갈 수 없는 이름은 barrel 에 남겨 둡니다.
+     */
+    private addReExportSources(dep: DependencyInfo): void {
+        if (dep.type !== 'import' || !this.fileMap.get(dep.to)?.reExports?.length) {
+            return;
+        }
+        // 네임스페이스 import 는 접근한 멤버를 따라감
+        const isNamespace = (dep.specifiers || []).includes('*');
+        const names = isNamespace ? dep.usedSpecifiers || [] : dep.specifiers || [];
+        
+        const sources = new Map<string, ReExportSource>();
+        for (const name of names) {
+            const traced = this.traceReExport(dep.to, name, []);
+            if (!traced || traced.via.length === 0) {
+                continue;
+            }
+            const key = `${traced.file}:${traced.via.join(':')}`;
+            const source = sources.get(key) || {
+                file: traced.file,
+                specifiers: [],
+                importedNames: [],
+                usedSpecifiers: dep.usedSpecifiers ? [] : undefined,
+                via: traced.via
+            };
+            source.specifiers.push(traced.name);
+            source.importedNames.push(name);
+            if (source.usedSpecifiers && (isNamespace || dep.usedSpecifiers?.includes(name))) {
+                source.usedSpecifiers.push(traced.name);
+            }
+            sources.set(key, source);
+        }
+        
+        if (sources.size > 0) {
+            dep.reExportSources = Array.from(sources.values());
+        }
+    }
+
+    /** 파일이 내보내는 이름을 선언한 파일을 찾습니다. via 는 지금까지 거쳐 온 barrel 파일입니다. */
+    private traceReExport(filePath: string, name: string, via: string[]): { file: string; name: string; via: string[] } | undefined {
+        const file = this.fileMap.get(filePath);
+        if (!file || via.includes(filePath)) {
+            return undefined;
+        }
+        const reExports = file.reExports || [];
+        const next = [...via, filePath];
+        
+        // export { a as b } from './x' / export * as ns from './x'
+        const named = reExports.find(reExport => reExport.name === name);
+        if (named) {
+            return named.importedName === '*'
+                ? { file: named.file, name: '*', via: next }
+                : this.traceReExport(named.file, named.importedName, next) || { file: named.file, name: named.importedName, via: next };
+        }
+        // export 목록을 모르는 파일(JS/TS 가 아닌 파일)은 이 파일을 선언 위치로 봄
+        if (!file.exports || file.exports.includes(name)) {
+            return { file: filePath, name, via };
+        }
+        // export * from 은 default 를 제외하고 이 파일이 선언하지 않은 이름을 전달
+        if (name !== 'default') {
+            for (const reExport of reExports.filter(candidate => candidate.name === '*')) {
+                const traced = this.traceReExport(reExport.file, name, next);
+                if (traced) {
+                    return traced;
+                }
+            }
+        }
+        return undefined;
+    }
+
+    /** C/C++ 소스 파일과 같은 이름의 헤더를 서로 짝으로 표시합니다. */
+    private pairHeaders(files: FileInfo[]): void {
+        files.forEach(file => delete file.pairedFile);
+        const cppResolver = this.cppResolver;
+        if (!cppResolver) {
+            return;
+        }
+        
+        files.filter(file => CPP_SOURCE_EXTENSIONS.includes(file.extension)).forEach(source => {
+            const included = (this.fileDependencies.get(source.path) || [])
+                .filter(dep => dep.type === 'include')
+                .map(dep => dep.to);
+            const header = this.fileMap.get(cppResolver.findHeader(source.path, included) || '');
+            if (header && !header.pairedFile) {
+                source.pairedFile = header.path;
+                header.pairedFile = source.path;
+            }
+        });
+    }
+
+    private isResolverConfig(fileName: string): boolean {
+        return ['tsconfig.json', 'jsconfig.json', 'package.json'].includes(fileName);
+    }
+
+    private getDependencyKey(dep: DependencyInfo): string {
+        return `${dep.from}::${dep.to}::${dep.type}`;
+    }
+
+    private removeFromFileTree(items: FileInfo[], relPath: string): boolean {
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            if (item.path === relPath) {
+                items.splice(i, 1);
+                return true;
+            }
+            if (item.children && relPath.startsWith(`${item.path}/`)) {
+                return this.removeFromFileTree(item.children, relPath);
+            }
+        }
+        return false;
+    }
+
+    private insertIntoFileTree(tree: FileInfo[], file: FileInfo, rootPath: string): void {
+        let items = tree;
+        let parentPath = this.scope;
+        
+        // 이미 있는 가장 깊은 상위 디렉터리를 찾음 (범위/다중 루트 트리는 루트가 아닌 곳에서 시작)
+        let dir = items.find(item => item.isDirectory && file.path.startsWith(`${item.path}/`));
+        while (dir) {
+            dir.children = dir.children || [];
+            items = dir.children;
+            parentPath = dir.path;
+            dir = items.find(item => item.isDirectory && file.path.startsWith(`${item.path}/`));
+        }
+        
+        // 중간 디렉터리가 없으면 생성
+        const segments = file.path.slice(parentPath ? parentPath.length + 1 : 0).split('/');
+        for (const segment of segments.slice(0, -1)) {
+            const dirPath = parentPath ? `${parentPath}/${segment}` : segment;
+            const newDir: FileInfo = {
+                path: dirPath,
+                fullPath: path.join(rootPath, dirPath),
+                name: segment,
+                extension: '',
+                size: 0,
+                type: 'Directory',
+                lastModified: file.lastModified,
+                isDirectory: true,
+                children: []
+            };
+            items.push(newDir);
+            this.sortFileTreeItems(items);
+            items = newDir.children as FileInfo[];
+            parentPath = dirPath;
+        }
+        
+        items.push(file);
+        this.sortFileTreeItems(items);
+    }
+
+    private sortFileTreeItems(items: FileInfo[]): FileInfo[] {
+        // Sort items: directories first, then files
+        return items.sort((a, b) => {
+            if (a.isDirectory && !b.isDirectory) {return -1;}
+            if (!a.isDirectory && b.isDirectory) {return 1;}
+            return a.name.localeCompare(b.name);
+        });
     }
 
     private async buildFileTree(dirPath: string, relativePath = ''): Promise<FileInfo[]> {
         const items: FileInfo[] = [];
         
         try {
+            await this.loadIgnoreFiles(dirPath, relativePath.replace(/\\/g, '/'));
             const entries = await fs.readdir(dirPath, { withFileTypes: true });
             
             for (const entry of entries) {
@@ -76,7 +932,7 @@ export class ProjectAnalyzer {
                 const relPath = path.join(relativePath, entry.name);
                 
                 if (entry.isDirectory()) {
-                    if (!this.ignoreDirs.includes(entry.name) && !entry.name.startsWith('.')) {
+                    if (!this.isExcluded(relPath.replace(/\\/g, '/'), true)) {
                         const children = await this.buildFileTree(fullPath, relPath);
                         const stats = await fs.stat(fullPath);
                         
@@ -92,7 +948,7 @@ export class ProjectAnalyzer {
                             children
                         });
                     }
-                } else if (entry.isFile()) {
+                } else if (entry.isFile() && !this.isExcluded(relPath.replace(/\\/g, '/'), false)) {
                     const ext = path.extname(entry.name);
                     const stats = await fs.stat(fullPath);
                     
@@ -125,6 +981,7 @@ export class ProjectAnalyzer {
         const items: FileInfo[] = [];
         
         try {
+            await this.loadIgnoreFiles(dirPath, relativePath.replace(/\\/g, '/'));
             const entries = await fs.readdir(dirPath, { withFileTypes: true });
             
             // Process entries in parallel batches
@@ -142,7 +999,7 @@ export class ProjectAnalyzer {
                     const relPath = path.join(relativePath, entry.name);
                     
                     if (entry.isDirectory()) {
-                        if (!this.ignoreDirs.includes(entry.name) && !entry.name.startsWith('.')) {
+                        if (!this.isExcluded(relPath.replace(/\\/g, '/'), true)) {
                             const [children, stats] = await Promise.all([
                                 this.buildFileTreeParallel(fullPath, relPath),
                                 fs.stat(fullPath)
@@ -160,7 +1017,7 @@ export class ProjectAnalyzer {
                                 children
                             };
                         }
-                    } else if (entry.isFile()) {
+                    } else if (entry.isFile() && !this.isExcluded(relPath.replace(/\\/g, '/'), false)) {
                         const ext = path.extname(entry.name);
                         const stats = await fs.stat(fullPath);
                         
@@ -195,12 +1052,48 @@ export class ProjectAnalyzer {
         });
     }
 
+    private async buildWorkspaceFolderTree(rootPath: string, folders: WorkspaceFolderInfo[]): Promise<FileInfo[]> {
+        const tree: FileInfo[] = [];
+        
+        // 각 작업 공간 폴더를 최상위 디렉터리 노드로 표시
+        for (const folder of folders) {
+            const fullPath = path.join(rootPath, folder.path);
+            const [children, stats] = await Promise.all([
+                this.buildFileTreeParallel(fullPath, folder.path),
+                fs.stat(fullPath)
+            ]);
+            
+            tree.push({
+                path: folder.path,
+                fullPath,
+                name: folder.name,
+                extension: '',
+                size: 0,
+                type: 'Directory',
+                lastModified: stats.mtime,
+                isDirectory: true,
+                children
+            });
+        }
+        
+        return tree;
+    }
+
+    private findCommonRoot(paths: string[]): string {
+        const split = paths.map(fsPath => path.resolve(fsPath).split(path.sep));
+        const common: string[] = [];
+        for (let i = 0; split.every(segments => i < segments.length - 1 && segments[i] === split[0][i]); i++) {
+            common.push(split[0][i]);
+        }
+        return common.join(path.sep) || path.sep;
+    }
+
     private flattenFileTree(tree: FileInfo[]): FileInfo[] {
         const files: FileInfo[] = [];
         
         const flatten = (items: FileInfo[]) => {
             for (const item of items) {
-                if (!item.isDirectory && this.supportedExtensions.includes(item.extension)) {
+                if (!item.isDirectory && this.isAnalyzable(item)) {
                     files.push(item);
                 }
                 if (item.children) {
@@ -231,214 +1124,372 @@ export class ProjectAnalyzer {
         return count;
     }
 
-    private async analyzeDependencies(files: FileInfo[]): Promise<DependencyInfo[]> {
+    private async analyzeDependencies(files: FileInfo[], rootPath: string): Promise<DependencyInfo[]> {
         const dependencies: DependencyInfo[] = [];
-        const fileMap = new Map(files.map(f => [f.path, f]));
-        const usedFiles = new Set<string>(); // 사용되는 파일 추적
+        this.fileMap = new FileIndex(files);
+        this.moduleResolver = await ModuleResolver.create(rootPath, this.fileMap);
+        await this.createLanguageResolvers(rootPath);
+        this.fileDependencies.clear();
         
         for (const file of files) {
-            try {
-                const content = await this.readFileContent(file.fullPath);
-                this.fileCache.set(file.path, content);
-                
-                // 주석 추출 및 파일 설명 생성
-                if (this.supportedExtensions.includes(file.extension)) {
-                    file.comments = this.extractComments(content, file.extension);
-                    file.description = this.generateFileDescription(file, content);
-                    
-                    // 코드 요소 추출 (함수, 변수, 클래스)
-                    const codeElements = this.extractCodeElements(content, file.extension);
-                    file.functions = codeElements.functions;
-                    file.variables = codeElements.variables;
-                    file.classes = codeElements.classes;
-                }
+            const content = await this.readFileContent(file.fullPath);
+            const fileDeps = await this.analyzeFile(file, content);
+            this.fileDependencies.set(file.path, fileDeps);
+            dependencies.push(...fileDeps);
+        }
+        
+        // 모든 의존성을 분석하여 사용되는 파일 표시
+        const uniqueDeps = this.deduplicateDependencies(dependencies);
+        this.entryPoints = await detectEntryPoints(this.fileMap, this.getEntryPatterns());
+        this.updateFileUsage(files, uniqueDeps);
+        
+        return uniqueDeps;
+    }
+
+    private async analyzeDependenciesParallel(
+        files: FileInfo[],
+        rootPath: string,
+        allFiles: FileInfo[] = files
+    ): Promise<DependencyInfo[]> {
+        // 범위 분석에서는 범위 밖 파일을 import 가 가리킬 때 디스크에서 찾아 색인
+        this.fileMap = new FileIndex(allFiles, this.scope ? relPath => this.loadOutsideFile(relPath) : undefined);
+        // tsconfig paths, package.json exports 등을 이용한 import 해석기
+        this.moduleResolver = await ModuleResolver.create(rootPath, this.fileMap);
+        // Python 패키지 루트, Java 소스 루트 등 언어별 import 해석기
+        await this.createLanguageResolvers(rootPath);
+        this.fileDependencies.clear();
+        this.outsideDependencies.clear();
+        
+        // 파일 구성이 마지막 캐시 저장 시점과 같으면 캐시된 의존성을 그대로 사용
+        // 범위 밖 파일 구성은 스캔하지 않아 알 수 없으므로 범위 분석에서는 import 를 다시 해석
+        const reuseDependencies = !this.scope &&
+            !!this.analysisCache?.isSignatureValid(this.getResolutionSignature(allFiles));
+        
+        // Process files in parallel batches
+        const BATCH_SIZE = 20;
+        const batches = [];
+        
+        for (let i = 0; i < files.length; i += BATCH_SIZE) {
+            const batch = files.slice(i, i + BATCH_SIZE);
+            batches.push(batch);
+        }
+        
+        for (const batch of batches) {
+            const batchPromises = batch.map(async (file) => {
+                const fileDeps = await this.analyzeFileWithCache(file, reuseDependencies);
+                this.fileDependencies.set(file.path, fileDeps);
+            });
+            
+            await Promise.all(batchPromises);
+        }
+        
+        // Deduplicate and calculate usage
+        this.entryPoints = await detectEntryPoints(this.fileMap, this.getEntryPatterns());
+        await this.analyzeOutsideFiles();
+        const uniqueDeps = this.collectDependencies();
+        this.updateFileUsage(files, uniqueDeps);
+        
+        return uniqueDeps;
+    }
+
+    /**
+     * 범위 분석에서 진입점과, import 가 가리키는 범위 밖 파일을 따라가며 분석합니다.
+     * 범위 밖 파일을 거쳐 범위 안의 파일에 도달하는 경로도 사용 중으로 판단하기 위함입니다.
+     */
+    private async analyzeOutsideFiles(): Promise<void> {
+        if (!this.scope) {
+            return;
+        }
+        const queue = [
+            ...this.entryPoints,
+            ...[...this.fileDependencies.values(), ...this.outsideDependencies.values()].flat().map(dep => dep.to)
+        ];
+        for (let relPath = queue.pop(); relPath !== undefined; relPath = queue.pop()) {
+            if (this.isInScope(relPath) || this.outsideDependencies.has(relPath)) {
+                continue;
+            }
+            const file = this.fileMap.get(relPath);
+            if (!file) {
+                continue;
+            }
+            const deps = await this.analyzeFile(file, await this.readFileContent(file.fullPath));
+            this.outsideDependencies.set(relPath, deps);
+            queue.push(...deps.map(dep => dep.to));
+        }
+    }
+
+    /**
+     * 단일 파일의 주석, 코드 요소, 의존성을 분석합니다.
+     * 전체 분석과 파일 변경 시의 증분 분석에서 함께 사용됩니다.
+     */
+    private async analyzeFile(file: FileInfo, content: string): Promise<DependencyInfo[]> {
+        const fileMap = this.fileMap;
+        
+        try {
+            this.fileCache.set(file.path, content);
+            
+            const fileDeps: DependencyInfo[] = [];
+            
+            // Parse JS/TS once and share the AST results
+            // 단일 파일 컴포넌트는 스크립트 블록만 JS/TS 로 파싱
+            const sfc = SFC_EXTENSIONS.includes(file.extension) ? parseSFC(file.path, content) : undefined;
+            const jsModule = this.jsExtensions.includes(file.extension)
+                ? parseJSModule(file.path, content)
+                : sfc ? parseJSModule(`${file.path}${sfc.scriptKind}`, sfc.script) : undefined;
+            
+            // Extract comments and file description
+            if (this.supportedExtensions.includes(file.extension)) {
+                file.comments = this.extractComments(content, file.extension);
+                file.description = this.generateFileDescription(file, content);
                 
-                // JavaScript/TypeScript
-                if (['.ts', '.js', '.tsx', '.jsx', '.mjs', '.cjs'].includes(file.extension)) {
-                    const deps = await this.extractJSDependencies(file, content, fileMap);
-                    dependencies.push(...deps);
-                }
-                // Python
-                else if (file.extension === '.py') {
-                    const deps = await this.extractPythonDependencies(file, content, fileMap);
-                    dependencies.push(...deps);
-                }
-                // Java
-                else if (file.extension === '.java') {
-                    const deps = await this.extractJavaDependencies(file, content, fileMap);
-                    dependencies.push(...deps);
-                }
-                // Go
-                else if (file.extension === '.go') {
-                    const deps = await this.extractGoDependencies(file, content, fileMap);
-                    dependencies.push(...deps);
-                }
-                // PHP
-                else if (file.extension === '.php') {
-                    const deps = await this.extractPHPDependencies(file, content, fileMap);
-                    dependencies.push(...deps);
-                }
-                // CSS/SCSS
-                else if (['.css', '.scss', '.sass', '.less'].includes(file.extension)) {
-                    const deps = await this.extractCSSDependencies(file, content, fileMap);
-                    dependencies.push(...deps);
-                }
-                // HTML
-                else if (['.html', '.htm'].includes(file.extension)) {
-                    const deps = await this.extractHTMLDependencies(file, content, fileMap);
-                    dependencies.push(...deps);
+                // Extract code elements
+                const codeElements = jsModule || this.extractCodeElements(content, file.extension);
+                file.functions = codeElements.functions;
+                file.variables = codeElements.variables;
+                file.classes = codeElements.classes;
+                file.exports = this.jsExtensions.includes(file.extension) ? jsModule?.exports : undefined;
+                file.defaultExport = this.jsExtensions.includes(file.extension) ? jsModule?.defaultExport : undefined;
+            }
+            
+            // Extract dependencies based on file type
+            if (jsModule && this.moduleResolver) {
+                const deps = await this.extractJSDependencies(file, jsModule, this.moduleResolver, sfc);
+                fileDeps.push(...deps);
+                file.calls = this.resolveJSCalls(file, jsModule, this.moduleResolver);
+                file.reExports = this.resolveJSReExports(file, jsModule, this.moduleResolver);
+                if (sfc) {
+                    fileDeps.push(...await this.extractSFCDependencies(file, sfc, fileMap));
                 }
-                
-                // Extract database connections from any file
-                const dbConnections = await this.extractDatabaseConnections(file, content);
-                dependencies.push(...dbConnections);
-            } catch (error) {
-                ErrorGuidelines.ANALYSIS_ERROR.log(file.path, error as Error);
             }
+            else if (file.extension === '.py' && this.pythonResolver) {
+                const deps = await this.extractPythonDependencies(file, content, this.pythonResolver);
+                fileDeps.push(...deps);
+            }
+            else if (JAVA_EXTENSIONS.includes(file.extension) && this.javaResolver) {
+                const deps = await this.extractJavaDependencies(file, content, this.javaResolver);
+                fileDeps.push(...deps);
+            }
+            else if (file.extension === '.go' && this.goResolver) {
+                const deps = await this.extractGoDependencies(file, content, this.goResolver);
+                fileDeps.push(...deps);
+            }
+            else if (file.extension === '.rs' && this.rustResolver) {
+                const deps = await this.extractRustDependencies(file, content, this.rustResolver);
+                fileDeps.push(...deps);
+            }
+            else if (this.cppResolver && [...CPP_SOURCE_EXTENSIONS, ...CPP_HEADER_EXTENSIONS].includes(file.extension)) {
+                const deps = await this.extractCppDependencies(file, content, this.cppResolver);
+                fileDeps.push(...deps);
+            }
+            else if (file.extension === '.cs' && this.csharpResolver) {
+                const deps = await this.extractCSharpDependencies(file, content, this.csharpResolver);
+                fileDeps.push(...deps);
+            }
+            else if (file.extension === '.php') {
+                const deps = await this.extractPHPDependencies(file, content, fileMap);
+                fileDeps.push(...deps);
+            }
+            else if (['.css', '.scss', '.sass', '.less'].includes(file.extension)) {
+                const deps = await this.extractCSSDependencies(file, content, fileMap);
+                fileDeps.push(...deps);
+            }
+            else if (['.html', '.htm'].includes(file.extension)) {
+                const deps = await this.extractHTMLDependencies(file, content, fileMap);
+                fileDeps.push(...deps);
+            }
+            
+            // Extract database connections
+            const dbConnections = await this.extractDatabaseConnections(file, content);
+            fileDeps.push(...dbConnections);
+            
+            const uniqueDeps = this.deduplicateDependencies(fileDeps);
+            this.analysisCache?.set(file, content, jsModule, uniqueDeps);
+            
+            return uniqueDeps;
+        } catch (error) {
+            ErrorGuidelines.ANALYSIS_ERROR.log(file.path, error as Error);
+            return [];
+        }
+    }
+
+    /**
+     * 영구 캐시에 같은 파일의 분석 결과가 있으면 파일을 다시 읽거나 파싱하지 않습니다.
+     */
+    private async analyzeFileWithCache(file: FileInfo, reuseDependencies: boolean): Promise<DependencyInfo[]> {
+        let content: string | undefined;
+        let cached = this.analysisCache?.getByStat(file);
+        if (!cached) {
+            content = await this.readFileContent(file.fullPath);
+            cached = this.analysisCache?.getByContent(file, content);
+        }
+        
+        if (!cached) {
+            return this.analyzeFile(file, content ?? '');
+        }
+        
+        file.comments = cached.comments;
+        file.description = cached.description;
+        file.functions = cached.functions;
+        file.variables = cached.variables;
+        file.classes = cached.classes;
+        file.exports = this.jsExtensions.includes(file.extension) ? cached.jsModule?.exports : undefined;
+        file.defaultExport = this.jsExtensions.includes(file.extension) ? cached.jsModule?.defaultExport : undefined;
+        // 호출 대상과 re-export 대상 파일은 import 해석 결과를 따르므로 캐시에서도 다시 해석
+        file.calls = cached.jsModule && this.moduleResolver
+            ? this.resolveJSCalls(file, cached.jsModule, this.moduleResolver)
+            : undefined;
+        file.reExports = cached.jsModule && this.moduleResolver
+            ? this.resolveJSReExports(file, cached.jsModule, this.moduleResolver)
+            : undefined;
+        
+        if (reuseDependencies) {
+            return cached.dependencies;
         }
         
-        // 모든 의존성을 분석하여 사용되는 파일 표시
-        const uniqueDeps = this.deduplicateDependencies(dependencies);
+        // 파일 구성이 바뀌었으면 JS/TS는 import 해석만 다시 수행 (컴포넌트는 템플릿과 스타일도 다시 해석)
+        if (cached.jsModule && this.moduleResolver && this.jsExtensions.includes(file.extension)) {
+            const deps = this.deduplicateDependencies([
+                ...await this.extractJSDependencies(file, cached.jsModule, this.moduleResolver),
+                ...cached.dependencies.filter(dep => dep.type === 'database')
+            ]);
+            this.analysisCache?.setDependencies(file.path, deps);
+            return deps;
+        }
         
+        return this.analyzeFile(file, content ?? await this.readFileContent(file.fullPath));
+    }
+
+    private async createLanguageResolvers(rootPath: string, languages?: Set<string>): Promise<void> {
+        if (!languages || languages.has('python')) {
+            this.pythonResolver = await PythonResolver.create(rootPath, this.fileMap);
+        }
+        if (!languages || languages.has('java')) {
+            this.javaResolver = await JavaResolver.create(rootPath, this.fileMap);
+        }
+        if (!languages || languages.has('go')) {
+            this.goResolver = await GoResolver.create(rootPath, this.fileMap);
+        }
+        if (!languages || languages.has('php')) {
+            this.phpResolver = await PhpResolver.create(rootPath, this.fileMap);
+        }
+        if (!languages || languages.has('rust')) {
+            this.rustResolver = await RustResolver.create(rootPath, this.fileMap);
+        }
+        if (!languages || languages.has('cpp')) {
+            // codesync.includePaths 는 작업 공간 폴더 기준
+            const includePaths = this.workspaceFolders.flatMap(folder => (this.getFolderOptions(folder.path).includePaths || [])
+                .map(includePath => path.isAbsolute(includePath) ? includePath : path.join(rootPath, folder.path, includePath)));
+            this.cppResolver = await CppResolver.create(rootPath, this.fileMap, includePaths);
+        }
+        if (!languages || languages.has('csharp')) {
+            this.csharpResolver = await CSharpResolver.create(rootPath, this.fileMap);
+        }
+        if (!languages || languages.has('sfc')) {
+            this.sfcResolver = SfcResolver.create(this.fileMap);
+        }
+    }
+
+    private getResolutionSignature(files: FileInfo[]): string {
+        // 파일 목록과 해석 설정 파일이 같으면 import 해석 결과도 같음
+        // Go/PHP/C# 는 다른 파일의 선언으로 엣지를 만들고, go.mod/.csproj 는 파일 목록에 없으므로 모듈/프로젝트 구성도 포함
+        const isLanguageConfig = (name: string) => LANGUAGE_RESOLVERS.some(entry => isLanguageConfigFile(entry, name));
+        const indexesDeclarations = (extension: string) => LANGUAGE_RESOLVERS.some(entry =>
+            entry.indexesDeclarations && entry.extensions.includes(extension));
+        const keys = files.map(file =>
+            this.isResolverConfig(file.name) || isLanguageConfig(file.name) || indexesDeclarations(file.extension)
+                ? `${file.path}:${file.lastModified.getTime()}:${file.size}`
+                : file.path);
+        keys.push(`go:${this.goResolver?.getSignature() || ''}`);
+        keys.push(`csharp:${this.csharpResolver?.getSignature() || ''}`);
+        // 해석 결과를 바꾸는 작업 공간 설정 (include 디렉터리, 추가 확장자, 진입점)
+        const { additionalExtensions } = this.options;
+        keys.push(`options:${JSON.stringify([additionalExtensions || [], this.getEntryPatterns()])}`);
+        this.workspaceFolders.forEach(folder => keys.push(`includePaths:${folder.path}:${JSON.stringify(this.getFolderOptions(folder.path).includePaths || [])}`));
+        return AnalysisCache.hash(keys.sort().join('\n'));
+    }
+
+    /** codesync.entryPoints 패턴 (작업 공간 폴더 기준이므로 다중 루트는 폴더 경로를 붙임) */
+    private getEntryPatterns(): string[] {
+        return this.workspaceFolders.flatMap(folder => (this.getFolderOptions(folder.path).entryPoints || []).map(pattern => {
+            if (!folder.path) {
+                return pattern;
+            }
+            return pattern.replace(/\/$/, '').includes('/')
+                ? `${folder.path}/${pattern.replace(/^\//, '')}`
+                : `${folder.path}/**/${pattern}`;
+        }));
+    }
+
+    private async saveCache(): Promise<void> {
+        if (this.analysisCache && this.structure) {
+            const allFiles = Array.from(this.fileMap.values());
+            await this.analysisCache.save(this.getResolutionSignature(allFiles), this.fileMap.keys());
+        }
+    }
+
+    private updateFileUsage(files: FileInfo[], dependencies: DependencyInfo[]): void {
+        const usedFiles = new Set<string>();
         // 참조 횟수 계산을 위한 맵
         const referenceCountMap = new Map<string, number>();
+        // 진입점에서 도달 가능성을 계산하기 위한 인접 목록
+        const dependencyMap = new Map<string, string[]>();
         
-        uniqueDeps.forEach(dep => {
+        dependencies.forEach(dep => {
             usedFiles.add(dep.to);
-            // 참조 횟수 증가
             referenceCountMap.set(dep.to, (referenceCountMap.get(dep.to) || 0) + 1);
         });
-        
-        // 각 파일의 isUsed 속성과 referenceCount 설정
-        // 파일이 다른 파일을 import하는지 확인하기 위한 맵
-        const filesWithDependencies = new Set<string>();
-        uniqueDeps.forEach(dep => {
-            filesWithDependencies.add(dep.from);
+        // 범위 분석에서는 경계 노드로 묶기 전의 엣지와 범위 밖 파일의 엣지를 따라감
+        const edges = this.scope
+            ? [...this.fileDependencies.values(), ...this.outsideDependencies.values()].flat()
+            : dependencies;
+        edges.forEach(dep => {
+            dependencyMap.set(dep.from, [...(dependencyMap.get(dep.from) || []), dep.to]);
         });
         
         files.forEach(file => {
-            // 파일이 사용되지 않는 것으로 간주되는 조건:
-            // 1. 다른 파일에서 참조되지 않음 (referenceCount === 0)
-            // 2. 다른 파일을 import하지 않음 (독립적)
-            const hasNoDependencies = !filesWithDependencies.has(file.path);
-            const notReferenced = !usedFiles.has(file.path);
-            
-            file.isUsed = !(hasNoDependencies && notReferenced);
+            file.isEntryPoint = this.entryPoints.has(file.path) || undefined;
             file.referenceCount = referenceCountMap.get(file.path) || 0;
         });
         
-        return uniqueDeps;
-    }
-
-    private async analyzeDependenciesParallel(files: FileInfo[]): Promise<DependencyInfo[]> {
-        const dependencies: DependencyInfo[] = [];
-        const fileMap = new Map(files.map(f => [f.path, f]));
-        const usedFiles = new Set<string>();
-        
-        // Process files in parallel batches
-        const BATCH_SIZE = 20;
-        const batches = [];
+        // 참조도 하지 않고 참조되지도 않는 독립 파일
+        const isIsolated = (file: FileInfo) => !dependencyMap.has(file.path) && !usedFiles.has(file.path);
         
-        for (let i = 0; i < files.length; i += BATCH_SIZE) {
-            const batch = files.slice(i, i + BATCH_SIZE);
-            batches.push(batch);
+        // 진입점을 찾지 못하면 독립 파일만 사용하지 않는 것으로 간주
+        if (this.entryPoints.size === 0) {
+            files.forEach(file => {
+                file.isUsed = !isIsolated(file);
+            });
+            return;
         }
         
-        for (const batch of batches) {
-            const batchPromises = batch.map(async (file) => {
-                try {
-                    const content = await this.readFileContent(file.fullPath);
-                    this.fileCache.set(file.path, content);
-                    
-                    const fileDeps: DependencyInfo[] = [];
-                    
-                    // Extract comments and file description
-                    if (this.supportedExtensions.includes(file.extension)) {
-                        file.comments = this.extractComments(content, file.extension);
-                        file.description = this.generateFileDescription(file, content);
-                        
-                        // Extract code elements
-                        const codeElements = this.extractCodeElements(content, file.extension);
-                        file.functions = codeElements.functions;
-                        file.variables = codeElements.variables;
-                        file.classes = codeElements.classes;
-                    }
-                    
-                    // Extract dependencies based on file type
-                    if (['.ts', '.js', '.tsx', '.jsx', '.mjs', '.cjs'].includes(file.extension)) {
-                        const deps = await this.extractJSDependencies(file, content, fileMap);
-                        fileDeps.push(...deps);
-                    }
-                    else if (file.extension === '.py') {
-                        const deps = await this.extractPythonDependencies(file, content, fileMap);
-                        fileDeps.push(...deps);
-                    }
-                    else if (file.extension === '.java') {
-                        const deps = await this.extractJavaDependencies(file, content, fileMap);
-                        fileDeps.push(...deps);
-                    }
-                    else if (file.extension === '.go') {
-                        const deps = await this.extractGoDependencies(file, content, fileMap);
-                        fileDeps.push(...deps);
-                    }
-                    else if (file.extension === '.php') {
-                        const deps = await this.extractPHPDependencies(file, content, fileMap);
-                        fileDeps.push(...deps);
-                    }
-                    else if (['.css', '.scss', '.sass', '.less'].includes(file.extension)) {
-                        const deps = await this.extractCSSDependencies(file, content, fileMap);
-                        fileDeps.push(...deps);
-                    }
-                    else if (['.html', '.htm'].includes(file.extension)) {
-                        const deps = await this.extractHTMLDependencies(file, content, fileMap);
-                        fileDeps.push(...deps);
-                    }
-                    
-                    // Extract database connections
-                    const dbConnections = await this.extractDatabaseConnections(file, content);
-                    fileDeps.push(...dbConnections);
-                    
-                    return fileDeps;
-                } catch (error) {
-                    ErrorGuidelines.ANALYSIS_ERROR.log(file.path, error as Error);
-                    return [];
+        // 진입점에서 import/include/script 등의 엣지를 따라 도달할 수 있는 파일만 사용 중
+        const reachable = new Set(this.entryPoints);
+        const queue = Array.from(this.entryPoints);
+        for (let current = queue.pop(); current !== undefined; current = queue.pop()) {
+            for (const target of dependencyMap.get(current) || []) {
+                if (!reachable.has(target)) {
+                    reachable.add(target);
+                    queue.push(target);
                 }
-            });
-            
-            const batchResults = await Promise.all(batchPromises);
-            batchResults.forEach(deps => dependencies.push(...deps));
+            }
         }
         
-        // Deduplicate and calculate usage
-        const uniqueDeps = this.deduplicateDependencies(dependencies);
-        
-        // Calculate reference counts
-        const referenceCountMap = new Map<string, number>();
-        
-        uniqueDeps.forEach(dep => {
-            usedFiles.add(dep.to);
-            referenceCountMap.set(dep.to, (referenceCountMap.get(dep.to) || 0) + 1);
-        });
-        
-        // Identify files with dependencies
-        const filesWithDependencies = new Set<string>();
-        uniqueDeps.forEach(dep => {
-            filesWithDependencies.add(dep.from);
-        });
-        
-        // Set isUsed and referenceCount for each file
+        // 도달 가능성은 진입점이 있는 언어의 소스 파일에만 적용 (C# 처럼 진입점을 못 찾은 언어는 독립 파일만 표시)
+        const languages = new Set(Array.from(this.entryPoints, entry => getSourceLanguage(path.extname(entry))));
         files.forEach(file => {
-            const hasNoDependencies = !filesWithDependencies.has(file.path);
-            const notReferenced = !usedFiles.has(file.path);
-            
-            file.isUsed = !(hasNoDependencies && notReferenced);
-            file.referenceCount = referenceCountMap.get(file.path) || 0;
+            const language = getSourceLanguage(file.extension);
+            if (!language) {
+                file.isUsed = undefined; // 설정, 문서, 데이터 파일은 판단하지 않음
+            } else {
+                file.isUsed = languages.has(language) ? reachable.has(file.path) : !isIsolated(file);
+            }
         });
-        
-        return uniqueDeps;
     }
 
     private async readFileContent(filePath: string): Promise<string> {
+        if (ASSET_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+            return '';
+        }
         try {
             return await fs.readFile(filePath, 'utf-8');
         } catch (error) {
@@ -449,51 +1500,44 @@ export class ProjectAnalyzer {
 
     private async extractJSDependencies(
         file: FileInfo, 
-        content: string, 
-        fileMap: Map<string, FileInfo>
+        jsModule: ParsedJSModule, 
+        moduleResolver: ModuleResolver,
+        sfc?: ParsedSFC
     ): Promise<DependencyInfo[]> {
         const dependencies: DependencyInfo[] = [];
         
-        // ES6 imports
-        const importRegex = /import\s+(?:(?:\{[^}]*\}|\*\s+as\s+\w+|\w+)\s+from\s+)?['"]([^'"]+)['"]/g;
-        // CommonJS requires
-        const requireRegex = /require\s*\(['"]([^'"]+)['"]\)/g;
-        // Dynamic imports
-        const dynamicImportRegex = /import\s*\(['"]([^'"]+)['"]\)/g;
-        
-        const allMatches = [
-            ...content.matchAll(importRegex),
-            ...content.matchAll(requireRegex),
-            ...content.matchAll(dynamicImportRegex)
-        ];
-        
-        for (const match of allMatches) {
-            const importPath = match[1];
+        for (const parsedImport of jsModule.imports) {
+            const importPath = parsedImport.specifier;
+            // export ... from 은 재export 관계, 이미지/폰트 import 는 에셋으로 표시
+            const type = parsedImport.kind === 'export' ? 'export'
+                : ASSET_EXTENSIONS.includes(path.extname(importPath).toLowerCase()) ? 'asset' : 'import';
+            const edge = {
+                specifiers: parsedImport.importedNames,
+                usedSpecifiers: sfc ? this.getSFCUsedNames(parsedImport, sfc) : parsedImport.usedNames,
+                isTypeOnly: parsedImport.isTypeOnly
+            };
             
-            if (importPath.startsWith('.') || importPath.startsWith('/')) {
-                // 내부 파일 import
-                const resolvedPath = this.resolveImportPath(file.path, importPath);
-                const variations = this.getPathVariations(resolvedPath);
-                
-                let found = false;
-                for (const variant of variations) {
-                    if (fileMap.has(variant)) {
-                        dependencies.push({
-                            from: file.path,
-                            to: variant,
-                            type: 'import'
-                        });
-                        found = true;
-                        break;
-                    }
-                }
-                
-                // 파일이 프로젝트에 없더라도 import 추적
-                if (!found) {
+            // 상대 경로, paths 별칭, 워크스페이스 패키지를 내부 파일로 해석
+            const resolved = moduleResolver.resolve(file.path, importPath);
+            
+            if (resolved) {
+                dependencies.push({
+                    from: file.path,
+                    // 파일이 프로젝트에 없더라도 import 추적
+                    to: resolved.found ? resolved.path : `[Missing] ${resolved.path}`,
+                    type,
+                    ...edge
+                });
+
+                // import 한 이름을 extends/implements 에 쓰면 상속 관계도 표시
+                const parents = parsedImport.localNames.filter(name => jsModule.heritage.includes(name));
+                if (resolved.found && parents.length > 0) {
                     dependencies.push({
                         from: file.path,
-                        to: `[Missing] ${resolvedPath}`,
-                        type: 'import'
+                        to: resolved.path,
+                        type: 'inheritance',
+                        specifiers: parents,
+                        isTypeOnly: parsedImport.isTypeOnly
                     });
                 }
             } else {
@@ -501,72 +1545,176 @@ export class ProjectAnalyzer {
                 dependencies.push({
                     from: file.path,
                     to: `[External] ${importPath}`,
-                    type: 'import'
+                    type,
+                    ...edge
                 });
             }
         }
         
+        // path.join(context.extensionPath, 'media', 'diagram.js') 처럼 런타임에 읽는 파일
+        // '..' 로 시작하면 이 파일 기준, 아니면 기준 디렉터리를 알 수 없으므로 이 파일의 디렉터리부터 상위로 올라가며 찾음
+        const dirs = path.posix.dirname(file.path).split('/').filter(segment => segment !== '.');
+        const searchDirs = [...dirs.map((_, index) => dirs.slice(0, dirs.length - index).join('/')), ''];
+        for (const filePath of jsModule.filePaths) {
+            const target = (filePath.startsWith('..') ? [path.posix.join(dirs.join('/'), filePath)] : searchDirs
+                .map(dir => dir ? `${dir}/${filePath}` : filePath))
+                .find(candidate => this.fileMap.has(candidate));
+            if (target && target !== file.path) {
+                dependencies.push({ from: file.path, to: target, type: 'asset' });
+            }
+        }
+        
         return dependencies;
     }
 
-    private async extractPythonDependencies(
+    /**
+     * 함수 호출을 호출된 함수가 정의된 파일로 해석합니다.
+     * import 한 이름과 네임스페이스 멤버는 가져온 파일로, 같은 파일의 함수와 this 메서드는 이 파일로 연결합니다.
+     */
+    private resolveJSCalls(file: FileInfo, jsModule: ParsedJSModule, moduleResolver: ModuleResolver): CallInfo[] {
+        // import 바인딩 이름 -> 가져온 파일과 그 파일에서의 이름
+        const bindings = new Map<string, { file: string; name: string }>();
+        for (const parsedImport of jsModule.imports) {
+            const { localNames, importedNames } = parsedImport;
+            if (localNames.length === 0 || localNames.length !== importedNames.length) {
+                continue;
+            }
+            const resolved = moduleResolver.resolve(file.path, parsedImport.specifier);
+            if (resolved?.found) {
+                localNames.forEach((local, index) => bindings.set(local, { file: resolved.path, name: importedNames[index] }));
+            }
+        }
+
+        const calls: CallInfo[] = [];
+        for (const call of jsModule.calls) {
+            const binding = bindings.get(call.object || call.callee);
+            if (!call.object) {
+                if (binding && binding.name !== '*') {
+                    calls.push({ caller: call.caller, callee: binding.name, file: binding.file });
+                } else if (jsModule.functions.includes(call.callee)) {
+                    calls.push({ caller: call.caller, callee: call.callee, file: file.path });
+                }
+            } else if (call.object === 'this') {
+                // Class.method 안의 this.other() 는 같은 클래스의 메서드
+                const className = call.caller.includes('.') ? call.caller.split('.')[0] : undefined;
+                if (className) {
+                    calls.push({ caller: call.caller, callee: `${className}.${call.callee}`, file: file.path });
+                }
+            } else if (binding && binding.name === '*') {
+                calls.push({ caller: call.caller, callee: call.callee, file: binding.file });
+            } else if (jsModule.classes.includes(call.object)) {
+                calls.push({ caller: call.caller, callee: `${call.object}.${call.callee}`, file: file.path });
+            }
+        }
+        return calls;
+    }
+
+    /** export ... from 으로 내보내는 이름을 가져온 파일로 해석합니다. */
+    private resolveJSReExports(file: FileInfo, jsModule: ParsedJSModule, moduleResolver: ModuleResolver): ReExportInfo[] {
+        const reExports: ReExportInfo[] = [];
+        for (const parsedImport of jsModule.imports) {
+            const { exportedNames, importedNames } = parsedImport;
+            const resolved = exportedNames && moduleResolver.resolve(file.path, parsedImport.specifier);
+            if (exportedNames && resolved && resolved.found) {
+                exportedNames.forEach((name, index) => reExports.push({ name, importedName: importedNames[index], file: resolved.path }));
+            }
+        }
+        return reExports;
+    }
+
+    /** 컴포넌트 템플릿에서 쓰는 이름은 스크립트 AST 에 없으므로 템플릿에서 참조한 import 이름을 더합니다. */
+    private getSFCUsedNames(parsedImport: ParsedImport, sfc: ParsedSFC): string[] {
+        const used = new Set(parsedImport.usedNames);
+        const templateNames = Array.from(sfc.templateNames);
+        parsedImport.localNames.forEach((local, index) => {
+            const importedName = parsedImport.importedNames[index];
+            const members = templateNames
+                .filter(name => name.startsWith(`${local}.`))
+                .map(name => name.slice(local.length + 1));
+            if (importedName !== '*') {
+                if (sfc.templateNames.has(local) || members.length > 0) {
+                    used.add(importedName);
+                }
+            } else if (sfc.templateNames.has(local)) {
+                // 네임스페이스를 그대로 넘기면 전체, 아니면 템플릿에서 접근한 멤버
+                used.add('*');
+            } else {
+                members.forEach(member => used.add(member));
+            }
+        });
+        return Array.from(used);
+    }
+
+    private async extractSFCDependencies(
         file: FileInfo, 
-        content: string, 
+        sfc: ParsedSFC, 
         fileMap: Map<string, FileInfo>
     ): Promise<DependencyInfo[]> {
         const dependencies: DependencyInfo[] = [];
         
-        // Python imports
-        const importRegex = /(?:from\s+([\w.]+)\s+import|import\s+([\w.]+))/g;
-        let match;
+        // 템플릿의 자식 컴포넌트 (import 한 컴포넌트는 스크립트의 import 엣지로 이미 연결됨)
+        for (const tag of sfc.components) {
+            if (sfc.localNames.has(tag.split('.')[0])) {
+                continue;
+            }
+            const resolved = this.sfcResolver?.resolveComponent(file.path, tag);
+            if (resolved) {
+                dependencies.push({ from: file.path, to: resolved, type: 'import', specifiers: ['default'] });
+            }
+        }
         
-        while ((match = importRegex.exec(content)) !== null) {
-            const importPath = match[1] || match[2];
-            if (importPath.startsWith('.')) {
-                const resolvedPath = this.resolvePythonImportPath(file.path, importPath);
-                const variations = this.getPathVariations(resolvedPath);
-                
-                for (const variant of variations) {
-                    if (fileMap.has(variant)) {
-                        dependencies.push({
-                            from: file.path,
-                            to: variant,
-                            type: 'import'
-                        });
-                        break;
-                    }
-                }
+        // <script src> / <style src>
+        for (const source of sfc.sources) {
+            const resolved = this.moduleResolver?.resolve(file.path, source.src);
+            if (resolved?.found) {
+                dependencies.push({ from: file.path, to: resolved.path, type: source.block === 'style' ? 'stylesheet' : 'script' });
             }
         }
         
+        // <style> 블록의 @import
+        for (const style of sfc.styles) {
+            dependencies.push(...await this.extractCSSDependencies(file, style, fileMap));
+        }
+        
         return dependencies;
     }
 
-    private async extractJavaDependencies(
+    private async extractPythonDependencies(
         file: FileInfo, 
         content: string, 
-        fileMap: Map<string, FileInfo>
+        pythonResolver: PythonResolver
     ): Promise<DependencyInfo[]> {
         const dependencies: DependencyInfo[] = [];
+        const bases = parsePythonBaseClasses(content);
         
-        // Java imports
-        const importRegex = /import\s+(?:static\s+)?[\w.]+\.(\w+);/g;
-        const packageRegex = /package\s+([\w.]+);/;
-        
-        const packageMatch = content.match(packageRegex);
-        const currentPackage = packageMatch ? packageMatch[1] : '';
-        
-        let match;
-        while ((match = importRegex.exec(content)) !== null) {
-            const className = match[1];
-            // Try to find the file in the project
-            for (const [path, f] of fileMap) {
-                if (f.name === `${className}.java`) {
+        // 상대 import와 프로젝트 패키지의 절대 import (외부 모듈은 제외)
+        for (const pythonImport of parsePythonImports(content)) {
+            for (const resolved of pythonResolver.resolve(file.path, pythonImport)) {
+                if (resolved.path !== file.path) {
                     dependencies.push({
                         from: file.path,
-                        to: path,
-                        type: 'import'
+                        to: resolved.path,
+                        type: 'import',
+                        specifiers: resolved.names
                     });
+                    // 가져온 이름(Base)이나 모듈 전체(from app import models 의 models.Base, import app.models 의 app.models.Base)를 상속
+                    // 별칭(from x import Base as B, import app.models as m)은 가져온 이름으로 바꿔서 비교
+                    const toImported = (base: string) => {
+                        const [head, ...rest] = base.split('.');
+                        const index = pythonImport.localNames.indexOf(head);
+                        const imported = index !== -1 ? pythonImport.names[index]
+                            : pythonImport.alias === head ? pythonImport.module : head;
+                        return [imported, ...rest].join('.');
+                    };
+                    const parents = bases.filter(written => {
+                        const base = toImported(written);
+                        return resolved.names.includes(base) ||
+                            (resolved.names.includes('*') && (pythonImport.names.includes(base.split('.')[0]) ||
+                                (pythonImport.names.length === 0 && base.startsWith(`${pythonImport.module}.`))));
+                    });
+                    if (parents.length > 0) {
+                        dependencies.push({ from: file.path, to: resolved.path, type: 'inheritance', specifiers: parents });
+                    }
                 }
             }
         }
@@ -574,44 +1722,89 @@ export class ProjectAnalyzer {
         return dependencies;
     }
 
-    private async extractGoDependencies(
+    private async extractJavaDependencies(
         file: FileInfo, 
         content: string, 
-        fileMap: Map<string, FileInfo>
+        javaResolver: JavaResolver
     ): Promise<DependencyInfo[]> {
+        const source = file.extension === '.kt' ? parseKotlinSource(content) : parseJavaSource(content);
         const dependencies: DependencyInfo[] = [];
-        
-        // Go imports
-        const importRegex = /import\s+(?:\(\s*((?:[^)]+))\s*\)|"([^"]+)")/g;
-        let match;
-        
-        while ((match = importRegex.exec(content)) !== null) {
-            const imports = match[1] || match[2];
-            const importPaths = imports.match(/"([^"]+)"/g) || [`"${imports}"`];
-            
-            for (const imp of importPaths) {
-                const importPath = imp.replace(/"/g, '');
-                if (importPath.startsWith('./') || importPath.startsWith('../')) {
-                    const resolvedPath = this.resolveImportPath(file.path, importPath);
-                    const variations = this.getPathVariations(resolvedPath);
-                    
-                    for (const variant of variations) {
-                        if (fileMap.has(variant)) {
-                            dependencies.push({
-                                from: file.path,
-                                to: variant,
-                                type: 'import'
-                            });
-                            break;
-                        }
-                    }
-                }
+        // 정규화된 이름의 import, 같은 패키지 참조, 와일드카드 import 로 사용한 클래스
+        javaResolver.resolve(file.path, source).forEach(resolved => {
+            dependencies.push({
+                from: file.path,
+                to: resolved.path,
+                type: 'import',
+                specifiers: resolved.names
+            });
+            // extends/implements 로 쓴 클래스는 상속 관계도 표시
+            const parents = resolved.names.filter(name => source.supertypes.some(supertype => getSimpleName(supertype) === name));
+            if (parents.length > 0) {
+                dependencies.push({ from: file.path, to: resolved.path, type: 'inheritance', specifiers: parents });
             }
-        }
-        
+        });
         return dependencies;
     }
 
+    private async extractGoDependencies(
+        file: FileInfo, 
+        content: string, 
+        goResolver: GoResolver
+    ): Promise<DependencyInfo[]> {
+        // go.mod 모듈 경로 아래의 패키지 import 를 사용한 이름이 선언된 파일로 연결 (표준/외부 패키지는 제외)
+        const resolved = await goResolver.resolve(file.path, parseGoSource(content));
+        return resolved.map(target => ({
+            from: file.path,
+            to: target.path,
+            type: 'import',
+            specifiers: target.names
+        }));
+    }
+
+    private async extractRustDependencies(
+        file: FileInfo, 
+        content: string, 
+        rustResolver: RustResolver
+    ): Promise<DependencyInfo[]> {
+        // mod 선언은 모듈 파일로, crate::/super::/self:: 와 워크스페이스 크레이트 경로는 해당 모듈 파일로 연결
+        return rustResolver.resolve(file.path, parseRustSource(content)).map(resolved => ({
+            from: file.path,
+            to: resolved.path,
+            type: resolved.type,
+            specifiers: resolved.names
+        }));
+    }
+
+    private async extractCSharpDependencies(
+        file: FileInfo, 
+        content: string, 
+        csharpResolver: CSharpResolver
+    ): Promise<DependencyInfo[]> {
+        // using 한 네임스페이스와 현재 네임스페이스의 형식 참조는 선언한 파일로, 기반 클래스/인터페이스는 상속 엣지로 연결
+        return csharpResolver.resolve(file.path, parseCSharpSource(content)).map(resolved => ({
+            from: file.path,
+            to: resolved.path,
+            type: resolved.type,
+            specifiers: resolved.names
+        }));
+    }
+
+    private async extractCppDependencies(
+        file: FileInfo, 
+        content: string, 
+        cppResolver: CppResolver
+    ): Promise<DependencyInfo[]> {
+        // include 디렉터리로 찾은 프로젝트 헤더, 찾지 못한 <...> 는 시스템 헤더로 분리
+        return parseIncludes(content).map(include => {
+            const resolved = cppResolver.resolve(file.path, include);
+            return {
+                from: file.path,
+                to: resolved || `${include.system ? '[System]' : '[Missing]'} ${include.path}`,
+                type: 'include' as const
+            };
+        });
+    }
+
     private async extractPHPDependencies(
         file: FileInfo, 
         content: string, 
@@ -621,8 +1814,6 @@ export class ProjectAnalyzer {
         
         // PHP includes/requires
         const includeRegex = /(?:include|require|include_once|require_once)\s*\(?['"]([^'"]+)['"]\)?/g;
-        // PHP use statements
-        const useRegex = /use\s+([\w\\]+)(?:\s+as\s+\w+)?;/g;
         
         let match;
         while ((match = includeRegex.exec(content)) !== null) {
@@ -644,6 +1835,16 @@ export class ProjectAnalyzer {
             }
         }
         
+        // composer autoload 로 해석한 use 문/클래스 참조와 extends/implements/trait
+        if (this.phpResolver) {
+            this.phpResolver.resolve(file.path, parsePhpSource(content)).forEach(resolved => dependencies.push({
+                from: file.path,
+                to: resolved.path,
+                type: resolved.type,
+                specifiers: resolved.names
+            }));
+        }
+        
         return dependencies;
     }
 
@@ -653,77 +1854,166 @@ export class ProjectAnalyzer {
         fileMap: Map<string, FileInfo>
     ): Promise<DependencyInfo[]> {
         const dependencies: DependencyInfo[] = [];
-        
-        // CSS @import
-        const importRegex = /@import\s+(?:url\s*\()?\s*['"]([^'"]+)['"]/g;
-        
-        let match;
-        while ((match = importRegex.exec(content)) !== null) {
-            const importPath = match[1];
-            if (!importPath.startsWith('http') && !importPath.startsWith('//')) {
-                const resolvedPath = this.resolveImportPath(file.path, importPath);
-                const variations = this.getPathVariations(resolvedPath);
-                
-                for (const variant of variations) {
-                    if (fileMap.has(variant)) {
-                        dependencies.push({
-                            from: file.path,
-                            to: variant,
-                            type: 'import'
-                        });
-                        break;
-                    }
+        const isRemote = (request: string) => /^(?:[a-z]+:|\/\/)/i.test(request);
+        // 주석 제외 (url(//cdn...) 과 http:// 는 주석이 아님)
+        const source = content.replace(/\/\*[\s\S]*?\*\/|(?<![:(\w'"])\/\/.*$/gm, '');
+        
+        // CSS @import (쉼표로 여러 개, url() 형식 포함), Sass @use / @forward
+        const importRegex = /@(import|use|forward)\s+([^;{}\n]+)/g;
+        for (const match of source.matchAll(importRegex)) {
+            const requests = Array.from(match[2].matchAll(/['"]([^'"]+)['"]|url\(\s*([^'")\s]+)\s*\)/g), request => request[1] || request[2]);
+            // @use 'a' with ($x: 'b') 의 설정 값은 경로가 아님
+            for (const request of match[1] === 'import' ? requests : requests.slice(0, 1)) {
+                if (isRemote(request)) {
+                    continue;
                 }
+                const resolved = this.resolveStylesheet(file, request, fileMap);
+                if (resolved) {
+                    dependencies.push({ from: file.path, to: resolved, type: 'import' });
+                }
+            }
+        }
+        
+        // url() 로 참조한 이미지/폰트
+        for (const match of source.replace(importRegex, '').matchAll(/url\(\s*(['"]?)([^'")]+?)\1\s*\)/g)) {
+            const request = match[2].replace(/[?#].*$/, '');
+            // data URI, 외부 주소, Sass/Less 변수 보간은 제외
+            if (!request || isRemote(request) || /[$@]|#\{/.test(match[2])) {
+                continue;
+            }
+            // CSS 의 url(a.png) 은 상대 경로, 루트 경로(/img/a.png)는 정적 파일 디렉터리(public/)도 확인
+            const specifier = request.startsWith('~') ? request.slice(1)
+                : /^[./]/.test(request) ? request : `./${request}`;
+            const specifiers = specifier.startsWith('/') ? [specifier, `/public${specifier}`] : [specifier];
+            const resolved = specifiers
+                .map(candidate => this.moduleResolver?.resolve(file.path, candidate))
+                .find(candidate => candidate?.found);
+            if (resolved) {
+                dependencies.push({ from: file.path, to: resolved.path, type: 'asset' });
             }
         }
         
         return dependencies;
     }
 
+    /**
+     * Sass/Less 의 불러오기 규칙으로 스타일시트를 찾습니다.
+     * 확장자 생략, 부분 파일(_name.scss), 디렉터리의 _index/index 파일과
+     * node_modules 를 가리키는 `~` 접두사(경로 별칭과 워크스페이스 패키지는 내부 파일로)를 처리합니다.
+     */
+    private resolveStylesheet(file: FileInfo, request: string, fileMap: Map<string, FileInfo>): string | undefined {
+        if (request.startsWith('sass:')) {
+            return undefined;
+        }
+        let basePath = this.resolveImportPath(file.path, request);
+        if (request.startsWith('~')) {
+            const resolved = this.moduleResolver?.resolve(file.path, request.slice(1));
+            if (!resolved) {
+                return `[External] ${request.slice(1)}`;
+            }
+            basePath = resolved.path;
+        }
+        
+        const extensions = file.extension === '.less' ? ['.less', '.css'] : ['.scss', '.sass', '.css'];
+        const dir = path.posix.dirname(basePath);
+        const name = path.posix.basename(basePath);
+        const withExtension = extensions.includes(path.posix.extname(name));
+        const variations = withExtension
+            ? [basePath, path.posix.join(dir, `_${name}`)]
+            : [
+                ...extensions.flatMap(extension => [`${basePath}${extension}`, path.posix.join(dir, `_${name}${extension}`)]),
+                ...extensions.flatMap(extension => ['_index', 'index'].map(index => path.posix.join(basePath, `${index}${extension}`)))
+            ];
+        return variations.find(variant => fileMap.has(variant));
+    }
+
     private async extractHTMLDependencies(
         file: FileInfo, 
         content: string, 
         fileMap: Map<string, FileInfo>
     ): Promise<DependencyInfo[]> {
         const dependencies: DependencyInfo[] = [];
+        const source = content.replace(/<!--[\s\S]*?-->/g, '');
+        const getAttribute = (attributes: string, name: string) =>
+            attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'))
+                ?.slice(1).find(value => value !== undefined);
+        
+        // 태그별로 참조하는 속성과 기본 엣지 종류 (이미지/폰트 대상은 항상 에셋)
+        const references: Record<string, { attributes: string[]; type: DependencyInfo['type'] }> = {
+            script: { attributes: ['src'], type: 'script' },
+            link: { attributes: ['href'], type: 'stylesheet' },
+            img: { attributes: ['src', 'srcset'], type: 'asset' },
+            source: { attributes: ['src', 'srcset'], type: 'asset' },
+            video: { attributes: ['poster'], type: 'asset' },
+            input: { attributes: ['src'], type: 'asset' },
+            a: { attributes: ['href'], type: 'navigation' },
+            area: { attributes: ['href'], type: 'navigation' },
+            iframe: { attributes: ['src'], type: 'navigation' },
+            frame: { attributes: ['src'], type: 'navigation' }
+        };
         
-        // Script tags
-        const scriptRegex = /<script[^>]*src=['"]([^'"]+)['"]/g;
-        // Link tags (CSS)
-        const linkRegex = /<link[^>]*href=['"]([^'"]+)['"]/g;
-        // Import statements in script tags
-        const moduleRegex = /<script[^>]*type=['"]module['"][^>]*>[\s\S]*?<\/script>/g;
-        
-        const patterns = [
-            { regex: scriptRegex, type: 'script' },
-            { regex: linkRegex, type: 'stylesheet' }
-        ];
-        
-        for (const pattern of patterns) {
-            let match;
-            while ((match = pattern.regex.exec(content)) !== null) {
-                const srcPath = match[1];
-                if (!srcPath.startsWith('http') && !srcPath.startsWith('//')) {
-                    const resolvedPath = this.resolveImportPath(file.path, srcPath);
-                    const variations = this.getPathVariations(resolvedPath);
-                    
-                    for (const variant of variations) {
-                        if (fileMap.has(variant)) {
-                            dependencies.push({
-                                from: file.path,
-                                to: variant,
-                                type: pattern.type as 'script' | 'stylesheet'
-                            });
-                            break;
-                        }
+        for (const match of source.matchAll(/<([a-z][\w-]*)\b([^>]*)>/gi)) {
+            const reference = references[match[1].toLowerCase()];
+            if (!reference) {
+                continue;
+            }
+            for (const attribute of reference.attributes) {
+                const value = getAttribute(match[2], attribute);
+                // srcset 은 '경로 크기' 목록
+                const urls = attribute === 'srcset'
+                    ? (value || '').split(',').map(candidate => candidate.trim().split(/\s+/)[0])
+                    : [value];
+                for (const url of urls) {
+                    const target = url ? this.resolveHTMLReference(file.path, url, fileMap) : undefined;
+                    if (!target || target === file.path) {
+                        continue;
                     }
+                    const extension = path.posix.extname(target).toLowerCase();
+                    const type = ASSET_EXTENSIONS.includes(extension) ? 'asset'
+                        : ['.html', '.htm'].includes(extension) ? 'navigation'
+                        : match[1].toLowerCase() === 'link' && this.jsExtensions.includes(extension) ? 'script'
+                        : reference.type;
+                    dependencies.push({ from: file.path, to: target, type });
                 }
             }
         }
         
+        // 인라인 스크립트(type="module" 포함)와 이벤트 핸들러 속성의 import / import()
+        const inlineScripts = Array.from(source.matchAll(/<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi))
+            .filter(([, attributes]) => !getAttribute(attributes, 'src') &&
+                /^(?:module|text\/javascript|application\/javascript)?$/i.test(getAttribute(attributes, 'type') || ''))
+            .map(match => match[2]);
+        const handlers = Array.from(source.matchAll(/\son[a-z]+\s*=\s*(?:"([^"]*)"|'([^']*)')/gi), match => match[1] ?? match[2]);
+        if (this.moduleResolver && inlineScripts.length + handlers.length > 0) {
+            const jsModule = parseJSModule(`${file.path}.js`, [...inlineScripts, ...handlers].join(';\n'));
+            dependencies.push(...await this.extractJSDependencies(file, jsModule, this.moduleResolver));
+        }
+        
         return dependencies;
     }
 
+    /**
+     * HTML 의 src/href 를 프로젝트 파일로 해석합니다.
+     * 루트 경로(/about.html), 확장자를 생략한 페이지(about -> about.html), 디렉터리(blog/ -> blog/index.html)를 처리합니다.
+     */
+    private resolveHTMLReference(fromPath: string, url: string, fileMap: Map<string, FileInfo>): string | undefined {
+        const reference = url.trim().replace(/[?#].*$/, '');
+        // 외부 주소, mailto:/tel:/javascript:/data:, 템플릿 변수는 제외
+        if (!reference || /^(?:[a-z][\w+.-]*:|\/\/)/i.test(reference) || /[{}<>$]/.test(reference)) {
+            return undefined;
+        }
+        let basePath: string;
+        try {
+            basePath = reference.startsWith('/')
+                ? path.posix.normalize(decodeURI(reference).slice(1))
+                : this.resolveImportPath(fromPath, decodeURI(reference));
+        } catch {
+            return undefined;
+        }
+        return [basePath, `${basePath}.html`, path.posix.join(basePath, 'index.html')]
+            .find(candidate => fileMap.has(candidate));
+    }
+
     private async extractDatabaseConnections(
         file: FileInfo, 
         content: string
@@ -790,14 +2080,6 @@ export class ProjectAnalyzer {
         return path.normalize(resolved).replace(/\\/g, '/');
     }
 
-    private resolvePythonImportPath(fromPath: string, importPath: string): string {
-        const fromDir = path.dirname(fromPath);
-        const parts = importPath.split('.');
-        parts.shift(); // Remove leading dot
-        const resolved = path.join(fromDir, ...parts);
-        return path.normalize(resolved).replace(/\\/g, '/');
-    }
-
     private getPathVariations(basePath: string): string[] {
         const variations = [basePath];
         const ext = path.extname(basePath);
@@ -834,9 +2116,18 @@ export class ProjectAnalyzer {
         const unique = new Map<string, DependencyInfo>();
         
         for (const dep of dependencies) {
-            const key = `${dep.from}::${dep.to}::${dep.type}`;
-            if (!unique.has(key)) {
-                unique.set(key, dep);
+            const key = this.getDependencyKey(dep);
+            const existing = unique.get(key);
+            if (!existing) {
+                unique.set(key, { ...dep });
+            } else if (dep.specifiers) {
+                // 같은 모듈을 여러 번 import한 경우 식별자를 합치고,
+                // 하나라도 값 import가 있으면 타입 전용이 아님
+                existing.specifiers = [...new Set([...(existing.specifiers || []), ...dep.specifiers])];
+                if (existing.usedSpecifiers || dep.usedSpecifiers) {
+                    existing.usedSpecifiers = [...new Set([...(existing.usedSpecifiers || []), ...(dep.usedSpecifiers || [])])];
+                }
+                existing.isTypeOnly = !!existing.isTypeOnly && !!dep.isTypeOnly;
             }
         }
         
@@ -888,6 +2179,7 @@ export class ProjectAnalyzer {
             '.yml': 'YAML',
             '.toml': 'TOML',
             '.ini': 'INI',
+            '.cfg': 'Configuration',
             '.env': 'Environment',
             '.properties': 'Properties',
             '.conf': 'Configuration',
@@ -914,82 +2206,14 @@ export class ProjectAnalyzer {
             '.exs': 'Elixir Script'
         };
         
+        if (ASSET_EXTENSIONS.includes(extension)) {
+            return ['.woff', '.woff2', '.ttf', '.otf', '.eot'].includes(extension) ? 'Font' : 'Image';
+        }
         return typeMap[extension] || 'Unknown';
     }
 
-    private organizeLayers(files: FileInfo[], _dependencies: DependencyInfo[]) {
-        const layers = {
-            presentation: [] as FileInfo[],
-            business: [] as FileInfo[],
-            data: [] as FileInfo[],
-            utils: [] as FileInfo[],
-            config: [] as FileInfo[]
-        };
-
-        files.forEach(file => {
-            const pathLower = file.path.toLowerCase();
-            const nameLower = file.name.toLowerCase();
-            
-            // Presentation layer - UI components
-            if (pathLower.includes('view') || pathLower.includes('component') || 
-                pathLower.includes('ui') || pathLower.includes('page') ||
-                pathLower.includes('screen') || pathLower.includes('widget') ||
-                pathLower.includes('template') || pathLower.includes('layout') ||
-                file.extension === '.vue' || file.extension === '.svelte' ||
-                file.extension === '.tsx' || file.extension === '.jsx' ||
-                file.extension === '.html' || file.extension === '.htm' ||
-                file.extension === '.css' || file.extension === '.scss' ||
-                file.extension === '.sass' || file.extension === '.less') {
-                layers.presentation.push(file);
-            } 
-            // Business layer - controllers and services
-            else if (pathLower.includes('service') || pathLower.includes('business') || 
-                     pathLower.includes('controller') || pathLower.includes('handler') ||
-                     pathLower.includes('manager') || pathLower.includes('provider') ||
-                     pathLower.includes('api') || pathLower.includes('route') ||
-                     pathLower.includes('endpoint') || pathLower.includes('middleware')) {
-                layers.business.push(file);
-            } 
-            // Data layer - models and database
-            else if (pathLower.includes('model') || pathLower.includes('data') || 
-                     pathLower.includes('repository') || pathLower.includes('entity') ||
-                     pathLower.includes('schema') || pathLower.includes('database') ||
-                     pathLower.includes('migration') || pathLower.includes('seed') ||
-                     file.extension === '.sql' || file.extension === '.graphql' ||
-                     file.extension === '.gql') {
-                layers.data.push(file);
-            } 
-            // Utilities layer - helpers and tools
-            else if (pathLower.includes('util') || pathLower.includes('helper') || 
-                     pathLower.includes('common') || pathLower.includes('shared') ||
-                     pathLower.includes('lib') || pathLower.includes('tool') ||
-                     pathLower.includes('constant') || pathLower.includes('enum')) {
-                layers.utils.push(file);
-            } 
-            // Config layer - configuration files
-            else if (pathLower.includes('config') || nameLower.includes('config') ||
-                     nameLower === 'package.json' || nameLower === 'tsconfig.json' ||
-                     nameLower === 'webpack.config.js' || nameLower === 'babel.config.js' ||
-                     nameLower === '.env' || file.extension === '.env' ||
-                     file.extension === '.json' || file.extension === '.yaml' ||
-                     file.extension === '.yml' || file.extension === '.xml' ||
-                     file.extension === '.toml' || file.extension === '.ini' ||
-                     file.extension === '.properties' || file.extension === '.conf') {
-                layers.config.push(file);
-            } 
-            else {
-                // Smart default categorization based on file type
-                if (['.php', '.py', '.java', '.cs', '.go', '.rs'].includes(file.extension)) {
-                    layers.business.push(file);
-                } else if (['.sh', '.bash', '.ps1', '.bat'].includes(file.extension)) {
-                    layers.utils.push(file);
-                } else {
-                    layers.utils.push(file);
-                }
-            }
-        });
-
-        return layers;
+    private organizeLayers(files: FileInfo[]) {
+        return this.layerRules.organize(files, this.workspaceFolders.map(folder => folder.path));
     }
 
     private calculateStats(files: FileInfo[], dependencies: DependencyInfo[]) {
@@ -1242,36 +2466,8 @@ export class ProjectAnalyzer {
         const variables: string[] = [];
         const classes: string[] = [];
 
-        // JavaScript/TypeScript
-        if (['.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs'].includes(extension)) {
-            // Extract functions
-            const functionRegex = /(?:function\s+(\w+)|const\s+(\w+)\s*=\s*(?:async\s+)?(?:\([^)]*\)\s*=>|function))/g;
-            let match;
-            while ((match = functionRegex.exec(content)) !== null) {
-                const funcName = match[1] || match[2];
-                if (funcName && !functions.includes(funcName)) {
-                    functions.push(funcName);
-                }
-            }
-
-            // Extract classes
-            const classRegex = /class\s+(\w+)/g;
-            while ((match = classRegex.exec(content)) !== null) {
-                if (!classes.includes(match[1])) {
-                    classes.push(match[1]);
-                }
-            }
-
-            // Extract exported variables/constants
-            const varRegex = /(?:export\s+)?(?:const|let|var)\s+(\w+)\s*=/g;
-            while ((match = varRegex.exec(content)) !== null) {
-                if (!variables.includes(match[1]) && !functions.includes(match[1])) {
-                    variables.push(match[1]);
-                }
-            }
-        }
-        // Python
-        else if (extension === '.py') {
+        // Python (JavaScript/TypeScript는 jsParser에서 AST로 추출)
+        if (extension === '.py') {
             // Extract functions
             const pyFuncRegex = /def\s+(\w+)\s*\(/g;
             let match;
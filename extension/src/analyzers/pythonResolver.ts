@@ -0,0 +1,302 @@
+import * as path from 'path';
+import * as fs from 'fs/promises';
+import { FileInfo } from '../types';
+import { logger } from '../services/logService';
+
+export interface PythonImport {
+    module: string; // 'app.models', '.', '..utils'
+    names: string[]; // from ... import 의 이름들 ('*' 포함), import 문은 빈 배열
+    localNames: string[]; // names 와 같은 순서로 이 파일에서 바인딩된 이름 (from x import A as B 의 B)
+    alias?: string; // import app.models as m 의 m
+}
+
+export interface ResolvedPythonImport {
+    path: string; // 루트 기준 경로
+    names: string[]; // 이 파일에서 가져온 식별자 (모듈 전체는 '*')
+}
+
+// 소스 디렉터리 설정을 읽는 프로젝트 파일
+export const PYTHON_CONFIG_FILES = ['pyproject.toml', 'setup.cfg', 'setup.py'];
+
+/**
+ * Python 소스에서 import 문을 찾습니다.
+ * 주석과 docstring은 무시하고, 괄호나 역슬래시로 이어진 줄을 하나로 합칩니다.
+ */
+export function parsePythonImports(content: string): PythonImport[] {
+    const imports: PythonImport[] = [];
+    const source = stripCommentsAndDocstrings(content);
+
+    for (const statement of joinLogicalLines(source)) {
+        const fromMatch = statement.match(/^\s*from\s+(\.*[\w.]*)\s+import\s+(.+)$/);
+        if (fromMatch) {
+            const items = fromMatch[2].replace(/[()]/g, ' ').split(',')
+                .map(item => item.trim().split(/\s+/))
+                .filter(([name]) => !!name);
+            imports.push({
+                module: fromMatch[1],
+                names: items.map(([name]) => name),
+                localNames: items.map(([name, keyword, alias]) => keyword === 'as' && alias ? alias : name)
+            });
+            continue;
+        }
+
+        const importMatch = statement.match(/^\s*import\s+(.+)$/);
+        if (importMatch) {
+            importMatch[1].split(',')
+                .map(item => item.trim().split(/\s+/))
+                .filter(([module]) => /^[\w.]+$/.test(module))
+                .forEach(([module, keyword, alias]) =>
+                    imports.push({ module, names: [], localNames: [], alias: keyword === 'as' ? alias : undefined }));
+        }
+    }
+
+    return imports;
+}
+
+/**
+ * class 문의 기반 클래스 이름을 찾습니다. (class A(Base, mod.Mixin, metaclass=Meta) -> Base, mod.Mixin)
+ * 제네릭 인자와 키워드 인자는 제외합니다.
+ */
+export function parsePythonBaseClasses(content: string): string[] {
+    const bases: string[] = [];
+    const source = stripCommentsAndDocstrings(content);
+
+    for (const statement of joinLogicalLines(source)) {
+        const classMatch = statement.match(/^\s*class\s+\w+\s*(?:\[[^\]]*\])?\s*\((.*)\)\s*:/);
+        if (!classMatch) {
+            continue;
+        }
+        let args = classMatch[1];
+        let previous;
+        do {
+            previous = args;
+            args = args.replace(/\[[^[\]]*\]/g, '');
+        } while (args !== previous);
+        args.split(',')
+            .map(arg => arg.trim())
+            .filter(arg => /^[A-Za-z_][\w.]*$/.test(arg) && !bases.includes(arg))
+            .forEach(arg => bases.push(arg));
+    }
+
+    return bases;
+}
+
+function stripCommentsAndDocstrings(content: string): string {
+    return content
+        .replace(/("""|''')[\s\S]*?\1/g, match => match.replace(/[^\n]/g, ' '))
+        .replace(/#.*$/gm, '');
+}
+
+function joinLogicalLines(source: string): string[] {
+    const statements: string[] = [];
+    let current = '';
+    let depth = 0;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (char === '(' || char === '[' || char === '{') {
+            depth++;
+        } else if ((char === ')' || char === ']' || char === '}') && depth > 0) {
+            depth--;
+        }
+
+        if (char === '\\' && source[i + 1] === '\n') {
+            current += ' ';
+            i++;
+        } else if (char === '\n' && depth > 0) {
+            current += ' ';
+        } else if (char === '\n' || char === ';') {
+            statements.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    statements.push(current);
+
+    return statements;
+}
+
+/**
+ * Python 모듈 경로 해석기
+ * 최상위 패키지(`__init__.py`)의 상위 디렉터리, pyproject.toml/setup.cfg 의 소스 디렉터리,
+ * `src/` 레이아웃을 import 기준 디렉터리로 사용합니다.
+ */
+export class PythonResolver {
+    private sourceRoots: string[] = [];
+
+    private constructor(
+        private rootPath: string,
+        private fileMap: Map<string, FileInfo>
+    ) {}
+
+    static async create(rootPath: string, fileMap: Map<string, FileInfo>): Promise<PythonResolver> {
+        const resolver = new PythonResolver(rootPath, fileMap);
+        await resolver.loadSourceRoots();
+        return resolver;
+    }
+
+    /**
+     * import 문이 가리키는 프로젝트 파일을 찾습니다. 외부 모듈이면 빈 배열을 반환합니다.
+     * `from pkg import submodule` 은 하위 모듈 파일로, 나머지 이름은 pkg 모듈 파일로 연결합니다.
+     */
+    resolve(fromPath: string, pythonImport: PythonImport): ResolvedPythonImport[] {
+        for (const modulePath of this.getCandidates(fromPath, pythonImport.module)) {
+            const moduleFile = this.findModule(modulePath);
+            if (pythonImport.names.length === 0) {
+                if (moduleFile) {
+                    return [{ path: moduleFile, names: ['*'] }];
+                }
+                continue;
+            }
+
+            const resolved: ResolvedPythonImport[] = [];
+            const moduleNames: string[] = [];
+            for (const name of pythonImport.names) {
+                const submodule = name !== '*' ? this.findModule(path.posix.join(modulePath, name)) : undefined;
+                if (submodule) {
+                    resolved.push({ path: submodule, names: ['*'] });
+                } else {
+                    moduleNames.push(name);
+                }
+            }
+            if (moduleFile && moduleNames.length > 0) {
+                resolved.push({ path: moduleFile, names: moduleNames });
+            }
+            if (resolved.length > 0) {
+                return resolved;
+            }
+        }
+
+        return [];
+    }
+
+    /** 모듈 이름을 확장자 없는 경로 후보로 바꿉니다. */
+    private getCandidates(fromPath: string, module: string): string[] {
+        const dots = module.match(/^\.*/)?.[0].length || 0;
+        const parts = module.slice(dots).split('.').filter(Boolean);
+
+        // 상대 import: 점 하나는 현재 패키지, 하나 늘 때마다 상위 패키지
+        if (dots > 0) {
+            let baseDir = path.posix.dirname(fromPath);
+            for (let i = 1; i < dots; i++) {
+                baseDir = path.posix.dirname(baseDir);
+            }
+            return [normalizeDir(path.posix.join(baseDir, ...parts))];
+        }
+
+        // 절대 import: 현재 파일을 포함하는 소스 루트를 먼저, 마지막으로 스크립트 디렉터리
+        const fromDir = normalizeDir(path.posix.dirname(fromPath));
+        const containing = (root: string) => !root || fromDir === root || fromDir.startsWith(`${root}/`);
+        const roots = [
+            ...this.sourceRoots.filter(containing),
+            ...this.sourceRoots.filter(root => !containing(root)),
+            fromDir
+        ];
+        return Array.from(new Set(roots.map(root => normalizeDir(path.posix.join(root, ...parts)))));
+    }
+
+    private findModule(modulePath: string): string | undefined {
+        return [`${modulePath}.py`, `${modulePath}/__init__.py`]
+            .map(candidate => normalizeDir(candidate))
+            .find(candidate => this.fileMap.has(candidate));
+    }
+
+    private async loadSourceRoots(): Promise<void> {
+        const roots = new Set<string>();
+        const files = Array.from(this.fileMap.values());
+        const packageDirs = new Set(files
+            .filter(file => file.name === '__init__.py')
+            .map(file => normalizeDir(path.posix.dirname(file.path))));
+
+        // 최상위 패키지의 상위 디렉터리
+        packageDirs.forEach(dir => {
+            let top = dir;
+            while (top && packageDirs.has(normalizeDir(path.posix.dirname(top)))) {
+                top = normalizeDir(path.posix.dirname(top));
+            }
+            roots.add(normalizeDir(path.posix.dirname(top)));
+        });
+
+        // 프로젝트 설정의 소스 디렉터리와 src 레이아웃
+        const projectDirs = new Set(['', ...files
+            .filter(file => PYTHON_CONFIG_FILES.includes(file.name))
+            .map(file => normalizeDir(path.posix.dirname(file.path)))]);
+
+        for (const projectDir of projectDirs) {
+            const sourceDirs = [
+                ...parsePyprojectSourceDirs(await this.readConfig(projectDir, 'pyproject.toml')),
+                ...parseSetupCfgSourceDirs(await this.readConfig(projectDir, 'setup.cfg'))
+            ];
+            sourceDirs.forEach(dir => roots.add(normalizeDir(path.posix.join(projectDir, dir))));
+
+            const srcDir = normalizeDir(path.posix.join(projectDir, 'src'));
+            if (files.some(file => file.extension === '.py' && file.path.startsWith(`${srcDir}/`))) {
+                roots.add(srcDir);
+            }
+            roots.add(projectDir);
+        }
+
+        // 깊은 루트를 먼저 검사
+        this.sourceRoots = Array.from(roots).sort((a, b) => b.split('/').length - a.split('/').length);
+        if (packageDirs.size > 0) {
+            logger.debug('Python source roots', { roots: this.sourceRoots });
+        }
+    }
+
+    private async readConfig(projectDir: string, name: string): Promise<string> {
+        try {
+            return await fs.readFile(path.join(this.rootPath, projectDir, name), 'utf-8');
+        } catch {
+            return '';
+        }
+    }
+}
+
+function normalizeDir(dir: string): string {
+    const normalized = path.posix.normalize(dir);
+    return normalized === '.' ? '' : normalized.replace(/^\.\//, '').replace(/\/$/, '');
+}
+
+function quotedStrings(text: string): string[] {
+    return Array.from(text.matchAll(/["']([^"']*)["']/g), match => match[1]);
+}
+
+/** pyproject.toml 의 setuptools/poetry/hatch 소스 디렉터리 */
+function parsePyprojectSourceDirs(content: string): string[] {
+    const dirs: string[] = [];
+
+    content.split(/^\s*\[/m).forEach(section => {
+        const header = section.slice(0, section.indexOf(']')).trim();
+        const body = section.slice(section.indexOf(']') + 1);
+
+        if (header === 'tool.setuptools.packages.find') {
+            const where = body.match(/^\s*where\s*=\s*\[([^\]]*)\]/m);
+            dirs.push(...(where ? quotedStrings(where[1]) : []));
+        } else if (header === 'tool.setuptools') {
+            const packageDir = body.match(/^\s*package-dir\s*=\s*\{[^}]*["']{2}\s*=\s*["']([^"']+)["']/m);
+            dirs.push(...(packageDir ? [packageDir[1]] : []));
+        } else if (header === 'tool.poetry') {
+            dirs.push(...Array.from(body.matchAll(/\bfrom\s*=\s*["']([^"']+)["']/g), match => match[1]));
+        } else if (header === 'tool.hatch.build.targets.wheel') {
+            const packages = body.match(/^\s*packages\s*=\s*\[([^\]]*)\]/m);
+            dirs.push(...(packages ? quotedStrings(packages[1]).map(pkg => path.posix.dirname(pkg)) : []));
+        }
+    });
+
+    return dirs;
+}
+
+/** setup.cfg 의 package_dir / packages.find where */
+function parseSetupCfgSourceDirs(content: string): string[] {
+    const dirs: string[] = [];
+    const packageDir = content.match(/^package_dir\s*=\s*(?:\n\s+)?=\s*(\S+)/m);
+    if (packageDir) {
+        dirs.push(packageDir[1]);
+    }
+    const findSection = content.match(/^\[options\.packages\.find\][^[]*?^where\s*=\s*(\S+)/m);
+    if (findSection) {
+        dirs.push(findSection[1]);
+    }
+    return dirs;
+}
@@ -0,0 +1,345 @@
+import * as path from 'path';
+import * as fs from 'fs/promises';
+import { FileInfo, WorkspacePackage, PackageDependencyType } from '../types';
+import { logger } from '../services/logService';
+
+export interface RustModuleDeclaration {
+    name: string;
+    parents: string[]; // 감싸는 인라인 모듈 (mod a { mod b; } 의 b 는 ['a'])
+    pathAttribute?: string; // #[path = "..."]
+}
+
+export interface ParsedRustSource {
+    modules: RustModuleDeclaration[];
+    paths: string[][]; // use 트리를 펼친 경로와 본문의 crate::/super::/self:: 경로
+}
+
+export interface ResolvedRustReference {
+    path: string; // 루트 기준 경로
+    type: 'import' | 'include'; // use 경로 또는 mod 선언
+    names: string[]; // 모듈 안에서 사용한 항목 (모듈 전체는 '*')
+}
+
+interface RustCrate {
+    name: string; // Cargo.toml 의 package.name
+    dir: string; // Cargo.toml 이 있는 디렉터리
+    srcDir: string; // crate:: 가 가리키는 디렉터리
+    manifestPath: string;
+    version?: string;
+    roots: Set<string>; // lib/bin 등 크레이트 루트 파일
+    dependencies: Array<{ name: string; alias: string; type: PackageDependencyType }>;
+}
+
+// 크레이트 구성을 결정하는 파일
+export const RUST_CONFIG_FILES = ['Cargo.toml'];
+
+// 하위 모듈 파일을 자기 디렉터리에 두는 파일
+const MODULE_ROOT_FILES = ['mod.rs', 'lib.rs', 'main.rs'];
+
+/**
+ * Rust 소스의 mod 선언과 use 경로를 찾습니다.
+ * `use a::{b, c::d as e}` 같은 use 트리는 경로별로 펼칩니다.
+ */
+export function parseRustSource(content: string): ParsedRustSource {
+    const withoutComments = content.replace(/\/\*[\s\S]*?\*\/|\/\/.*$/gm, match => match.replace(/[^\n]/g, ' '));
+    const source = withoutComments.replace(/(#\[\s*path\s*=\s*"[^"]*"\s*\])|"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\\n])'/g,
+        (match, attribute) => attribute ? match : match.replace(/[^\n]/g, ' '));
+
+    // 인라인 모듈 안의 mod 선언은 그 모듈 디렉터리 아래에서 찾음
+    const modules: RustModuleDeclaration[] = [];
+    const scopes: Array<string | undefined> = [];
+    const tokens = /#\[\s*path\s*=\s*"([^"]*)"\s*\]|\bmod\s+(\w+)\s*([;{])|[{}]/g;
+    let pathAttribute: string | undefined;
+    for (const match of source.matchAll(tokens)) {
+        if (match[1] !== undefined) {
+            pathAttribute = match[1];
+        } else if (match[2]) {
+            const parents = scopes.filter((scope): scope is string => !!scope);
+            if (match[3] === ';') {
+                modules.push({ name: match[2], parents, pathAttribute });
+            } else {
+                scopes.push(match[2]);
+            }
+            pathAttribute = undefined;
+        } else if (match[0] === '{') {
+            scopes.push(undefined);
+        } else {
+            scopes.pop();
+        }
+    }
+
+    const paths: string[][] = [];
+    const useStatements = /\b(?:pub(?:\([^)]*\))?\s+)?use\s+([^;]+);/g;
+    for (const match of source.matchAll(useStatements)) {
+        paths.push(...expandUseTree(match[1].replace(/\s+as\s+\w+/g, '').replace(/\s+/g, '')));
+    }
+    for (const match of source.replace(useStatements, '').matchAll(/(?<![\w:])([a-z_]\w*)((?:::[A-Za-z_]\w*)+)/g)) {
+        paths.push([match[1], ...match[2].slice(2).split('::')]);
+    }
+
+    return { modules, paths };
+}
+
+/** 'crate::a::{self,b::C,d as e}' -> [['crate','a'], ['crate','a','b','C'], ['crate','a','d']] */
+function expandUseTree(tree: string, prefix: string[] = []): string[][] {
+    const brace = tree.indexOf('{');
+    if (brace === -1) {
+        const segments = [...prefix, ...tree.split('::').filter(Boolean)];
+        return segments[segments.length - 1] === 'self' ? [segments.slice(0, -1)] : [segments];
+    }
+
+    const base = [...prefix, ...tree.slice(0, brace).split('::').filter(Boolean)];
+    const inner = tree.slice(brace + 1, tree.lastIndexOf('}'));
+    const items: string[] = [];
+    let depth = 0;
+    let current = '';
+    for (const char of inner) {
+        if (char === ',' && depth === 0) {
+            items.push(current);
+            current = '';
+            continue;
+        }
+        depth += char === '{' ? 1 : char === '}' ? -1 : 0;
+        current += char;
+    }
+    items.push(current);
+
+    return items.filter(Boolean).flatMap(item => expandUseTree(item, base));
+}
+
+/**
+ * Cargo 크레이트 구조를 기준으로 mod 선언과 use 경로를 파일로 해석하는 해석기
+ * `foo.rs` / `foo/mod.rs` 모듈 파일 규칙을 따르며, 워크스페이스의 다른 크레이트 경로는 그 크레이트의 파일로 연결합니다.
+ */
+export class RustResolver {
+    private crates: RustCrate[] = []; // 깊은 디렉터리가 먼저
+
+    private constructor(
+        private rootPath: string,
+        private fileMap: Map<string, FileInfo>
+    ) {}
+
+    static async create(rootPath: string, fileMap: Map<string, FileInfo>): Promise<RustResolver> {
+        const resolver = new RustResolver(rootPath, fileMap);
+        await resolver.loadCrates();
+        return resolver;
+    }
+
+    /** 크레이트와 크레이트 간 의존성 (패키지 보기용) */
+    getPackages(): WorkspacePackage[] {
+        const names = new Set(this.crates.map(crate => crate.name));
+        return this.crates
+            .map(crate => ({
+                name: crate.name,
+                path: crate.dir,
+                manifestPath: crate.manifestPath,
+                version: crate.version,
+                // 일반 의존성과 dev 의존성에 함께 있으면 일반 의존성으로 표시
+                dependencies: crate.dependencies
+                    .filter((dep, index, all) => names.has(dep.name) && dep.name !== crate.name &&
+                        all.findIndex(other => other.name === dep.name) === index)
+                    .map(dep => ({ name: dep.name, type: dep.type }))
+            }))
+            .sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    resolve(fromPath: string, source: ParsedRustSource): ResolvedRustReference[] {
+        const resolved = new Map<string, ResolvedRustReference>();
+        const add = (type: ResolvedRustReference['type'], filePath: string | undefined, names: string[]) => {
+            if (!filePath || filePath === fromPath) {
+                return;
+            }
+            const reference = resolved.get(`${type}:${filePath}`) || { path: filePath, type, names: [] };
+            names.filter(name => !reference.names.includes(name)).forEach(name => reference.names.push(name));
+            resolved.set(`${type}:${filePath}`, reference);
+        };
+
+        const crate = this.findCrate(fromPath);
+        const moduleDir = this.getModuleDir(fromPath, crate);
+
+        // mod foo; -> foo.rs 또는 foo/mod.rs (#[path] 는 선언한 파일 기준)
+        source.modules.forEach(declaration => {
+            const filePath = declaration.pathAttribute
+                ? normalizePath(path.posix.join(path.posix.dirname(fromPath), ...declaration.parents, declaration.pathAttribute))
+                : this.findModuleFile(path.posix.join(moduleDir || '.', ...declaration.parents, declaration.name));
+            add('include', filePath && this.fileMap.has(filePath) ? filePath : undefined, ['*']);
+        });
+
+        const childModules = new Set(source.modules.filter(declaration => declaration.parents.length === 0)
+            .map(declaration => declaration.name));
+        for (const segments of source.paths) {
+            const [first, ...rest] = segments;
+            let baseDir: string | undefined;
+            let remaining = rest;
+
+            if (first === 'crate') {
+                baseDir = crate?.srcDir ?? this.findSrcDir(fromPath);
+            } else if (first === 'self' || first === 'super') {
+                baseDir = moduleDir;
+                remaining = segments;
+                while (remaining[0] === 'super' || remaining[0] === 'self') {
+                    baseDir = remaining[0] === 'super' ? normalizePath(path.posix.dirname(baseDir || '.')) : baseDir;
+                    remaining = remaining.slice(1);
+                }
+            } else if (childModules.has(first)) {
+                // 2018 에디션: 현재 모듈에 선언된 하위 모듈은 경로 앞에 self:: 없이 사용
+                baseDir = moduleDir;
+                remaining = segments;
+            } else {
+                // 워크스페이스의 다른 크레이트 (의존성 별칭 또는 크레이트 이름, 자기 크레이트의 bin/tests 포함)
+                const dependency = crate?.dependencies.find(dep => dep.alias === first);
+                baseDir = this.crates.find(candidate => dependency
+                    ? candidate.name === dependency.name
+                    : candidate.name.replace(/-/g, '_') === first)?.srcDir;
+            }
+
+            if (baseDir !== undefined) {
+                const reference = this.resolvePath(baseDir, remaining);
+                add('import', reference?.path, reference?.names || []);
+            }
+        }
+
+        return Array.from(resolved.values());
+    }
+
+    /** 가장 긴 모듈 경로에 해당하는 파일과 그 모듈에서 사용한 항목 */
+    private resolvePath(baseDir: string, segments: string[]): { path: string; names: string[] } | undefined {
+        for (let length = segments.length; length > 0; length--) {
+            const filePath = this.findModuleFile(path.posix.join(baseDir || '.', ...segments.slice(0, length)));
+            if (filePath) {
+                return { path: filePath, names: length < segments.length ? segments.slice(length) : ['*'] };
+            }
+        }
+        // 모듈 자체에 선언된 항목 (use super::Item, use crate::Item)
+        const moduleFile = MODULE_ROOT_FILES.map(name => normalizePath(path.posix.join(baseDir || '.', name)))
+            .find(candidate => this.fileMap.has(candidate)) || (baseDir ? this.findModuleFile(baseDir) : undefined);
+        return moduleFile && segments.length > 0 ? { path: moduleFile, names: segments.slice(0, 1) } : undefined;
+    }
+
+    private findModuleFile(modulePath: string): string | undefined {
+        return [`${modulePath}.rs`, `${modulePath}/mod.rs`]
+            .map(normalizePath)
+            .find(candidate => this.fileMap.has(candidate));
+    }
+
+    /** 파일의 하위 모듈이 위치하는 디렉터리 (a/b.rs -> a/b, a/mod.rs -> a) */
+    private getModuleDir(filePath: string, crate: RustCrate | undefined): string {
+        const dir = normalizePath(path.posix.dirname(filePath));
+        const name = path.posix.basename(filePath);
+        if (MODULE_ROOT_FILES.includes(name) || this.isCrateRoot(filePath, crate)) {
+            return dir;
+        }
+        return normalizePath(path.posix.join(dir || '.', path.posix.basename(name, '.rs')));
+    }
+
+    /** [lib]/[[bin]] 경로, build.rs, src/bin·tests·examples·benches 바로 아래의 파일 */
+    private isCrateRoot(filePath: string, crate: RustCrate | undefined): boolean {
+        if (!crate) {
+            return false;
+        }
+        const dir = normalizePath(path.posix.dirname(filePath));
+        return crate.roots.has(filePath) || ['src/bin', 'tests', 'examples', 'benches']
+            .some(rootDir => dir === normalizePath(path.posix.join(crate.dir || '.', rootDir)));
+    }
+
+    private findCrate(filePath: string): RustCrate | undefined {
+        return this.crates.find(crate => !crate.dir || filePath.startsWith(`${crate.dir}/`));
+    }
+
+    /** Cargo.toml 이 없을 때 lib.rs/main.rs 가 있는 가장 가까운 상위 디렉터리 */
+    private findSrcDir(filePath: string): string {
+        const fileDir = normalizePath(path.posix.dirname(filePath));
+        const hasRoot = (dir: string) => ['lib.rs', 'main.rs']
+            .some(name => this.fileMap.has(normalizePath(path.posix.join(dir || '.', name))));
+        let dir = fileDir;
+        while (dir && !hasRoot(dir)) {
+            dir = normalizePath(path.posix.dirname(dir));
+        }
+        return dir || hasRoot(dir) ? dir : fileDir;
+    }
+
+    private async loadCrates(): Promise<void> {
+        const manifests = Array.from(this.fileMap.values()).filter(file => RUST_CONFIG_FILES.includes(file.name));
+        for (const manifest of manifests) {
+            let content: string;
+            try {
+                content = await fs.readFile(path.join(this.rootPath, manifest.path), 'utf-8');
+            } catch {
+                continue;
+            }
+            const crate = parseCargoManifest(content, manifest.path);
+            if (crate) {
+                this.crates.push(crate);
+            }
+        }
+
+        this.crates.sort((a, b) => b.dir.length - a.dir.length);
+        if (this.crates.length > 0) {
+            logger.debug('Rust crates loaded', { crates: this.crates.map(crate => crate.name) });
+        }
+    }
+}
+
+/** Cargo.toml 의 [package], [lib]/[[bin]] 경로, 의존성 섹션 (가상 매니페스트는 undefined) */
+function parseCargoManifest(content: string, manifestPath: string): RustCrate | undefined {
+    const dir = normalizePath(path.posix.dirname(manifestPath));
+    const resolve = (target: string) => normalizePath(path.posix.join(dir || '.', target));
+    const crate: RustCrate = {
+        name: '',
+        dir,
+        srcDir: resolve('src'),
+        manifestPath,
+        roots: new Set([resolve('build.rs')]),
+        dependencies: []
+    };
+
+    const quoted = (body: string, key: string) =>
+        body.match(new RegExp(String.raw`^\s*${key}\s*=\s*["']([^"']+)["']`, 'm'))?.[1];
+    const addDependency = (alias: string, spec: string, section: string) => {
+        crate.dependencies.push({
+            name: spec.match(/\bpackage\s*=\s*["']([^"']+)["']/)?.[1] || alias,
+            alias: alias.replace(/-/g, '_'),
+            type: /dev-dependencies$/.test(section) ? 'devDependencies' : 'dependencies'
+        });
+    };
+
+    content.split(/^\s*(?=\[)/m).forEach(section => {
+        const header = section.match(/^\[\[?([^\]]+)\]\]?/)?.[1].trim() || '';
+        const body = section.slice(section.indexOf('\n') + 1);
+
+        if (header === 'package') {
+            crate.name = quoted(body, 'name') || '';
+            crate.version = quoted(body, 'version');
+        } else if (header === 'lib' || header === 'bin') {
+            const target = quoted(body, 'path');
+            if (target) {
+                crate.roots.add(resolve(target));
+                if (header === 'lib') {
+                    crate.srcDir = normalizePath(path.posix.dirname(resolve(target)));
+                }
+            }
+        } else if (/(?:^|\.)(?:dev-|build-)?dependencies$/.test(header)) {
+            // foo = "1", foo = { path = "../foo" }, foo.workspace = true
+            for (const line of body.matchAll(/^\s*([\w-]+)(?:\.[\w-]+)?\s*=\s*(.*)$/gm)) {
+                addDependency(line[1], line[2], header);
+            }
+        } else {
+            // [dependencies.foo] 형식
+            const table = header.match(/^(?:.*\.)?((?:dev-|build-)?dependencies)\.([\w-]+)$/);
+            if (table) {
+                addDependency(table[2], body, table[1]);
+            }
+        }
+    });
+
+    if (!crate.name) {
+        return undefined;
+    }
+    MODULE_ROOT_FILES.filter(name => name !== 'mod.rs').forEach(name => crate.roots.add(path.posix.join(crate.srcDir || '.', name)));
+    return crate;
+}
+
+function normalizePath(target: string): string {
+    const normalized = path.posix.normalize(target);
+    return normalized === '.' ? '' : normalized.replace(/^\.\//, '').replace(/\/$/, '');
+}
@@ -0,0 +1,165 @@
+import * as path from 'path';
+import { FileInfo } from '../types';
+
+export interface ParsedSFC {
+    script: string; // <script>, <script setup>, Astro frontmatter 를 합친 코드 (줄 위치 유지)
+    scriptKind: '.ts' | '.js' | '.tsx' | '.jsx'; // jsParser 에 넘길 확장자
+    styles: string[]; // <style> 블록 내용
+    sources: Array<{ src: string; block: 'script' | 'style' }>; // <script src>, <style src>
+    components: string[]; // 템플릿에서 사용한 컴포넌트 태그 (PascalCase)
+    localNames: Set<string>; // 스크립트에서 import 한 이름
+    templateNames: Set<string>; // 템플릿 식과 컴포넌트 태그에서 쓴 이름 (멤버에 접근하면 obj.member)
+}
+
+// 단일 파일 컴포넌트 확장자
+export const SFC_EXTENSIONS = ['.vue', '.svelte', '.astro'];
+
+const BLOCK = /<(script|style)\b([^>]*)>([\s\S]*?)<\/\1\s*>/gi;
+
+/**
+ * Vue/Svelte/Astro 단일 파일 컴포넌트를 스크립트, 스타일, 템플릿으로 나눕니다.
+ * 스크립트는 원래 줄 위치를 유지한 채 합쳐서 JS/TS 파서로 분석할 수 있게 합니다.
+ */
+export function parseSFC(fileName: string, content: string): ParsedSFC {
+    const blank = (text: string) => text.replace(/[^\n]/g, ' ');
+    let script = blank(content);
+    let typescript = false;
+    let jsx = false;
+    const styles: string[] = [];
+    const sources: ParsedSFC['sources'] = [];
+
+    // Astro 프론트매터(---)는 서버에서 실행되는 TypeScript
+    let template = content;
+    const frontmatter = path.extname(fileName) === '.astro' ? content.match(/^(\s*---\r?\n)([\s\S]*?)\r?\n---/) : null;
+    if (frontmatter) {
+        const start = frontmatter[1].length;
+        script = script.slice(0, start) + frontmatter[2] + script.slice(start + frontmatter[2].length);
+        template = blank(frontmatter[0]) + content.slice(frontmatter[0].length);
+        typescript = true;
+    }
+
+    for (const match of content.matchAll(BLOCK)) {
+        const [block, tag, attributes, body] = match;
+        const lang = attributes.match(/\blang\s*=\s*["']?(\w+)/)?.[1];
+        const src = attributes.match(/\bsrc\s*=\s*["']([^"']+)["']/)?.[1];
+        const bodyStart = (match.index ?? 0) + block.indexOf('>') + 1;
+        if (src) {
+            sources.push({ src, block: tag.toLowerCase() as 'script' | 'style' });
+        }
+        if (tag.toLowerCase() === 'style') {
+            styles.push(body);
+        } else if (!/\btype\s*=\s*["']?(?!module|text\/(?:java|type)script)/.test(attributes)) {
+            script = script.slice(0, bodyStart) + body + script.slice(bodyStart + body.length);
+            typescript = typescript || lang === 'ts' || lang === 'tsx';
+            jsx = jsx || lang === 'tsx' || lang === 'jsx';
+        }
+        template = template.replace(block, blank(block));
+    }
+
+    const components = collectComponentTags(template);
+    return {
+        script,
+        scriptKind: typescript ? (jsx ? '.tsx' : '.ts') : (jsx ? '.jsx' : '.js'),
+        styles,
+        sources,
+        components,
+        localNames: collectImportedNames(script),
+        templateNames: collectTemplateNames(template, components)
+    };
+}
+
+/**
+ * 템플릿에서 import 없이 쓴 컴포넌트 태그(전역 등록, Nuxt/unplugin 자동 import)를 파일 이름으로 찾는 해석기
+ * 'UserCard' 는 UserCard.vue, user-card.vue, components/user/Card.vue 에 대응합니다.
+ */
+export class SfcResolver {
+    private components = new Map<string, string[]>(); // 컴포넌트 이름 -> 파일
+
+    private constructor(fileMap: Map<string, FileInfo>) {
+        for (const file of fileMap.values()) {
+            if (!SFC_EXTENSIONS.includes(file.extension)) {
+                continue;
+            }
+            const stem = toPascalCase(path.posix.basename(file.path, file.extension));
+            // components/ 아래의 디렉터리 이름을 접두사로 붙인 이름 (중복되는 접두사는 한 번만)
+            const segments = file.path.split('/');
+            const componentsIndex = segments.lastIndexOf('components');
+            const prefix = componentsIndex === -1 ? '' : segments.slice(componentsIndex + 1, -1).map(toPascalCase).join('');
+            const names = new Set([stem, stem.startsWith(prefix) ? stem : `${prefix}${stem}`]);
+            names.forEach(name => this.components.set(name, [...(this.components.get(name) || []), file.path]));
+        }
+    }
+
+    static create(fileMap: Map<string, FileInfo>): SfcResolver {
+        return new SfcResolver(fileMap);
+    }
+
+    /** 같은 이름의 컴포넌트가 여러 개면 같은 확장자, 같은 디렉터리 순으로 하나를 고르고 그래도 여러 개면 해석하지 않음 */
+    resolveComponent(fromPath: string, tag: string): string | undefined {
+        let candidates = (this.components.get(tag) || []).filter(candidate => candidate !== fromPath);
+        for (const prefer of [
+            (candidate: string) => path.posix.extname(candidate) === path.posix.extname(fromPath),
+            (candidate: string) => path.posix.dirname(candidate) === path.posix.dirname(fromPath)
+        ]) {
+            if (candidates.length > 1 && candidates.some(prefer)) {
+                candidates = candidates.filter(prefer);
+            }
+        }
+        return candidates.length === 1 ? candidates[0] : undefined;
+    }
+}
+
+function toPascalCase(name: string): string {
+    return name.replace(/(?:^|[-_.])(\w)/g, (_, char: string) => char.toUpperCase());
+}
+
+/** 템플릿의 컴포넌트 태그: <UserCard>, <user-card>, <Icons.Star> (HTML 요소와 svelte:* 제외) */
+function collectComponentTags(template: string): string[] {
+    const withoutComments = template.replace(/<!--[\s\S]*?-->/g, '');
+    const tags = new Set<string>();
+    for (const match of withoutComments.matchAll(/<([A-Za-z][\w.-]*)(?=[\s/>])/g)) {
+        const tag = match[1];
+        if (/^[A-Z]/.test(tag)) {
+            tags.add(tag);
+        } else if (tag.includes('-')) {
+            tags.add(toPascalCase(tag));
+        }
+    }
+    return Array.from(tags);
+}
+
+/**
+ * 템플릿 식에서 참조한 이름: {{ }}, { } (Svelte/Astro), :prop="", @event="", #slot="", v-*=""
+ * 문자열 리터럴 안의 단어와 템플릿의 일반 텍스트는 제외합니다.
+ */
+function collectTemplateNames(template: string, components: string[]): Set<string> {
+    const withoutComments = template.replace(/<!--[\s\S]*?-->/g, '');
+    const expressions = [
+        ...Array.from(withoutComments.matchAll(/\{([^{}]*)\}/g), match => match[1]),
+        ...Array.from(withoutComments.matchAll(/\s(?::|@|#|v-)[\w:.[\]-]*\s*=\s*(?:"([^"]*)"|'([^']*)')/g), match => match[1] ?? match[2])
+    ];
+
+    const names = new Set(components);
+    for (const expression of expressions) {
+        const code = expression.replace(/(["'`])(?:\\.|(?!\1)[^\\])*\1/g, '');
+        for (const match of code.matchAll(/(?<![\w$.])([A-Za-z_$][\w$]*)(?:\s*\.\s*([A-Za-z_$][\w$]*))?/g)) {
+            names.add(match[2] ? `${match[1]}.${match[2]}` : match[1]);
+        }
+    }
+    return names;
+}
+
+/** import 문으로 만든 지역 이름 (기본, 이름 있는, 네임스페이스 import) */
+function collectImportedNames(script: string): Set<string> {
+    const names = new Set<string>();
+    for (const match of script.matchAll(/\bimport\s+(?:type\s+)?([\w$]+)?\s*,?\s*(?:\*\s+as\s+([\w$]+)|\{([^}]*)\})?\s*from\b/g)) {
+        [match[1], match[2]].filter(Boolean).forEach(name => names.add(name));
+        (match[3] || '').split(',').forEach(item => {
+            const local = item.trim().split(/\s+as\s+/).pop();
+            if (local) {
+                names.add(local);
+            }
+        });
+    }
+    return names;
+}
@@ -0,0 +1,185 @@
+import * as path from 'path';
+import * as fs from 'fs/promises';
+import { FileInfo, WorkspacePackage, PackageDependencyType } from '../types';
+import { globToRegExp } from './pathMatcher';
+
+// 패키지 구성을 결정하는 파일 (변경되면 패키지 목록을 다시 계산)
+export const WORKSPACE_CONFIG_FILES = [
+    'package.json', 'pnpm-workspace.yaml', 'lerna.json', 'nx.json', 'workspace.json', 'project.json'
+];
+
+const DEPENDENCY_FIELDS: PackageDependencyType[] = [
+    'dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'
+];
+
+interface WorkspaceRoot {
+    dir: string;
+    include: RegExp[];
+    exclude: RegExp[];
+}
+
+/**
+ * npm/yarn/pnpm workspaces, lerna, nx 설정에서 모노레포 패키지와 패키지 간 의존성을 찾습니다.
+ * 워크스페이스 설정이 없으면 빈 배열을 반환합니다.
+ */
+export async function detectWorkspacePackages(fileMap: Map<string, FileInfo>): Promise<WorkspacePackage[]> {
+    const files = Array.from(fileMap.values());
+    const manifests = new Map<string, Record<string, unknown>>();
+    const roots: WorkspaceRoot[] = [];
+
+    for (const file of files) {
+        const dir = path.posix.dirname(file.path).replace(/^\.$/, '');
+
+        if (file.name === 'package.json') {
+            const manifest = await readJson(file.fullPath);
+            if (!manifest) {
+                continue;
+            }
+            manifests.set(dir, manifest);
+
+            // npm/yarn: "workspaces": [...] 또는 { "packages": [...] }
+            const workspaces = manifest.workspaces as unknown;
+            const patterns = Array.isArray(workspaces)
+                ? workspaces
+                : (workspaces as { packages?: unknown })?.packages;
+            if (Array.isArray(patterns)) {
+                roots.push(createRoot(dir, patterns));
+            }
+        } else if (file.name === 'pnpm-workspace.yaml') {
+            const content = await fs.readFile(file.fullPath, 'utf-8').catch(() => '');
+            roots.push(createRoot(dir, parsePnpmPackages(content)));
+        } else if (file.name === 'lerna.json') {
+            const lerna = await readJson(file.fullPath);
+            const patterns = Array.isArray(lerna?.packages) ? lerna?.packages as unknown[] : ['packages/*'];
+            roots.push(createRoot(dir, patterns));
+        }
+    }
+
+    const packages = new Map<string, WorkspacePackage>();
+    const addPackage = (dir: string, manifestPath: string, name: unknown, version?: unknown) => {
+        if (typeof name !== 'string' || !name || packages.has(dir)) {
+            return;
+        }
+        packages.set(dir, {
+            name,
+            path: dir,
+            manifestPath,
+            version: typeof version === 'string' ? version : undefined,
+            dependencies: []
+        });
+    };
+
+    // 워크스페이스 패턴에 매칭되는 package.json
+    manifests.forEach((manifest, dir) => {
+        const isMember = roots.some(root => {
+            if (dir === root.dir || (root.dir && !dir.startsWith(`${root.dir}/`))) {
+                return false;
+            }
+            const relDir = root.dir ? dir.slice(root.dir.length + 1) : dir;
+            return root.include.some(pattern => pattern.test(relDir)) &&
+                !root.exclude.some(pattern => pattern.test(relDir));
+        });
+        if (isMember) {
+            addPackage(dir, path.posix.join(dir, 'package.json'), manifest.name, manifest.version);
+        }
+    });
+
+    // nx: project.json 프로젝트와 workspace.json 의 projects 맵
+    const nxRoots = files.filter(file => file.name === 'nx.json' || file.name === 'workspace.json')
+        .map(file => path.posix.dirname(file.path).replace(/^\.$/, ''));
+    const implicitDependencies = new Map<string, unknown>();
+
+    for (const file of files) {
+        const dir = path.posix.dirname(file.path).replace(/^\.$/, '');
+        const underNx = nxRoots.some(root => !root || dir.startsWith(`${root}/`));
+
+        if (file.name === 'project.json' && underNx) {
+            const project = await readJson(file.fullPath);
+            const manifest = manifests.get(dir);
+            addPackage(dir, file.path, project?.name || manifest?.name || path.posix.basename(dir), manifest?.version);
+            implicitDependencies.set(dir, project?.implicitDependencies);
+        } else if (file.name === 'workspace.json') {
+            const workspace = await readJson(file.fullPath);
+            const projects = (workspace?.projects || {}) as Record<string, unknown>;
+            Object.entries(projects).forEach(([name, project]) => {
+                const root = typeof project === 'string' ? project : (project as { root?: unknown })?.root;
+                if (typeof root === 'string') {
+                    const projectDir = path.posix.join(dir, root);
+                    addPackage(projectDir, file.path, name, manifests.get(projectDir)?.version);
+                    implicitDependencies.set(projectDir, (project as { implicitDependencies?: unknown })?.implicitDependencies);
+                }
+            });
+        }
+    }
+
+    // 형제 패키지를 가리키는 의존성만 패키지 간 엣지로 사용
+    const names = new Set(Array.from(packages.values()).map(pkg => pkg.name));
+    packages.forEach(pkg => {
+        const manifest = manifests.get(pkg.path);
+        for (const field of DEPENDENCY_FIELDS) {
+            const deps = (manifest?.[field] || {}) as Record<string, unknown>;
+            Object.keys(deps)
+                .filter(name => names.has(name) && name !== pkg.name)
+                .forEach(name => pkg.dependencies.push({ name, type: field }));
+        }
+
+        const implicit = implicitDependencies.get(pkg.path);
+        if (Array.isArray(implicit)) {
+            implicit
+                .filter((name): name is string => typeof name === 'string' && names.has(name))
+                .filter(name => !pkg.dependencies.some(dep => dep.name === name))
+                .forEach(name => pkg.dependencies.push({ name, type: 'implicit' }));
+        }
+    });
+
+    return Array.from(packages.values()).sort((a, b) => a.path.localeCompare(b.path));
+}
+
+function createRoot(dir: string, patterns: unknown[]): WorkspaceRoot {
+    const globs = patterns
+        .filter((pattern): pattern is string => typeof pattern === 'string')
+        .map(pattern => pattern.replace(/^\.\//, '').replace(/\/$/, ''));
+
+    return {
+        dir,
+        include: globs.filter(glob => !glob.startsWith('!')).map(glob => globToRegExp(glob)),
+        exclude: globs.filter(glob => glob.startsWith('!')).map(glob => globToRegExp(glob.slice(1)))
+    };
+}
+
+/**
+ * pnpm-workspace.yaml 의 packages 목록만 읽는 간단한 파서
+ */
+function parsePnpmPackages(content: string): string[] {
+    const patterns: string[] = [];
+    let inPackages = false;
+
+    for (const line of content.split(/\r?\n/)) {
+        if (/^packages\s*:/.test(line)) {
+            inPackages = true;
+            continue;
+        }
+        if (!inPackages || !line.trim() || line.trim().startsWith('#')) {
+            continue;
+        }
+
+        const item = line.match(/^\s+-\s*['"]?([^'"#]+?)['"]?\s*(?:#.*)?$/);
+        if (item) {
+            patterns.push(item[1]);
+        } else if (!/^\s/.test(line)) {
+            // 다음 최상위 키
+            inPackages = false;
+        }
+    }
+
+    return patterns;
+}
+
+async function readJson(fullPath: string): Promise<Record<string, unknown> | undefined> {
+    try {
+        const json = JSON.parse(await fs.readFile(fullPath, 'utf-8'));
+        return json && typeof json === 'object' ? json : undefined;
+    } catch {
+        return undefined;
+    }
+}
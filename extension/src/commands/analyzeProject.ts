@@ -1,7 +1,13 @@
 import * as vscode from 'vscode';
 import { ProjectAnalyzer } from '../analyzers/projectAnalyzer';
+import { AnalyzerOptions } from '../types';
 import { DiagramWebviewProvider } from '../webview/webviewProvider';
 import { logger } from '../services/logService';
+import { AnalysisWatcher } from '../services/analysisWatcher';
+import { AnalysisCache } from '../services/analysisCache';
+
+// 마지막으로 연 다이어그램의 파일 감시자 (다시 분석하면 이전 감시자는 중지)
+let activeWatcher: AnalysisWatcher | undefined;
 
 export async function analyzeProjectCommand(
     context: vscode.ExtensionContext,
@@ -10,9 +16,13 @@ export async function analyzeProjectCommand(
     logger.info('Starting project analysis command', { uri: uri?.fsPath });
     
     try {
+        const workspaceFolders = vscode.workspace.workspaceFolders || [];
         const workspaceFolder = uri 
             ? vscode.workspace.getWorkspaceFolder(uri)
-            : vscode.workspace.workspaceFolders?.[0];
+            : workspaceFolders[0];
+        
+        // 특정 폴더에서 실행하지 않았고 다중 루트 작업 공간이면 모든 폴더를 함께 분석
+        const analyzeAllFolders = !uri && workspaceFolders.length > 1;
 
         if (!workspaceFolder) {
             logger.warn('No workspace folder found');
@@ -20,7 +30,15 @@ export async function analyzeProjectCommand(
             return;
         }
 
-        logger.info('Analyzing workspace', { path: workspaceFolder.uri.fsPath });
+        // 탐색기에서 하위 폴더를 선택했으면 그 폴더로 범위를 한정
+        const scopePath = await getScopePath(uri, workspaceFolder);
+
+        const rootPaths = analyzeAllFolders
+            ? workspaceFolders.map(folder => folder.uri.fsPath)
+            : [workspaceFolder.uri.fsPath];
+
+        logger.info('Analyzing workspace', { paths: rootPaths, scope: scopePath });
+        disposeActiveWatcher();
 
         await vscode.window.withProgress({
             location: vscode.ProgressLocation.Notification,
@@ -30,8 +48,18 @@ export async function analyzeProjectCommand(
             progress.report({ increment: 10, message: '파일 스캔 중...' });
             logger.debug('Progress: Scanning files');
             
-            const analyzer = new ProjectAnalyzer();
-            const analysisResult = await analyzer.analyzeProject(workspaceFolder.uri.fsPath);
+            const analyzer = new ProjectAnalyzer(
+                getCacheStoragePath(context),
+                getAnalyzerOptions(workspaceFolder.uri)
+            );
+            // 다중 루트는 폴더마다 그 폴더 범위의 설정을 적용
+            const analysisResult = analyzeAllFolders
+                ? await analyzer.analyzeWorkspaceFolders(workspaceFolders.map(folder => ({
+                    name: folder.name,
+                    fsPath: folder.uri.fsPath,
+                    options: getAnalyzerOptions(folder.uri)
+                })))
+                : await analyzer.analyzeProject(workspaceFolder.uri.fsPath, scopePath);
             
             logger.info('Analysis complete', {
                 totalFiles: analysisResult.files.length,
@@ -48,6 +76,22 @@ export async function analyzeProjectCommand(
             const webviewProvider = new DiagramWebviewProvider(context, analysisResult);
             const panel = webviewProvider.createWebview();
             
+            // 파일 변경 시 변경된 파일만 다시 분석하여 패널을 갱신
+            if (vscode.workspace.getConfiguration('codesync').get<boolean>('autoRefresh', true)) {
+                const watcher = new AnalysisWatcher(
+                    analyzer,
+                    rootPaths,
+                    delta => webviewProvider.postDelta(delta)
+                );
+                activeWatcher = watcher;
+                panel.onDidDispose(() => {
+                    watcher.dispose();
+                    if (activeWatcher === watcher) {
+                        activeWatcher = undefined;
+                    }
+                });
+            }
+            
             progress.report({ increment: 40, message: '다이어그램 생성 완료!' });
             logger.info('Diagram created successfully');
             
@@ -59,4 +103,71 @@ export async function analyzeProjectCommand(
         vscode.window.showErrorMessage(`프로젝트 분석 실패: ${error instanceof Error ? error.message : String(error)}`);
         throw error;
     }
-}
\ No newline at end of file
+}
+
+/** 마지막 다이어그램의 파일 감시자를 중지합니다 (확장 비활성화 시에도 호출). */
+export function disposeActiveWatcher(): void {
+    activeWatcher?.dispose();
+    activeWatcher = undefined;
+}
+
+async function getScopePath(
+    uri: vscode.Uri | undefined,
+    workspaceFolder: vscode.WorkspaceFolder
+): Promise<string | undefined> {
+    if (!uri || uri.fsPath === workspaceFolder.uri.fsPath) {
+        return undefined;
+    }
+
+    try {
+        const stat = await vscode.workspace.fs.stat(uri);
+        return stat.type & vscode.FileType.Directory ? uri.fsPath : undefined;
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * 작업 공간 설정에서 분석 대상 포함/제외 규칙을 읽습니다.
+ */
+export function getAnalyzerOptions(scope: vscode.Uri): AnalyzerOptions {
+    const config = vscode.workspace.getConfiguration('codesync', scope);
+    return {
+        include: config.get<string[]>('include', []),
+        exclude: config.get<string[]>('exclude', []),
+        additionalExtensions: config.get<string[]>('additionalExtensions', []),
+        ignoreDirectories: config.get<string[]>('ignoreDirectories', []),
+        maxFileSize: config.get<number>('maxFileSizeKB', 1024) * 1024,
+        includeHiddenDirectories: config.get<boolean>('includeHiddenDirectories', false),
+        useGitignore: config.get<boolean>('useGitignore', true),
+        includePaths: config.get<string[]>('includePaths', []),
+        entryPoints: config.get<string[]>('entryPoints', [])
+    };
+}
+
+/**
+ * 분석 캐시를 저장할 경로 (작업 공간 저장소 우선, 설정으로 끌 수 있음)
+ */
+export function getCacheStoragePath(context: vscode.ExtensionContext): string | undefined {
+    if (!vscode.workspace.getConfiguration('codesync').get<boolean>('useCache', true)) {
+        return undefined;
+    }
+    return (context.storageUri || context.globalStorageUri).fsPath;
+}
+
+export async function clearCacheCommand(context: vscode.ExtensionContext) {
+    try {
+        const storagePaths = [context.storageUri, context.globalStorageUri]
+            .filter((uri): uri is vscode.Uri => !!uri)
+            .map(uri => uri.fsPath);
+        
+        for (const storagePath of storagePaths) {
+            await AnalysisCache.clear(storagePath);
+        }
+        
+        vscode.window.showInformationMessage('분석 캐시를 삭제했습니다.');
+    } catch (error) {
+        logger.error('Failed to clear analysis cache', error);
+        vscode.window.showErrorMessage(`분석 캐시 삭제 실패: ${error instanceof Error ? error.message : String(error)}`);
+    }
+}
@@ -1,5 +1,5 @@
 import * as vscode from 'vscode';
-import { analyzeProjectCommand } from './commands/analyzeProject';
+import { analyzeProjectCommand, clearCacheCommand, disposeActiveWatcher } from './commands/analyzeProject';
 import { logger } from './services/logService';
 
 export function activate(context: vscode.ExtensionContext) {
@@ -21,6 +21,7 @@ export function activate(context: vscode.ExtensionContext) {
     );
 
     context.subscriptions.push(disposable);
+    context.subscriptions.push({ dispose: disposeActiveWatcher });
 
     // Register log commands
     context.subscriptions.push(
@@ -29,6 +30,10 @@ export function activate(context: vscode.ExtensionContext) {
         })
     );
 
+    context.subscriptions.push(
+        vscode.commands.registerCommand('codesync.clearCache', () => clearCacheCommand(context))
+    );
+
     // Clear logs command removed - not implemented in LogService
 }
 
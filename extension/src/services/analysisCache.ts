@@ -0,0 +1,162 @@
+import * as path from 'path';
+import * as fs from 'fs/promises';
+import * as crypto from 'crypto';
+import { FileInfo, DependencyInfo } from '../types';
+import { ParsedJSModule } from '../analyzers/jsParser';
+import { logger } from './logService';
+
+// 캐시 형식이 바뀌면 올려서 이전 캐시를 무시
+const CACHE_VERSION = 6;
+const CACHE_DIR_NAME = 'analysis-cache';
+
+export interface CachedFileAnalysis {
+    mtime: number;
+    size: number;
+    hash: string;
+    comments: string[];
+    description: string;
+    functions: string[];
+    variables: string[];
+    classes: string[];
+    jsModule?: ParsedJSModule; // import 해석만 다시 하면 되도록 파싱 결과 보관
+    dependencies: DependencyInfo[];
+}
+
+interface CacheFile {
+    version: number;
+    rootPath: string;
+    signature: string; // 의존성 해석 결과가 유효한 파일 구성
+    entries: Record<string, CachedFileAnalysis>;
+}
+
+/**
+ * 파일별 분석 결과를 확장 저장소에 보관하는 영구 캐시입니다.
+ * 경로와 mtime/크기가 같으면 파일을 읽지 않고, 내용 해시가 같으면 다시 파싱하지 않습니다.
+ */
+export class AnalysisCache {
+    private dirty = false;
+
+    private constructor(
+        private cacheFile: string,
+        private rootPath: string,
+        private signature: string,
+        private entries: Map<string, CachedFileAnalysis>
+    ) {}
+
+    static async load(storagePath: string, rootPath: string): Promise<AnalysisCache> {
+        const rootHash = AnalysisCache.hash(rootPath);
+        const cacheFile = path.join(storagePath, CACHE_DIR_NAME, `${rootHash}.json`);
+        const entries = new Map<string, CachedFileAnalysis>();
+        let signature = '';
+
+        try {
+            const data = JSON.parse(await fs.readFile(cacheFile, 'utf-8')) as CacheFile;
+            if (data.version === CACHE_VERSION && data.rootPath === rootPath) {
+                Object.entries(data.entries).forEach(([filePath, entry]) => entries.set(filePath, entry));
+                signature = data.signature;
+            }
+            logger.info('Analysis cache loaded', { cacheFile, entries: entries.size });
+        } catch (error) {
+            if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+                logger.warn('Ignoring unreadable analysis cache', { cacheFile, error: (error as Error).message });
+            }
+        }
+
+        return new AnalysisCache(cacheFile, rootPath, signature, entries);
+    }
+
+    static async clear(storagePath: string): Promise<void> {
+        await fs.rm(path.join(storagePath, CACHE_DIR_NAME), { recursive: true, force: true });
+        logger.info('Analysis cache cleared', { storagePath });
+    }
+
+    static hash(content: string): string {
+        return crypto.createHash('sha1').update(content).digest('hex');
+    }
+
+    /** 마지막 저장 시점과 파일 구성이 같아서 캐시된 의존성을 그대로 쓸 수 있는지 */
+    isSignatureValid(signature: string): boolean {
+        return this.signature === signature;
+    }
+
+    /** mtime과 크기가 같으면 파일을 읽지 않고 사용 */
+    getByStat(file: FileInfo): CachedFileAnalysis | undefined {
+        const entry = this.entries.get(file.path);
+        if (entry && entry.mtime === file.lastModified.getTime() && entry.size === file.size) {
+            return entry;
+        }
+        return undefined;
+    }
+
+    /** mtime만 바뀐 경우(브랜치 전환 등) 내용 해시로 확인 */
+    getByContent(file: FileInfo, content: string): CachedFileAnalysis | undefined {
+        const entry = this.entries.get(file.path);
+        if (entry && entry.hash === AnalysisCache.hash(content)) {
+            entry.mtime = file.lastModified.getTime();
+            entry.size = file.size;
+            this.dirty = true;
+            return entry;
+        }
+        return undefined;
+    }
+
+    set(file: FileInfo, content: string, jsModule: ParsedJSModule | undefined, dependencies: DependencyInfo[]): void {
+        this.entries.set(file.path, {
+            mtime: file.lastModified.getTime(),
+            size: file.size,
+            hash: AnalysisCache.hash(content),
+            comments: file.comments || [],
+            description: file.description || '',
+            functions: file.functions || [],
+            variables: file.variables || [],
+            classes: file.classes || [],
+            jsModule,
+            dependencies
+        });
+        this.dirty = true;
+    }
+
+    setDependencies(filePath: string, dependencies: DependencyInfo[]): void {
+        const entry = this.entries.get(filePath);
+        if (entry) {
+            entry.dependencies = dependencies;
+            this.dirty = true;
+        }
+    }
+
+    delete(filePath: string): void {
+        this.dirty = this.entries.delete(filePath) || this.dirty;
+    }
+
+    /** 현재 프로젝트에 없는 파일의 항목을 정리하고 디스크에 기록 */
+    async save(signature: string, existingPaths: Iterable<string>): Promise<void> {
+        const existing = new Set(existingPaths);
+        for (const filePath of this.entries.keys()) {
+            if (!existing.has(filePath)) {
+                this.entries.delete(filePath);
+                this.dirty = true;
+            }
+        }
+
+        if (!this.dirty && this.signature === signature) {
+            return;
+        }
+        this.signature = signature;
+
+        const data: CacheFile = {
+            version: CACHE_VERSION,
+            rootPath: this.rootPath,
+            signature,
+            entries: Object.fromEntries(this.entries)
+        };
+
+        try {
+            await fs.mkdir(path.dirname(this.cacheFile), { recursive: true });
+            await fs.writeFile(this.cacheFile, JSON.stringify(data));
+            this.dirty = false;
+            logger.debug('Analysis cache saved', { cacheFile: this.cacheFile, entries: this.entries.size });
+        } catch (error) {
+            logger.warn('Failed to save analysis cache', { cacheFile: this.cacheFile, error: (error as Error).message });
+        }
+    }
+}
@@ -0,0 +1,87 @@
+import * as vscode from 'vscode';
+import { ProjectAnalyzer } from '../analyzers/projectAnalyzer';
+import { AnalysisDelta } from '../types';
+import { logger } from './logService';
+
+/**
+ * 작업 공간의 파일 변경을 감시하여 변경된 파일만 증분 분석합니다.
+ * 저장이 연달아 일어나도 한 번만 분석하도록 이벤트를 모아서 처리합니다.
+ */
+export class AnalysisWatcher implements vscode.Disposable {
+    private watchers: vscode.FileSystemWatcher[];
+    private changedPaths = new Set<string>();
+    private deletedPaths = new Set<string>();
+    private timer: NodeJS.Timeout | undefined;
+    private pending: Promise<void> = Promise.resolve();
+    private disposed = false;
+
+    constructor(
+        private analyzer: ProjectAnalyzer,
+        rootPaths: string[],
+        private onDelta: (delta: AnalysisDelta) => void,
+        private debounceMs = 500
+    ) {
+        // 다중 루트 분석 시 폴더마다 감시자를 둠
+        this.watchers = rootPaths.map(rootPath => {
+            const watcher = vscode.workspace.createFileSystemWatcher(
+                new vscode.RelativePattern(rootPath, '**/*')
+            );
+            watcher.onDidCreate(uri => this.enqueue(uri.fsPath, false));
+            watcher.onDidChange(uri => this.enqueue(uri.fsPath, false));
+            watcher.onDidDelete(uri => this.enqueue(uri.fsPath, true));
+            return watcher;
+        });
+
+        logger.info('File watcher started', { rootPaths });
+    }
+
+    private enqueue(fsPath: string, deleted: boolean): void {
+        if (deleted) {
+            this.changedPaths.delete(fsPath);
+            this.deletedPaths.add(fsPath);
+        } else {
+            this.deletedPaths.delete(fsPath);
+            this.changedPaths.add(fsPath);
+        }
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+        }
+        this.timer = setTimeout(() => this.flush(), this.debounceMs);
+    }
+
+    private flush(): void {
+        this.timer = undefined;
+        const changed = Array.from(this.changedPaths);
+        const deleted = Array.from(this.deletedPaths);
+        this.changedPaths.clear();
+        this.deletedPaths.clear();
+
+        // 이전 증분 분석이 끝난 뒤에 순서대로 실행
+        this.pending = this.pending
+            .then(async () => {
+                if (this.disposed) {
+                    return;
+                }
+                const delta = await this.analyzer.updateFiles(changed, deleted);
+                // 분석하는 동안 패널이 닫혔으면 결과를 보내지 않음
+                if (delta && !this.disposed) {
+                    this.onDelta(delta);
+                }
+            })
+            .catch(error => logger.error('Incremental analysis failed', error));
+    }
+
+    dispose(): void {
+        if (this.disposed) {
+            return;
+        }
+        this.disposed = true;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = undefined;
+        }
+        this.watchers.forEach(watcher => watcher.dispose());
+        logger.info('File watcher stopped');
+    }
+}
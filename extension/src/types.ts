@@ -9,27 +9,65 @@ export interface FileInfo {
     isDirectory?: boolean;
     children?: FileInfo[];
     comments?: string[]; // 파일의 주요 주석들
-    isUsed?: boolean; // 다른 파일에서 참조되는지 여부
+    isUsed?: boolean; // 진입점에서 도달할 수 있는지 여부 (진입점이 없는 언어는 다른 파일과 연결되어 있는지, 설정/문서 파일은 판단하지 않음)
+    isEntryPoint?: boolean; // package.json, 번들러 설정, 프레임워크 관례로 찾은 진입점
     description?: string; // 파일의 한글 설명
     referenceCount?: number; // 파일이 참조되는 횟수 (중요도)
     functions?: string[]; // 파일에 정의된 함수들
     variables?: string[]; // 파일에 정의된 변수들
     classes?: string[]; // 파일에 정의된 클래스들
+    exports?: string[]; // JS/TS 모듈이 export 하는 이름 ('default' 포함)
+    defaultExport?: string; // export default 로 내보낸 함수/클래스 이름
+    calls?: CallInfo[]; // JS/TS 함수 사이의 호출 관계
+    reExports?: ReExportInfo[]; // export ... from 으로 다른 파일에서 가져와 내보내는 이름 (barrel 파일)
+    layer?: string; // 레이어 규칙으로 분류된 레이어 이름
+    pairedFile?: string; // C/C++ 소스와 같은 이름의 헤더 (헤더는 반대로 소스)
+}
+
+export interface CallInfo {
+    caller: string; // 호출하는 함수 (클래스 메서드는 Class.method, 최상위 코드는 '(module)')
+    callee: string; // 호출되는 함수 (다른 파일이면 그 파일에서 export 한 이름)
+    file: string; // callee 가 있는 파일 (루트 기준 경로)
+}
+
+export interface ReExportInfo {
+    name: string; // 이 파일이 내보내는 이름 (export * from 은 '*')
+    importedName: string; // 가져온 파일에서의 이름 ('*' 는 모든 이름 또는 네임스페이스)
+    file: string; // 가져온 파일 (루트 기준 경로)
+}
+
+// barrel 을 거쳐 import 한 이름을 실제로 선언한 파일
+export interface ReExportSource {
+    file: string;
+    specifiers: string[]; // 선언한 파일에서의 이름
+    importedNames: string[]; // barrel 에서 import 한 이름 (specifiers 와 같은 순서)
+    usedSpecifiers?: string[]; // specifiers 중 import 한 파일에서 실제로 참조하는 이름
+    via: string[]; // 거쳐 간 barrel 파일 (import 한 파일에 가까운 순)
 }
 
 export interface DependencyInfo {
     from: string;
     to: string;
-    type: 'import' | 'export' | 'inheritance' | 'include' | 'script' | 'stylesheet' | 'database';
+    type: 'import' | 'export' | 'inheritance' | 'include' | 'script' | 'stylesheet' | 'asset' | 'navigation' | 'database';
+    specifiers?: string[]; // import된 식별자들 ('default', '*', named)
+    usedSpecifiers?: string[]; // specifiers 중 가져온 파일에서 실제로 참조하는 식별자
+    reExportSources?: ReExportSource[]; // 대상이 barrel 이면 re-export 를 따라가 찾은 실제 선언 파일
+    isTypeOnly?: boolean; // 타입 전용 import 여부 (import type)
+    violation?: string; // 위반한 레이어 의존성 규칙
 }
 
+// 레이어 이름 -> 파일 (LayerDefinition 순서)
 export interface Layer {
-    presentation: FileInfo[];
-    business: FileInfo[];
-    data: FileInfo[];
-    utils: FileInfo[];
-    config: FileInfo[];
-    [key: string]: FileInfo[];
+    [layerName: string]: FileInfo[];
+}
+
+export interface LayerDefinition {
+    name: string;
+    title: string;
+    color: string;
+    patterns: string[]; // 작업 공간 폴더 기준 glob
+    allowedDependencies?: string[]; // 지정하면 이 레이어들에만 의존 가능
+    forbiddenDependencies?: string[]; // 의존하면 안 되는 레이어
 }
 
 export interface ProjectStats {
@@ -40,15 +78,57 @@ export interface ProjectStats {
     avgFileSize: number;
 }
 
+export interface WorkspaceFolderInfo {
+    name: string;
+    path: string; // rootPath 기준 상대 경로
+}
+
+export type PackageDependencyType =
+    'dependencies' | 'devDependencies' | 'peerDependencies' | 'optionalDependencies' | 'implicit';
+
+export interface WorkspacePackage {
+    name: string;
+    path: string; // 패키지 디렉터리 (rootPath 기준)
+    manifestPath: string; // package.json, nx project.json, Cargo.toml, .csproj 또는 Go 패키지의 첫 .go 파일
+    version?: string;
+    dependencies: Array<{ name: string; type: PackageDependencyType }>; // 형제 패키지 의존성
+}
+
 export interface ProjectStructure {
     rootPath: string;
+    scope?: string; // 폴더 단위 분석 시 rootPath 기준 상대 경로
+    workspaceFolders?: WorkspaceFolderInfo[]; // 다중 루트 분석 시 각 작업 공간 폴더
+    packages?: WorkspacePackage[]; // 모노레포 워크스페이스 패키지
     files: FileInfo[];
     fileTree: FileInfo[];
     dependencies: DependencyInfo[];
     layers: Layer;
+    layerDefinitions: LayerDefinition[];
     stats: ProjectStats;
 }
 
+export interface AnalyzerOptions {
+    include?: string[]; // 지정하면 매칭되는 파일만 분석
+    exclude?: string[]; // .gitignore 형식의 제외 패턴
+    additionalExtensions?: string[];
+    ignoreDirectories?: string[];
+    maxFileSize?: number; // 바이트, 0 이면 제한 없음
+    includeHiddenDirectories?: boolean;
+    useGitignore?: boolean;
+    includePaths?: string[]; // C/C++ include 디렉터리 (작업 공간 폴더 기준)
+    entryPoints?: string[]; // 자동으로 찾은 진입점에 더할 glob 패턴
+}
+
+export interface AnalysisDelta {
+    updatedFiles: FileInfo[]; // 새로 생성되었거나 분석 결과가 바뀐 파일
+    removedFiles: string[]; // 삭제된 파일 경로
+    addedDependencies: DependencyInfo[];
+    removedDependencies: DependencyInfo[];
+    structureChanged: boolean; // 파일 트리 변경 여부
+    packages?: WorkspacePackage[]; // 패키지 구성이 바뀐 경우에만 포함
+    layerDefinitions?: LayerDefinition[]; // 레이어 설정이 바뀐 경우에만 포함
+}
+
 export interface WebviewMessage {
     command: string;
     data?: unknown;
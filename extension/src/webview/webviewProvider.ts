@@ -1,6 +1,6 @@
 import * as vscode from 'vscode';
 import * as path from 'path';
-import { ProjectStructure, WebviewMessage } from '../types';
+import { ProjectStructure, WebviewMessage, FileInfo, DependencyInfo, AnalysisDelta } from '../types';
 
 export class DiagramWebviewProvider {
     private panel: vscode.WebviewPanel | undefined;
@@ -13,7 +13,7 @@ export class DiagramWebviewProvider {
     createWebview(): vscode.WebviewPanel {
         const panel = vscode.window.createWebviewPanel(
             'codeSyncDiagram',
-            'CodeSync Architecture Diagram',
+            this.getPanelTitle(),
             vscode.ViewColumn.One,
             {
                 enableScripts: true,
@@ -41,9 +41,46 @@ export class DiagramWebviewProvider {
             });
         }, 500);
 
+        panel.onDidDispose(() => {
+            this.panel = undefined;
+        });
+
         return panel;
     }
 
+    private getPanelTitle(): string {
+        if (this.projectData.scope) {
+            return `CodeSync: ${this.projectData.scope}`;
+        }
+        if (this.projectData.workspaceFolders) {
+            return `CodeSync: ${this.projectData.workspaceFolders.map(folder => folder.name).join(', ')}`;
+        }
+        return 'CodeSync Architecture Diagram';
+    }
+
+    /**
+     * 증분 분석 결과를 웹뷰에 전달합니다. 웹뷰는 영향받은 노드와 엣지만 다시 그립니다.
+     */
+    postDelta(delta: AnalysisDelta) {
+        if (!this.panel) {
+            return;
+        }
+
+        this.panel.webview.postMessage({
+            command: 'applyDelta',
+            data: {
+                updatedComponents: delta.updatedFiles.map(file => this.toComponent(file)),
+                removedComponents: delta.removedFiles.map(filePath => this.toComponentId(filePath)),
+                addedConnections: delta.addedDependencies.map(dep => this.toConnection(dep)),
+                removedConnections: delta.removedDependencies.map(dep => this.toConnection(dep)),
+                stats: this.projectData.stats,
+                fileTree: delta.structureChanged ? this.projectData.fileTree : undefined,
+                packages: delta.packages,
+                layerDefinitions: delta.layerDefinitions
+            }
+        });
+    }
+
     private handleMessage(message: WebviewMessage) {
         const data = message.data as Record<string, any>;
         switch (message.command) {
@@ -166,6 +203,12 @@ export class DiagramWebviewProvider {
                     content = data.content;
                     break;
                     
+                case 'txt':
+                    // 사용하지 않는 파일 목록
+                    fileName = `unused-files-${timestamp}.txt`;
+                    content = data.content;
+                    break;
+                    
                 default:
                     throw new Error(`Unknown export format: ${data.format}`);
             }
@@ -193,71 +236,91 @@ export class DiagramWebviewProvider {
     }
 
     private transformProjectData() {
-        const layers: Record<string, Array<{ id: string; type: string; label: string; layer: string; dependencies: string[] }>> = {
-            vscode: [],
-            core: [],
-            analysis: [],
-            rendering: [],
-            utility: []
-        };
+        // 레이어 규칙의 순서대로 표시
+        const layers: Record<string, Array<{ id: string; type: string; label: string; layer: string; dependencies: string[] }>> = {};
+        this.projectData.layerDefinitions.forEach(definition => {
+            layers[definition.name] = [];
+        });
 
         // Transform files into components
         const components = this.projectData.files.map(file => {
-            const layer = this.determineLayer(file.path);
-            const component = {
-                id: file.path.replace(/[^a-zA-Z0-9]/g, '_'),
-                type: this.getComponentType(file),
-                label: file.name,
-                name: file.name,
-                file: file.path,
-                fullPath: file.fullPath,
-                layer: layer,
-                dependencies: [],
-                isUsed: file.isUsed,
-                referenceCount: file.referenceCount || 0,
-                description: file.description || '',
-                comments: file.comments || [],
-                functions: file.functions || [],
-                variables: file.variables || [],
-                classes: file.classes || []
-            };
-            
-            layers[layer].push(component);
+            const component = this.toComponent(file);
+            (layers[component.layer] = layers[component.layer] || []).push(component);
             return component;
         });
 
         // Transform dependencies into connections
-        const connections = this.projectData.dependencies.map(dep => ({
-            from: dep.from.replace(/[^a-zA-Z0-9]/g, '_'),
-            to: dep.to.startsWith('[DB:') ? dep.to : dep.to.replace(/[^a-zA-Z0-9]/g, '_'),
-            type: dep.type,
-            label: dep.type
-        }));
+        const connections = this.projectData.dependencies.map(dep => this.toConnection(dep));
 
         return {
             layers,
+            layerDefinitions: this.projectData.layerDefinitions,
             components,
             connections,
             dependencies: this.projectData.dependencies, // Include raw dependencies for database processing
             stats: this.projectData.stats,
+            scope: this.projectData.scope,
+            workspaceFolders: this.projectData.workspaceFolders || [],
+            packages: this.projectData.packages || [],
             fileTree: this.projectData.fileTree || [] // Include the file tree
         };
     }
 
-    private determineLayer(filePath: string): string {
-        const pathLower = filePath.toLowerCase();
-        
-        if (pathLower.includes('extension') || pathLower.includes('command')) {
-            return 'vscode';
-        } else if (pathLower.includes('service') || pathLower.includes('provider')) {
-            return 'core';
-        } else if (pathLower.includes('analyzer') || pathLower.includes('parser')) {
-            return 'analysis';
-        } else if (pathLower.includes('view') || pathLower.includes('render') || pathLower.includes('ui')) {
-            return 'rendering';
-        } else {
-            return 'utility';
-        }
+    private toComponentId(filePath: string): string {
+        return filePath.replace(/[^a-zA-Z0-9]/g, '_');
+    }
+
+    private toComponent(file: FileInfo) {
+        return {
+            id: this.toComponentId(file.path),
+            type: this.getComponentType(file),
+            label: file.name,
+            name: file.name,
+            file: file.path,
+            fullPath: file.fullPath,
+            layer: file.layer || '',
+            pairedFile: file.pairedFile,
+            folder: this.getWorkspaceFolderName(file.path),
+            dependencies: [],
+            isUsed: file.isUsed,
+            isEntryPoint: file.isEntryPoint,
+            referenceCount: file.referenceCount || 0,
+            description: file.description || '',
+            comments: file.comments || [],
+            functions: file.functions || [],
+            variables: file.variables || [],
+            classes: file.classes || [],
+            exports: file.exports,
+            defaultExport: file.defaultExport,
+            calls: file.calls || [],
+            isBarrel: (file.reExports || []).length > 0
+        };
+    }
+
+    private getWorkspaceFolderName(filePath: string): string | undefined {
+        return this.projectData.workspaceFolders
+            ?.find(folder => filePath.startsWith(`${folder.path}/`))?.name;
+    }
+
+    private toConnection(dep: DependencyInfo) {
+        return {
+            from: this.toComponentId(dep.from),
+            // DB, 경계, 시스템 헤더 노드는 웹뷰에서 원래 이름을 id로 사용
+            to: /^\[(?:DB:|Boundary\]|System\])/.test(dep.to) ? dep.to : this.toComponentId(dep.to),
+            type: dep.type,
+            label: dep.type,
+            specifiers: dep.specifiers || [],
+            usedSpecifiers: dep.usedSpecifiers,
+            reExportSources: dep.reExportSources?.map(source => ({
+                id: this.toComponentId(source.file),
+                specifiers: source.specifiers,
+                importedNames: source.importedNames,
+                usedSpecifiers: source.usedSpecifiers,
+                via: source.via.map(file => this.toComponentId(file))
+            })),
+            isTypeOnly: dep.isTypeOnly || false,
+            violation: dep.violation
+        };
     }
 
     private getComponentType(file: { name: string; extension: string }): string {
@@ -317,6 +380,12 @@ export class DiagramWebviewProvider {
                 <button class="control-btn" id="umlToggle" title="Toggle UML View">
                     <span>📐</span> UML
                 </button>
+                <button class="control-btn" id="barrelToggle" title="Draw imports of barrel files to the modules that declare the symbols">
+                    <span>🧩</span> Flatten Barrels
+                </button>
+                <button class="control-btn" id="packageViewToggle" title="Show Package Graph" style="display: none;">
+                    <span>📦</span> Packages
+                </button>
                 <button class="control-btn" id="resetViewBtn" title="Reset View">
                     <span>🔄</span> Reset View
                 </button>
@@ -362,6 +431,15 @@ export class DiagramWebviewProvider {
                 </div>
             </div>
             
+            <div class="sidebar-section">
+                <div class="sidebar-title">
+                    <span>🧹</span> Unused Exports
+                </div>
+                <div class="sidebar-content" id="unusedExports">
+                    <!-- Exports no other file references -->
+                </div>
+            </div>
+            
             <div class="sidebar-section">
                 <div class="sidebar-title">
                     <span>🎨</span> Connection Types
@@ -409,6 +487,24 @@ export class DiagramWebviewProvider {
                         </svg>
                         <span>Stylesheet</span>
                     </div>
+                    <div class="legend-item">
+                        <svg width="40" height="2" style="vertical-align: middle; margin-right: 8px;">
+                            <line x1="0" y1="1" x2="40" y2="1" stroke="#e3b341" stroke-width="2" stroke-dasharray="2,6"/>
+                        </svg>
+                        <span>Asset</span>
+                    </div>
+                    <div class="legend-item">
+                        <svg width="40" height="2" style="vertical-align: middle; margin-right: 8px;">
+                            <line x1="0" y1="1" x2="40" y2="1" stroke="#39c5cf" stroke-width="2" stroke-dasharray="10,3,2,3"/>
+                        </svg>
+                        <span>Navigation</span>
+                    </div>
+                    <div class="legend-item">
+                        <svg width="40" height="2" style="vertical-align: middle; margin-right: 8px;">
+                            <line x1="0" y1="1" x2="40" y2="1" stroke="#a371f7" stroke-width="2"/>
+                        </svg>
+                        <span>Call</span>
+                    </div>
                 </div>
             </div>
             
@@ -472,27 +568,8 @@ export class DiagramWebviewProvider {
             <div id="advancedControls">
                 <div class="control-section">
                     <h3><span>🎛️</span> Layer Filters</h3>
-                    <div class="filter-group">
-                        <label class="filter-checkbox">
-                            <input type="checkbox" checked data-filter-layer="vscode">
-                            <span>VS Code API Layer</span>
-                        </label>
-                        <label class="filter-checkbox">
-                            <input type="checkbox" checked data-filter-layer="core">
-                            <span>Core Services Layer</span>
-                        </label>
-                        <label class="filter-checkbox">
-                            <input type="checkbox" checked data-filter-layer="analysis">
-                            <span>Analysis Layer</span>
-                        </label>
-                        <label class="filter-checkbox">
-                            <input type="checkbox" checked data-filter-layer="rendering">
-                            <span>Rendering Layer</span>
-                        </label>
-                        <label class="filter-checkbox">
-                            <input type="checkbox" checked data-filter-layer="utility">
-                            <span>Utility Layer</span>
-                        </label>
+                    <div class="filter-group" id="layerFilters">
+                        <!-- Filters are built from the project's layer rules -->
                     </div>
                 </div>
                 
@@ -508,9 +585,24 @@ export class DiagramWebviewProvider {
                     <button class="analysis-btn" id="findCircularDeps">
                         Find Circular Dependencies
                     </button>
+                    <button class="analysis-btn" id="showLayerViolations">
+                        Show Layer Violations
+                    </button>
+                    <button class="analysis-btn" id="showIncludeFanOut">
+                        Show Include Fan-out
+                    </button>
                     <button class="analysis-btn" id="showCriticalPath">
                         Show Critical Path
                     </button>
+                    <button class="analysis-btn" id="showSiteMap">
+                        Show Site Map
+                    </button>
+                    <button class="analysis-btn" id="showCallGraph">
+                        Show Call Graph
+                    </button>
+                    <button class="analysis-btn" id="showUnusedFiles">
+                        Show Unused Files
+                    </button>
                     <button class="analysis-btn" id="generateReport">
                         Generate Report
                     </button>
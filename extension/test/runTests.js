@@ -1,4 +1,52 @@
 const path = require('path');
+const fs = require('fs');
+const Module = require('module');
+
+const FIXTURES = path.join(__dirname, 'test-project', 'resolution');
+
+// Minimal vscode API for the log service (the analyzers themselves do not use vscode)
+const vscodeStub = {
+    window: {
+        createOutputChannel: () => ({ appendLine() {}, show() {}, dispose() {} }),
+        showErrorMessage() {},
+        showWarningMessage() {},
+        showInformationMessage() {}
+    },
+    version: 'test'
+};
+
+// Loads the TypeScript sources directly, transpiling each module on require
+function requireSource(relativePath) {
+    if (!require.extensions['.ts']) {
+        const ts = require('typescript');
+        require.extensions['.ts'] = (module, filename) => {
+            const { outputText } = ts.transpileModule(fs.readFileSync(filename, 'utf8'), {
+                fileName: filename,
+                compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2020, esModuleInterop: true }
+            });
+            module._compile(outputText, filename);
+        };
+        const load = Module._load;
+        Module._load = function (request, ...args) {
+            return request === 'vscode' ? vscodeStub : load.call(this, request, ...args);
+        };
+    }
+    return require(path.join(__dirname, '..', 'src', relativePath));
+}
+
+// Analyzes a fixture under test-project/resolution and returns its internal edges as "from -> to" strings
+async function analyzeFixture(name, options) {
+    const { ProjectAnalyzer } = requireSource('analyzers/projectAnalyzer');
+    const structure = await new ProjectAnalyzer(undefined, options).analyzeProject(path.join(FIXTURES, name));
+    return { structure, edges: structure.dependencies.map(dep => `${dep.from} -> ${dep.to}`) };
+}
+
+function expectEdges(edges, expected) {
+    const missing = expected.filter(edge => !edges.includes(edge));
+    if (missing.length > 0) {
+        throw new Error(`Missing edges: ${missing.join(', ')} (found: ${edges.join(', ')})`);
+    }
+}
 
 // Simple test runner that validates basic functionality
 async function runTests() {
@@ -86,6 +134,721 @@ async function runTests() {
                     }
                 });
             }
+        },
+        {
+            name: 'JS/TS parser extracts import forms and ignores comments and strings',
+            test: () => {
+                const { parseJSModule } = requireSource('analyzers/jsParser');
+                const source = [
+                    "// import fake from './commented';",
+                    "/* require('./block-commented') */",
+                    "const text = \"import nope from './in-string'\";",
+                    "import type { Props } from './types';",
+                    "import { type Options, build } from './builder';",
+                    "export * from './all';",
+                    "export { c as cc } from './renamed';",
+                    'const template = require(`./template`);',
+                    "const lazy = () => import('./lazy');",
+                    "import React, * as Everything from './combined';"
+                ].join('\n');
+                const actual = parseJSModule('sample.ts', source).imports
+                    .map(item => `${item.kind} ${item.specifier} [${item.importedNames.join(',')}]${item.isTypeOnly ? ' type' : ''}`);
+                const expected = [
+                    'import ./types [Props] type',
+                    'import ./builder [Options,build]',
+                    'export ./all [*]',
+                    'export ./renamed [c]',
+                    'require ./template [*]',
+                    'dynamic ./lazy [*]',
+                    'import ./combined [default,*]'
+                ];
+                if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+                }
+            }
+        },
+        {
+            name: 'tsconfig paths fall back to packages when no alias target exists',
+            test: async () => {
+                const { edges } = await analyzeFixture('paths');
+                expectEdges(edges, [
+                    'src/main.js -> src/helper.js',
+                    'src/main.js -> src/widgets.js',
+                    'src/main.js -> [External] react',
+                    'src/main.js -> packages/shared/index.js',
+                    'src/main.js -> src/config.js'
+                ]);
+            }
+        },
+        {
+            name: 'Unused files are judged by reachability only for languages with an entry point',
+            test: async () => {
+                const { structure, edges } = await analyzeFixture('entries');
+                expectEdges(edges, ['src/index.js -> media/view.js']);
+                const usage = Object.fromEntries(structure.files.map(file => [file.path, file.isUsed]));
+                const expected = {
+                    'src/index.js': true,
+                    'src/used.js': true,
+                    'media/view.js': true,
+                    'src/orphan.js': false,
+                    'csharp/Service.cs': true,
+                    'csharp/Models/Item.cs': true,
+                    'README.md': undefined,
+                    'package.json': undefined
+                };
+                Object.entries(expected).forEach(([file, isUsed]) => {
+                    if (usage[file] !== isUsed) {
+                        throw new Error(`${file}: expected isUsed ${isUsed}, got ${usage[file]}`);
+                    }
+                });
+            }
+        },
+        {
+            name: 'Incremental update reports changed, added and removed files and edges',
+            test: async () => {
+                const os = require('os');
+                const { ProjectAnalyzer } = requireSource('analyzers/projectAnalyzer');
+                const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'codesync-delta-'));
+                const write = (relPath, content) => {
+                    fs.mkdirSync(path.dirname(path.join(rootPath, relPath)), { recursive: true });
+                    fs.writeFileSync(path.join(rootPath, relPath), content);
+                };
+                const toEdges = deps => deps.map(dep => `${dep.from} -> ${dep.to}`);
+                
+                try {
+                    write('src/a.js', "import { b } from './b.js';\n");
+                    write('src/b.js', 'export const b = 1;\n');
+                    write('src/c.js', "import { b } from './b.js';\n");
+                    const analyzer = new ProjectAnalyzer();
+                    await analyzer.analyzeProject(rootPath);
+                    
+                    // a.js now imports the new d.js, c.js is deleted
+                    write('src/a.js', "import { d } from './d.js';\n");
+                    write('src/d.js', 'export const d = 1;\n');
+                    fs.rmSync(path.join(rootPath, 'src', 'c.js'));
+                    const delta = await analyzer.updateFiles(
+                        [path.join(rootPath, 'src', 'a.js'), path.join(rootPath, 'src', 'd.js')],
+                        [path.join(rootPath, 'src', 'c.js')]
+                    );
+                    
+                    const updated = delta.updatedFiles.map(file => file.path);
+                    ['src/a.js', 'src/d.js'].forEach(file => {
+                        if (!updated.includes(file)) {
+                            throw new Error(`${file} missing from updatedFiles: ${updated.join(', ')}`);
+                        }
+                    });
+                    if (JSON.stringify(delta.removedFiles) !== JSON.stringify(['src/c.js'])) {
+                        throw new Error(`Expected removedFiles [src/c.js], got ${JSON.stringify(delta.removedFiles)}`);
+                    }
+                    if (!delta.structureChanged) {
+                        throw new Error('Adding and removing files should change the structure');
+                    }
+                    expectEdges(toEdges(delta.addedDependencies), ['src/a.js -> src/d.js']);
+                    expectEdges(toEdges(delta.removedDependencies), ['src/a.js -> src/b.js', 'src/c.js -> src/b.js']);
+                    if (toEdges(delta.addedDependencies).includes('src/a.js -> src/b.js')) {
+                        throw new Error('Removed edge reported as added');
+                    }
+                } finally {
+                    fs.rmSync(rootPath, { recursive: true, force: true });
+                }
+            }
+        },
+        {
+            name: 'Analysis cache reuses results only for unchanged files',
+            test: async () => {
+                const os = require('os');
+                const { ProjectAnalyzer } = requireSource('analyzers/projectAnalyzer');
+                const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codesync-cache-'));
+                const rootPath = path.join(workDir, 'project');
+                const storagePath = path.join(workDir, 'storage');
+                fs.cpSync(path.join(FIXTURES, 'paths'), rootPath, { recursive: true });
+                const analyze = async () => (await new ProjectAnalyzer(storagePath).analyzeProject(rootPath))
+                    .dependencies.map(dep => `${dep.from} -> ${dep.to}`);
+                
+                try {
+                    expectEdges(await analyze(), ['src/main.js -> src/helper.js']);
+                    if (!fs.existsSync(storagePath) || fs.readdirSync(storagePath).length === 0) {
+                        throw new Error('Analysis cache was not written');
+                    }
+                    // The cached result of the edited file must not be reused
+                    fs.writeFileSync(path.join(rootPath, 'src', 'main.js'), "import config from './config';\n");
+                    const edges = await analyze();
+                    expectEdges(edges, ['src/main.js -> src/config.js']);
+                    if (edges.includes('src/main.js -> src/helper.js')) {
+                        throw new Error(`Stale cached edge reused: ${edges.join(', ')}`);
+                    }
+                } finally {
+                    fs.rmSync(workDir, { recursive: true, force: true });
+                }
+            }
+        },
+        {
+            name: 'Analysis cache is invalidated by file and setting changes',
+            test: async () => {
+                const os = require('os');
+                const { ProjectAnalyzer } = requireSource('analyzers/projectAnalyzer');
+                const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codesync-cache-'));
+                const rootPath = path.join(workDir, 'project');
+                const storagePath = path.join(workDir, 'storage');
+                fs.cpSync(path.join(FIXTURES, 'cache'), rootPath, { recursive: true });
+                const analyze = async options => (await new ProjectAnalyzer(storagePath, options).analyzeProject(rootPath))
+                    .dependencies.map(dep => `${dep.from} -> ${dep.to}`);
+                
+                try {
+                    if ((await analyze({})).includes('src/main.c -> include/util.h')) {
+                        throw new Error('util.h resolved without the include directory');
+                    }
+                    // Same files, new codesync.includePaths: cached dependencies must not be reused
+                    expectEdges(await analyze({ includePaths: ['include'] }), ['src/main.c -> include/util.h']);
+                    fs.writeFileSync(path.join(rootPath, 'src', 'main.c'), '#include "config.h"\n');
+                    expectEdges(await analyze({ includePaths: ['include'] }), ['src/main.c -> include/config.h']);
+                } finally {
+                    fs.rmSync(workDir, { recursive: true, force: true });
+                }
+            }
+        },
+        {
+            name: 'Glob and ignore patterns follow .gitignore rules',
+            test: () => {
+                const { globToRegExp, patternToRegExp, IgnoreRules } = requireSource('analyzers/pathMatcher');
+                const cases = [
+                    [globToRegExp, '**/*.test.js', 'a.test.js', true],
+                    [globToRegExp, '**/*.test.js', 'src/deep/a.test.js', true],
+                    [globToRegExp, 'src/**/index.js', 'src/index.js', true],
+                    [globToRegExp, 'src/**/index.js', 'src/a/b/index.js', true],
+                    [globToRegExp, 'docs/**', 'docs/a/b.md', true],
+                    [globToRegExp, 'src/*.js', 'src/a/b.js', false],
+                    [globToRegExp, '*.{js,ts}', 'a.ts', true],
+                    [globToRegExp, 'file?.txt', 'file1.txt', true],
+                    [globToRegExp, 'file[!0-9].txt', 'file1.txt', false],
+                    [patternToRegExp, 'node_modules', 'packages/a/node_modules', true],
+                    [patternToRegExp, '/build', 'build', true],
+                    [patternToRegExp, '/build', 'src/build', false],
+                    [patternToRegExp, 'src/gen', 'lib/src/gen', false]
+                ];
+                cases.forEach(([toRegExp, pattern, target, expected]) => {
+                    if (toRegExp(pattern).test(target) !== expected) {
+                        throw new Error(`${toRegExp.name}('${pattern}') on '${target}' should be ${expected}`);
+                    }
+                });
+                
+                const rules = new IgnoreRules();
+                rules.setRules('', '.gitignore', 0, ['# comment', '*.log', '!keep.log', 'tmp/', '/dist', '\\#notes']);
+                rules.setRules('sub', '.gitignore', 0, ['!*.log']);
+                rules.setRules('', 'settings', 2, ['**/*.spec.js']);
+                const ignored = [
+                    ['app.log', false, true],
+                    ['keep.log', false, false],
+                    ['src/keep.log', false, false],
+                    ['sub/debug.log', false, false],
+                    ['tmp', true, true],
+                    ['tmp', false, false],
+                    ['src/tmp', true, true],
+                    ['dist', true, true],
+                    ['src/dist', true, false],
+                    ['#notes', false, true],
+                    ['src/a.spec.js', false, true],
+                    ['src/a.js', false, false]
+                ];
+                ignored.forEach(([relPath, isDirectory, expected]) => {
+                    if (rules.ignores(relPath, isDirectory) !== expected) {
+                        throw new Error(`ignores('${relPath}', ${isDirectory}) should be ${expected}`);
+                    }
+                });
+            }
+        },
+        {
+            name: 'Analysis skips files matched by .gitignore, .codesyncignore and exclude settings',
+            test: async () => {
+                const os = require('os');
+                const { ProjectAnalyzer } = requireSource('analyzers/projectAnalyzer');
+                const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'codesync-ignore-'));
+                const files = {
+                    '.gitignore': 'generated/\n*.min.js\n!keep.min.js\n',
+                    '.codesyncignore': 'docs/drafts/\n',
+                    'src/app.js': "import './keep.min.js';\n",
+                    'src/app.spec.js': "import './app.js';\n",
+                    'src/lib.min.js': '',
+                    'src/keep.min.js': '',
+                    'generated/out.js': '',
+                    'docs/guide.md': '# Guide\n',
+                    'docs/drafts/idea.md': '# Idea\n'
+                };
+                try {
+                    Object.entries(files).forEach(([relPath, content]) => {
+                        fs.mkdirSync(path.dirname(path.join(rootPath, relPath)), { recursive: true });
+                        fs.writeFileSync(path.join(rootPath, relPath), content);
+                    });
+                    const structure = await new ProjectAnalyzer(undefined, { exclude: ['**/*.spec.js'] }).analyzeProject(rootPath);
+                    const analyzed = structure.files.map(file => file.path).sort();
+                    const expected = ['docs/guide.md', 'src/app.js', 'src/keep.min.js'];
+                    if (JSON.stringify(analyzed) !== JSON.stringify(expected)) {
+                        throw new Error(`Expected ${expected.join(', ')}, got ${analyzed.join(', ')}`);
+                    }
+                } finally {
+                    fs.rmSync(rootPath, { recursive: true, force: true });
+                }
+            }
+        },
+        {
+            name: 'Scoped analysis groups outside imports into boundary nodes and reaches through outside files',
+            test: async () => {
+                const { ProjectAnalyzer } = requireSource('analyzers/projectAnalyzer');
+                const rootPath = path.join(FIXTURES, 'scope');
+                const analyzer = new ProjectAnalyzer();
+                const structure = await analyzer.analyzeProject(rootPath, path.join(rootPath, 'src', 'lib'));
+                const analyzed = structure.files.map(file => file.path).sort();
+                const expectedFiles = ['src/lib/orphan.js', 'src/lib/plugin.js', 'src/lib/used.js'];
+                if (JSON.stringify(analyzed) !== JSON.stringify(expectedFiles)) {
+                    throw new Error(`Expected ${expectedFiles.join(', ')}, got ${analyzed.join(', ')}`);
+                }
+                expectEdges(structure.dependencies.map(dep => `${dep.from} -> ${dep.to}`), [
+                    'src/lib/used.js -> [Boundary] src/config.js',
+                    'src/lib/used.js -> [Boundary] shared'
+                ]);
+                // package.json main -> src/index.js -> src/app.js -> used.js -> shared/util.js -> plugin.js
+                const usage = structure.files.map(file => `${file.path}:${file.isUsed}`).sort();
+                const expectedUsage = ['src/lib/orphan.js:false', 'src/lib/plugin.js:true', 'src/lib/used.js:true'];
+                if (JSON.stringify(usage) !== JSON.stringify(expectedUsage)) {
+                    throw new Error(`Expected ${expectedUsage.join(', ')}, got ${usage.join(', ')}`);
+                }
+                // Outside files are indexed only when an import or entry point resolves to them
+                if (analyzer.fileMap.getIndexed('other/unrelated.js') || !analyzer.fileMap.getIndexed('shared/util.js')) {
+                    throw new Error('Expected only imported outside files to be indexed');
+                }
+            }
+        },
+        {
+            name: 'npm and pnpm workspaces are detected as packages with their sibling dependencies',
+            test: async () => {
+                const { structure, edges } = await analyzeFixture('workspaces');
+                const packages = Object.fromEntries((structure.packages || []).map(pkg => [
+                    pkg.name,
+                    `${pkg.path} [${pkg.dependencies.map(dep => `${dep.name}:${dep.type}`).join(',')}]`
+                ]));
+                const expected = {
+                    '@fx/core': 'packages/core []',
+                    '@fx/testing': 'packages/testing []',
+                    '@fx/ui': 'packages/ui [@fx/core:dependencies,@fx/testing:devDependencies]',
+                    '@fx/cli': 'tools/cli [@fx/ui:dependencies,@fx/plugin-a:peerDependencies]',
+                    '@fx/plugin-a': 'tools/plugins/a []'
+                };
+                // "!packages/ignored" is excluded and the workspace roots themselves are not packages
+                if (JSON.stringify(packages, Object.keys(packages).sort()) !== JSON.stringify(expected, Object.keys(expected).sort())) {
+                    throw new Error(`Expected packages ${JSON.stringify(expected)}, got ${JSON.stringify(packages)}`);
+                }
+                expectEdges(edges, ['packages/ui/index.js -> packages/core/index.js', 'tools/cli/index.js -> packages/ui/index.js']);
+            }
+        },
+        {
+            name: 'Layer rules read .codesync/layers.json globs and fall back to the default layers',
+            test: async () => {
+                const { LayerRules, DEFAULT_LAYERS } = requireSource('analyzers/layerRules');
+                const rules = new LayerRules();
+                await rules.load('', path.join(FIXTURES, 'layers'));
+                const classified = ['src/components/Header.js', 'src/App.jsx', 'src/domain/cart.js', 'src/db/users.js', 'src/main.js']
+                    .map(relPath => `${relPath}:${rules.classify(relPath)}`);
+                const expected = ['src/components/Header.js:ui', 'src/App.jsx:ui', 'src/domain/cart.js:domain', 'src/db/users.js:data', 'src/main.js:domain'];
+                if (JSON.stringify(classified) !== JSON.stringify(expected)) {
+                    throw new Error(`Expected ${expected.join(', ')}, got ${classified.join(', ')}`);
+                }
+                // Missing titles and colors get defaults, the configured defaultLayer is not repeated
+                const definitions = rules.getDefinitions(['']).map(layer => `${layer.name}:${layer.title}:${layer.color}`);
+                const expectedDefinitions = ['ui:<b>UI</b>:#2ecc71', 'domain:domain:#58a6ff', 'data:data:#9b59b6'];
+                if (JSON.stringify(definitions) !== JSON.stringify(expectedDefinitions)) {
+                    throw new Error(`Expected ${expectedDefinitions.join(', ')}, got ${definitions.join(', ')}`);
+                }
+                
+                const defaults = new LayerRules();
+                await defaults.load('', path.join(FIXTURES, 'paths'));
+                const defaultNames = defaults.getDefinitions(['']).map(layer => layer.name);
+                if (JSON.stringify(defaultNames) !== JSON.stringify(DEFAULT_LAYERS.map(layer => layer.name))) {
+                    throw new Error(`Expected the default layers, got ${defaultNames.join(', ')}`);
+                }
+                const defaultLayers = ['src/components/App.js', 'src/services/api.js', 'src/models/user.js', 'config/app.json', 'scripts/run.rb']
+                    .map(relPath => defaults.classify(relPath));
+                if (defaultLayers.join(',') !== 'presentation,business,data,config,utils') {
+                    throw new Error(`Unexpected default layers: ${defaultLayers.join(', ')}`);
+                }
+            }
+        },
+        {
+            name: 'Dependencies that break layers.json allowed/forbidden rules are marked as violations',
+            test: async () => {
+                const { structure } = await analyzeFixture('layers');
+                const actual = structure.dependencies
+                    .map(dep => `${dep.from} -> ${dep.to}${dep.violation ? ` (${dep.violation})` : ''}`)
+                    .sort();
+                const expected = [
+                    'src/App.jsx -> src/components/Button.jsx',
+                    'src/components/Button.jsx -> src/db/users.js (ui must not depend on data)',
+                    'src/components/Button.jsx -> src/domain/cart.js',
+                    'src/domain/cart.js -> src/components/Header.js (domain may only depend on data, not ui)',
+                    'src/domain/cart.js -> src/db/users.js',
+                    'src/main.js -> src/domain/cart.js'
+                ];
+                if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+                }
+            }
+        },
+        {
+            name: 'Python imports resolve through __init__.py, pyproject, setup.cfg and src source roots',
+            test: async () => {
+                const { edges } = await analyzeFixture('python');
+                expectEdges(edges, [
+                    'legacy/pkg/sub/job.py -> legacy/pkg/util.py',
+                    'services/api/lib/api/routes.py -> services/api/lib/api/handlers.py',
+                    'tools/source/cli/main.py -> tools/source/cli/commands.py',
+                    'src/tasks/worker.py -> src/tasks/queue.py',
+                    'src/shop/billing/invoice.py -> src/shop/models/user.py',
+                    'src/shop/checkout.py -> src/shop/models/user.py'
+                ]);
+            }
+        },
+        {
+            name: 'Java imports resolve by package with wildcard and same-package edges',
+            test: async () => {
+                const { edges } = await analyzeFixture('java');
+                const app = 'src/main/java/com/y/App.java';
+                expectEdges(edges, [
+                    `${app} -> src/main/java/com/x/Base.java`,
+                    `${app} -> src/main/java/com/x/Util.java`,
+                    `${app} -> src/main/java/com/z/Helper.java`,
+                    `${app} -> src/main/java/com/y/Service.java`
+                ]);
+                // com.z.* only links the classes that are used and not imported by name
+                if (edges.includes(`${app} -> src/main/java/com/z/Base.java`)) {
+                    throw new Error('Wildcard import linked com.z.Base, which is shadowed by import com.x.Base');
+                }
+            }
+        },
+        {
+            name: 'Go imports resolve through go.work modules to the file declaring the used name',
+            test: async () => {
+                const { edges } = await analyzeFixture('go');
+                expectEdges(edges, [
+                    'app/main.go -> app/internal/store/open.go',
+                    'app/main.go -> lib/text/upper.go'
+                ]);
+                if (edges.includes('app/main.go -> app/internal/store/store.go')) {
+                    throw new Error('store.Open linked to a file that does not declare it');
+                }
+            }
+        },
+        {
+            name: 'PHP use statements and class references resolve through composer autoload',
+            test: async () => {
+                const { structure, edges } = await analyzeFixture('php');
+                const controller = 'src/Controller/UserController.php';
+                expectEdges(edges, [
+                    `${controller} -> src/Model/User.php`,
+                    `${controller} -> src/Service/Mailer.php`,
+                    `${controller} -> legacy/helpers.php`
+                ]);
+                const inheritance = structure.dependencies
+                    .filter(dep => dep.type === 'inheritance')
+                    .map(dep => `${dep.from} -> ${dep.to}`);
+                expectEdges(inheritance, [
+                    `${controller} -> src/Controller/BaseController.php`,
+                    `${controller} -> src/Contracts/Handler.php`,
+                    `${controller} -> src/Support/Loggable.php`
+                ]);
+            }
+        },
+        {
+            name: 'Rust mod declarations and use paths resolve across Cargo workspace crates',
+            test: async () => {
+                const { structure, edges } = await analyzeFixture('rust');
+                expectEdges(edges, [
+                    'core/src/lib.rs -> core/src/model/mod.rs',
+                    'core/src/model/mod.rs -> core/src/model/user.rs',
+                    'app/src/main.rs -> app/src/cli.rs',
+                    'app/src/main.rs -> core/src/model/user.rs',
+                    'app/src/cli.rs -> app/src/config.rs'
+                ]);
+                const app = (structure.packages || []).find(pkg => pkg.name === 'fixture-app');
+                if (!app || !app.dependencies.some(dep => dep.name === 'fixture-core')) {
+                    throw new Error('fixture-app crate should depend on fixture-core');
+                }
+            }
+        },
+        {
+            name: 'C/C++ includes resolve through compile_commands.json and CMake include directories',
+            test: async () => {
+                const { structure, edges } = await analyzeFixture('cpp');
+                // net/socket.h and json.hpp exist twice, so only the -I and CMake directories can pick the right one
+                expectEdges(edges, [
+                    'src/main.cpp -> lib/include/net/socket.h',
+                    'src/main.cpp -> third/include/json.hpp',
+                    'src/main.cpp -> [System] vector',
+                    'lib/src/socket.cpp -> lib/include/net/socket.h'
+                ]);
+                const source = structure.files.find(file => file.path === 'lib/src/socket.cpp');
+                if (!source || source.pairedFile !== 'lib/include/net/socket.h') {
+                    throw new Error(`socket.cpp should pair with its header, got ${source && source.pairedFile}`);
+                }
+            }
+        },
+        {
+            name: 'C# usings resolve by namespace within referenced projects',
+            test: async () => {
+                const { structure, edges } = await analyzeFixture('csharp');
+                expectEdges(edges, [
+                    'src/App/Program.cs -> src/Core/Services/UserService.cs',
+                    'src/App/Program.cs -> src/Core/Models/User.cs',
+                    'src/Core/Services/UserService.cs -> src/Core/Models/User.cs',
+                    'src/Core/Models/User.cs -> src/Core/Models/EntityBase.cs'
+                ]);
+                const unreferenced = edges.filter(edge => edge.endsWith('-> src/Tools/Models/User.cs'));
+                if (unreferenced.length > 0) {
+                    throw new Error(`Linked to a project that is not referenced: ${unreferenced.join(', ')}`);
+                }
+                const app = (structure.packages || []).find(pkg => pkg.name === 'App');
+                if (!app || !app.dependencies.some(dep => dep.name === 'Core')) {
+                    throw new Error('App project should reference Core');
+                }
+            }
+        },
+        {
+            name: 'Vue, Svelte and Astro components link script imports, template tags and styles',
+            test: async () => {
+                const { edges } = await analyzeFixture('sfc');
+                expectEdges(edges, [
+                    'src/App.vue -> src/components/Header.vue',
+                    'src/App.vue -> src/store.js',
+                    'src/App.vue -> src/components/user/Card.vue',
+                    'src/App.vue -> src/styles/theme.css',
+                    'src/widgets/Counter.svelte -> src/widgets/Button.svelte',
+                    'src/widgets/Counter.svelte -> src/widgets/counter.css',
+                    'src/pages/index.astro -> src/layouts/Main.astro',
+                    'src/pages/index.astro -> src/components/Header.vue'
+                ]);
+            }
+        },
+        {
+            name: 'Sass @use/@forward resolve partials and index files, url() links local assets',
+            test: async () => {
+                const { structure, edges } = await analyzeFixture('sass');
+                expectEdges(edges, [
+                    'src/styles/main.scss -> src/styles/abstracts/_index.scss',
+                    'src/styles/abstracts/_index.scss -> src/styles/abstracts/_variables.scss',
+                    'src/styles/main.scss -> src/styles/base/_reset.scss',
+                    'src/styles/main.scss -> src/styles/_theme.scss',
+                    'src/app.js -> src/styles/main.scss'
+                ]);
+                const assets = structure.dependencies
+                    .filter(dep => dep.type === 'asset')
+                    .map(dep => `${dep.from} -> ${dep.to}`);
+                expectEdges(assets, ['src/styles/main.scss -> src/images/hero.png', 'src/app.js -> src/images/logo.svg']);
+                // Remote and data: URLs are not files in the project
+                const remote = edges.filter(edge => /example\.com|data:/.test(edge));
+                if (remote.length > 0) {
+                    throw new Error(`Unexpected url() edges: ${remote.join(', ')}`);
+                }
+            }
+        },
+        {
+            name: 'HTML pages link inline module imports, handler imports, navigation and assets',
+            test: async () => {
+                const { structure } = await analyzeFixture('html');
+                const actual = structure.dependencies.map(dep => `${dep.type} ${dep.from} -> ${dep.to}`).sort();
+                // Commented-out tags and external links are skipped, page links without an extension or with a trailing / resolve to pages
+                const expected = [
+                    'asset blog/index.html -> img/logo.png',
+                    'asset index.html -> img/logo.png',
+                    'asset index.html -> img/logo@2x.png',
+                    'import index.html -> js/dialog.js',
+                    'import index.html -> js/setup.js',
+                    'navigation about.html -> index.html',
+                    'navigation blog/index.html -> blog/post.html',
+                    'navigation blog/index.html -> index.html',
+                    'navigation blog/post.html -> blog/index.html',
+                    'navigation index.html -> about.html',
+                    'navigation index.html -> blog/index.html',
+                    'navigation index.html -> embed.html',
+                    'script index.html -> js/app.js',
+                    'stylesheet index.html -> css/site.css'
+                ];
+                if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+                }
+            }
+        },
+        {
+            name: 'Fully qualified Java and Kotlin supertypes resolve to the declaring class',
+            test: async () => {
+                const { structure } = await analyzeFixture('java');
+                const inheritance = structure.dependencies
+                    .filter(dep => dep.type === 'inheritance')
+                    .map(dep => `${dep.from} -> ${dep.to}`);
+                const service = 'src/main/java/com/y/Service.java';
+                const kotlinService = 'src/main/kotlin/com/y/KService.kt';
+                expectEdges(inheritance, [
+                    `${service} -> src/main/java/com/x/Base.java`,
+                    `${service} -> src/main/java/com/x/Repo.java`,
+                    `${kotlinService} -> src/main/java/com/x/Base.java`,
+                    `${kotlinService} -> src/main/java/com/x/Repo.java`
+                ]);
+                const wrong = structure.dependencies.filter(dep => dep.to === 'src/main/java/com/z/Base.java');
+                if (wrong.length > 0) {
+                    throw new Error(`Resolved to a different Base: ${wrong.map(dep => dep.from).join(', ')}`);
+                }
+            }
+        },
+        {
+            name: 'Python base classes imported under an alias produce inheritance edges',
+            test: async () => {
+                const { structure } = await analyzeFixture('python');
+                const inheritance = structure.dependencies
+                    .filter(dep => dep.type === 'inheritance')
+                    .map(dep => `${dep.from} -> ${dep.to} [${dep.specifiers.join(',')}]`);
+                // from ..models.user import Base as B / import shop.models.user as um / from shop.models import user
+                expectEdges(inheritance, [
+                    'src/shop/billing/invoice.py -> src/shop/models/user.py [B]',
+                    'src/shop/checkout.py -> src/shop/models/user.py [um.Base,user.Base]'
+                ]);
+            }
+        },
+        {
+            name: 'Unused exports follow named, default and namespace imports and component templates',
+            test: async () => {
+                const vm = require('vm');
+                const { structure } = await analyzeFixture('exports');
+                // Run the webview's symbol usage on the analysis result without a DOM
+                const context = vm.createContext({ document: { addEventListener() {} }, window: {} });
+                vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'media', 'diagram.js'), 'utf8'), context);
+                context.analyzed = structure;
+                vm.runInContext(`
+                    state.components = analyzed.files.map(file => ({ ...file, id: file.path, file: file.path }));
+                    state.connections = analyzed.dependencies;
+                `, context);
+                const unused = context.getUnusedExports().map(entry => `${entry.file}:${entry.name}`).sort();
+                // Passing a namespace on uses every export, accessing members uses only those members,
+                // a component uses the names its template refers to (the "parse" text is not a reference)
+                const expected = [
+                    'src/strings.js:lower',
+                    'src/strings.js:trim',
+                    'src/styles.js:hidden',
+                    'src/text.js:parse',
+                    'src/utils.js:LIMIT',
+                    'src/utils.js:unusedFn'
+                ];
+                if (JSON.stringify(unused) !== JSON.stringify(expected)) {
+                    throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(unused)}`);
+                }
+            }
+        },
+        {
+            name: 'Call graph resolves aliased, namespace and default imports and stops at CALL_GRAPH_DEPTH',
+            test: async () => {
+                const vm = require('vm');
+                const { structure } = await analyzeFixture('calls');
+                const calls = structure.files
+                    .flatMap(file => (file.calls || []).map(call => `${file.path}:${call.caller} -> ${call.file}:${call.callee}`))
+                    .sort();
+                const expectedCalls = [
+                    'src/cli.js:(module) -> src/cli.js:run',
+                    'src/cli.js:run -> src/main.js:start',
+                    'src/format.js:pad -> src/format.js:format',
+                    'src/main.js:start -> src/report.js:summarize',
+                    'src/math.js:square -> src/math.js:multiply',
+                    'src/report.js:Report.render -> src/format.js:format',
+                    'src/report.js:Report.render -> src/report.js:Report.total',
+                    'src/report.js:Report.total -> src/math.js:add',
+                    'src/report.js:summarize -> src/format.js:default',
+                    'src/report.js:summarize -> src/math.js:square'
+                ];
+                if (JSON.stringify(calls) !== JSON.stringify(expectedCalls)) {
+                    throw new Error(`Expected ${JSON.stringify(expectedCalls)}, got ${JSON.stringify(calls)}`);
+                }
+                
+                // Run the webview's call graph traversal on the analysis result without a DOM
+                const context = vm.createContext({ document: { addEventListener() {} }, window: {} });
+                vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'media', 'diagram.js'), 'utf8'), context);
+                context.analyzed = structure;
+                vm.runInContext(`
+                    state.components = analyzed.files.map(file => ({ ...file, id: file.path, file: file.path }));
+                    state.connections = analyzed.dependencies;
+                `, context);
+                const trace = (id, fn) => Array.from(context.collectCallGraphNodes(context.getCallGraph(), { id, fn }).values())
+                    .map(({ node, layer }) => `${layer} ${node.comp.file}:${node.fn}`)
+                    .sort();
+                const expectedTraces = {
+                    // run() is a fourth-level caller and cli.js callers are beyond the depth limit
+                    multiply: [
+                        'callFocus src/math.js:multiply',
+                        'callers src/main.js:start',
+                        'callers src/math.js:square',
+                        'callers src/report.js:summarize'
+                    ],
+                    // The default import resolves to the function the module exports as default
+                    summarize: [
+                        'callFocus src/report.js:summarize',
+                        'callees src/format.js:format',
+                        'callees src/format.js:pad',
+                        'callees src/math.js:multiply',
+                        'callees src/math.js:square',
+                        'callers src/cli.js:(module)',
+                        'callers src/cli.js:run',
+                        'callers src/main.js:start'
+                    ]
+                };
+                const traces = { multiply: trace('src/math.js', 'multiply'), summarize: trace('src/report.js', 'summarize') };
+                if (JSON.stringify(traces) !== JSON.stringify(expectedTraces)) {
+                    throw new Error(`Expected ${JSON.stringify(expectedTraces)}, got ${JSON.stringify(traces)}`);
+                }
+            }
+        },
+        {
+            name: 'Imports through barrels record the files that declare the imported names',
+            test: async () => {
+                const { structure } = await analyzeFixture('barrels');
+                const sources = {};
+                structure.dependencies.filter(dep => dep.type === 'import').forEach(dep => {
+                    sources[`${dep.from} -> ${dep.to}`] = (dep.reExportSources || []).map(source =>
+                        `${source.file} [${source.importedNames.map((name, index) => `${name}:${source.specifiers[index]}`).join(',')}] via ${source.via.join(' > ')}`);
+                });
+                // VERSION is declared by the barrel itself, Missing and Nothing are not exported anywhere (the a <-> b cycle ends)
+                const expected = {
+                    'src/app.js -> src/lib/index.js': [
+                        'src/lib/button.js [Button:Button] via src/lib/index.js',
+                        'src/lib/input.js [TextInput:Input] via src/lib/index.js',
+                        'src/lib/theme.js [theme:default] via src/lib/index.js',
+                        'src/lib/forms/field.js [Field:Field] via src/lib/index.js > src/lib/forms/index.js'
+                    ],
+                    'src/app.js -> src/cycle/a.js': ['src/cycle/b.js [B:B] via src/cycle/a.js'],
+                    // Namespace imports follow the members that are accessed
+                    'src/panel.js -> src/lib/index.js': [
+                        'src/lib/button.js [ButtonGroup:ButtonGroup] via src/lib/index.js',
+                        'src/lib/forms/field.js [Field:Field] via src/lib/index.js > src/lib/forms/index.js'
+                    ]
+                };
+                if (JSON.stringify(sources, Object.keys(expected)) !== JSON.stringify(expected) ||
+                    Object.keys(sources).length !== Object.keys(expected).length) {
+                    throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(sources)}`);
+                }
+            }
+        },
+        {
+            name: 'Multi-root analysis applies each folder\'s own settings',
+            test: async () => {
+                const { ProjectAnalyzer } = requireSource('analyzers/projectAnalyzer');
+                const structure = await new ProjectAnalyzer().analyzeWorkspaceFolders([
+                    { name: 'paths', fsPath: path.join(FIXTURES, 'paths'), options: { ignoreDirectories: ['packages'] } },
+                    { name: 'scope', fsPath: path.join(FIXTURES, 'scope'), options: { exclude: ['other/**'] } }
+                ]);
+                const files = structure.files.map(file => file.path);
+                ['paths/src/main.js', 'scope/src/index.js'].forEach(file => {
+                    if (!files.includes(file)) {
+                        throw new Error(`${file} is missing`);
+                    }
+                });
+                const leaked = files.filter(file => file.startsWith('paths/packages/') || file.startsWith('scope/other/'));
+                if (leaked.length > 0) {
+                    throw new Error(`Excluded by folder settings: ${leaked.join(', ')}`);
+                }
+            }
         }
     ];
     
@@ -94,7 +857,7 @@ async function runTests() {
     
     for (const testCase of tests) {
         try {
-            testCase.test();
+            await testCase.test();
             console.log(`✓ ${testCase.name}`);
             passed++;
         } catch (error) {
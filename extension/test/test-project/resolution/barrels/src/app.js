@@ -0,0 +1,4 @@
+import { Button, TextInput, theme, Field, VERSION, Missing } from './lib';
+import { B, Nothing } from './cycle/a';
+
+export const render = () => [Button(), TextInput(), theme.colors, Field(), VERSION, Missing, B, Nothing];
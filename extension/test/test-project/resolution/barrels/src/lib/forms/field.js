@@ -0,0 +1 @@
+export const Field = () => 'field';
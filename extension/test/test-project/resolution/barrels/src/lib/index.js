@@ -0,0 +1,6 @@
+export * from './button';
+export { Input as TextInput } from './input';
+export { default as theme } from './theme';
+export * from './forms';
+
+export const VERSION = '1.0.0';
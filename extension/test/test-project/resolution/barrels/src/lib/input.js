@@ -0,0 +1,3 @@
+export function Input() {
+    return 'input';
+}
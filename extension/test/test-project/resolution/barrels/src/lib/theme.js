@@ -0,0 +1,3 @@
+export const colors = { primary: '#2ecc71' };
+
+export default { colors };
@@ -0,0 +1,3 @@
+import * as lib from './lib';
+
+export const panel = () => lib.ButtonGroup(lib.Field());
@@ -0,0 +1,7 @@
+import { start } from './main';
+
+function run() {
+    start();
+}
+
+run();
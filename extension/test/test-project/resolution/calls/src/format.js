@@ -0,0 +1,7 @@
+export function format(value) {
+    return `${value}`;
+}
+
+export default function pad(value) {
+    return format(value).padStart(4);
+}
@@ -0,0 +1,5 @@
+import { summarize } from './report';
+
+export function start() {
+    return summarize([1, 2]);
+}
@@ -0,0 +1,11 @@
+export function add(a, b) {
+    return a + b;
+}
+
+export function square(x) {
+    return multiply(x, x);
+}
+
+function multiply(a, b) {
+    return a * b;
+}
@@ -0,0 +1,17 @@
+import * as math from './math';
+import { format as fmt } from './format';
+import pad from './format';
+
+export class Report {
+    total(values) {
+        return values.reduce((sum, value) => math.add(sum, value), 0);
+    }
+
+    render(values) {
+        return fmt(this.total(values));
+    }
+}
+
+export function summarize(values) {
+    return pad(math.square(values.length));
+}
@@ -0,0 +1,5 @@
+#include "net/socket.h"
+
+int socket_fd(const Socket &socket) {
+    return socket.fd;
+}
@@ -0,0 +1,8 @@
+#include <vector>
+#include "net/socket.h"
+#include "json.hpp"
+
+int main() {
+    std::vector<Socket> sockets;
+    return 0;
+}
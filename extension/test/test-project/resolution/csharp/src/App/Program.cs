@@ -0,0 +1,6 @@
+using Fixture.Core.Services;
+using Person = Fixture.Core.Models.User;
+
+var service = new UserService();
+Person person = service.Find(1);
+System.Console.WriteLine(person.Name);
@@ -0,0 +1 @@
+global using Fixture.Core.Models;
@@ -0,0 +1,6 @@
+namespace Fixture.Core.Models;
+
+public abstract class EntityBase
+{
+    public int Id { get; set; }
+}
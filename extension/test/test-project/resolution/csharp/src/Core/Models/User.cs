@@ -0,0 +1,6 @@
+namespace Fixture.Core.Models;
+
+public class User : EntityBase
+{
+    public string Name { get; set; } = "";
+}
@@ -0,0 +1,7 @@
+namespace Fixture.Core.Services
+{
+    public class UserService
+    {
+        public User Find(int id) => new User { Id = id };
+    }
+}
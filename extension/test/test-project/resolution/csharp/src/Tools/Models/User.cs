@@ -0,0 +1,6 @@
+// Same full name as the Core type; App does not reference Tools, so it must not link here
+namespace Fixture.Core.Models;
+
+public class User
+{
+}
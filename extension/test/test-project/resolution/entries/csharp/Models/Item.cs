@@ -0,0 +1,6 @@
+namespace Fixture.Models
+{
+    public class Item
+    {
+    }
+}
@@ -0,0 +1,9 @@
+using Fixture.Models;
+
+namespace Fixture
+{
+    public class Service
+    {
+        public Item Create() => new Item();
+    }
+}
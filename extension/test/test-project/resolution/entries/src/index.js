@@ -0,0 +1,6 @@
+const path = require('path');
+const used = require('./used');
+
+module.exports = function viewPath() {
+    return used(path.join(__dirname, '..', 'media', 'view.js'));
+};
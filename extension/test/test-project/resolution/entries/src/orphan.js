@@ -0,0 +1 @@
+module.exports = () => 'never imported';
@@ -0,0 +1,6 @@
+import main, { used, Helper as H } from './utils';
+import * as strings from './strings';
+import * as all from './all';
+import Widget from './Widget.vue';
+
+console.log(main(), used(), new H(), strings.upper('app'), Object.keys(all), Widget);
@@ -0,0 +1,3 @@
+export const upper = text => text.toUpperCase();
+export const lower = text => text.toLowerCase();
+export const trim = text => text.trim();
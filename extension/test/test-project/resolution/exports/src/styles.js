@@ -0,0 +1,2 @@
+export const root = 'widget';
+export const hidden = 'widget--hidden';
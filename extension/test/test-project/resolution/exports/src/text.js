@@ -0,0 +1,2 @@
+export const format = value => `${value}`;
+export const parse = text => Number(text);
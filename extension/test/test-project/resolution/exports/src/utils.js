@@ -0,0 +1,15 @@
+export const LIMIT = 10;
+
+export function used() {
+    return LIMIT;
+}
+
+export function unusedFn() {
+    return 'unused';
+}
+
+export class Helper {}
+
+export default function main() {
+    return used();
+}
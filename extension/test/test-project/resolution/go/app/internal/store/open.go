@@ -0,0 +1,9 @@
+package store
+
+type DB struct {
+	Name string
+}
+
+func Open(name string) *DB {
+	return &DB{Name: name}
+}
@@ -0,0 +1,6 @@
+// Package store keeps application data.
+package store
+
+type Record struct {
+	ID int
+}
@@ -0,0 +1,13 @@
+package main
+
+import (
+	"fmt"
+
+	"example.com/app/internal/store"
+	"example.com/lib/text"
+)
+
+func main() {
+	db := store.Open("app.db")
+	fmt.Println(text.Upper(db.Name))
+}
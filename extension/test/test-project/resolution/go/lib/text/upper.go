@@ -0,0 +1,7 @@
+package text
+
+import "strings"
+
+func Upper(value string) string {
+	return strings.ToUpper(value)
+}
@@ -0,0 +1 @@
+export const setup = () => document.body.classList.add('ready');
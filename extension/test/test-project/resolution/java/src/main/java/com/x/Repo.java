@@ -0,0 +1,4 @@
+package com.x;
+
+public interface Repo {
+}
@@ -0,0 +1,7 @@
+package com.x;
+
+public final class Util {
+    public static int max(int a, int b) {
+        return a > b ? a : b;
+    }
+}
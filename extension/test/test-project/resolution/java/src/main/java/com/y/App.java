@@ -0,0 +1,15 @@
+package com.y;
+
+import com.x.Base;
+import com.z.*;
+import static com.x.Util.max;
+
+public class App {
+    private Base base;
+    private Helper helper;
+    private Service service;
+
+    int larger(int a, int b) {
+        return max(a, b);
+    }
+}
@@ -0,0 +1,4 @@
+package com.y;
+
+public class Service extends com.x.Base implements com.x.Repo {
+}
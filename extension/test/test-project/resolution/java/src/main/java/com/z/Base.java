@@ -0,0 +1,4 @@
+package com.z;
+
+public class Base {
+}
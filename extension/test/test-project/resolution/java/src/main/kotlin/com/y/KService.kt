@@ -0,0 +1,5 @@
+package com.y
+
+class User
+
+class KService(val u: User) : com.x.Base(), com.x.Repo
@@ -0,0 +1,3 @@
+import { Button } from './components/Button';
+
+export const App = () => Button();
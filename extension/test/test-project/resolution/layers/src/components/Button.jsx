@@ -0,0 +1,4 @@
+import { findUser } from '../db/users';
+import { total } from '../domain/cart';
+
+export const Button = () => `${findUser()} ${total()}`;
@@ -0,0 +1 @@
+export const findUser = () => 'user';
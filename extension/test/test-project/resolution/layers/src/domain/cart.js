@@ -0,0 +1,4 @@
+import { findUser } from '../db/users';
+import { Header } from '../components/Header';
+
+export const total = () => `${findUser()} ${Header()}`;
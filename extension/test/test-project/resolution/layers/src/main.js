@@ -0,0 +1,3 @@
+import { total } from './domain/cart';
+
+total();
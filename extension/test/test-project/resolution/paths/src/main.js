@@ -0,0 +1,9 @@
+import { helper } from '@/helper';
+import { widget } from 'widgets';
+import React from 'react';
+import { shared } from '@fixture/shared';
+import config from '#config';
+
+export default function main() {
+    return [helper, widget, React, shared, config];
+}
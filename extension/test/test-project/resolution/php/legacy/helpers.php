@@ -0,0 +1,9 @@
+<?php
+
+class LegacyHelper
+{
+    public static function format(string $key): string
+    {
+        return $key;
+    }
+}
@@ -0,0 +1,7 @@
+<?php
+
+namespace App\Controller;
+
+abstract class BaseController
+{
+}
@@ -0,0 +1,18 @@
+<?php
+
+namespace App\Controller;
+
+use App\Model\User;
+use App\{Service\Mailer, Contracts\Handler as RequestHandler};
+
+class UserController extends BaseController implements RequestHandler
+{
+    use \App\Support\Loggable;
+
+    public function store(Mailer $mailer): User
+    {
+        $user = new User();
+        $mailer->send($user, \LegacyHelper::format('welcome'));
+        return $user;
+    }
+}
@@ -0,0 +1,10 @@
+<?php
+
+namespace App\Service;
+
+class Mailer
+{
+    public function send($user, string $message): void
+    {
+    }
+}
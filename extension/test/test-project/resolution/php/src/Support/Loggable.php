@@ -0,0 +1,7 @@
+<?php
+
+namespace App\Support;
+
+trait Loggable
+{
+}
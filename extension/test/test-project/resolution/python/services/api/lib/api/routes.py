@@ -0,0 +1,5 @@
+from api.handlers import handle
+
+
+def route(request):
+    return handle(request)
@@ -0,0 +1,5 @@
+from ..models.user import Base as B
+
+
+class Invoice(B):
+    pass
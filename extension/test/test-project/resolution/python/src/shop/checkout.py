@@ -0,0 +1,10 @@
+import shop.models.user as um
+from shop.models import user
+
+
+class Cart(um.Base):
+    pass
+
+
+class Order(user.Base):
+    pass
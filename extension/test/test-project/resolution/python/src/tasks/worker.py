@@ -0,0 +1,3 @@
+from tasks.queue import Queue
+
+queue = Queue()
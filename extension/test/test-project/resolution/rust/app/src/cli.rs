@@ -0,0 +1,7 @@
+use crate::config::Settings;
+use fixture_core::model::user::User;
+
+pub fn run(user: &User) {
+    let settings = Settings::default();
+    println!("{} {}", user.name, settings.verbose);
+}
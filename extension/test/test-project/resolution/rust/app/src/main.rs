@@ -0,0 +1,9 @@
+mod cli;
+mod config;
+
+use fixture_core::model::user::User;
+
+fn main() {
+    let user = User { name: String::from("fixture") };
+    cli::run(&user);
+}
@@ -0,0 +1,4 @@
+import logo from './images/logo.svg';
+import './styles/main.scss';
+
+document.querySelector('img').src = logo;
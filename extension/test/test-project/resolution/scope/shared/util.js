@@ -0,0 +1,3 @@
+const plugin = require('../src/lib/plugin');
+
+module.exports = config => plugin(config);
@@ -0,0 +1,4 @@
+const config = require('../config');
+const util = require('../../shared/util');
+
+module.exports = () => util(config);
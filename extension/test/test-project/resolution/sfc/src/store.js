@@ -0,0 +1,3 @@
+export function useStore() {
+    return { title: "Fixture", users: [] };
+}
@@ -0,0 +1 @@
+export const testing = true;
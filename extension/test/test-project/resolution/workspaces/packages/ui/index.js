@@ -0,0 +1,3 @@
+import { core } from '@fx/core';
+
+export const ui = core + 1;
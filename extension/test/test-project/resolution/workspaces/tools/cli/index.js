@@ -0,0 +1,3 @@
+const { ui } = require('@fx/ui');
+
+console.log(ui);
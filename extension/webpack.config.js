@@ -10,7 +10,9 @@ module.exports = {
   },
   devtool: 'source-map',
   externals: {
-    vscode: 'commonjs vscode'
+    vscode: 'commonjs vscode',
+    // The JS/TS parser loads the TypeScript compiler from node_modules at runtime
+    typescript: 'commonjs typescript'
   },
   resolve: {
     extensions: ['.ts', '.js']